@@ -1,47 +1,85 @@
 const fs = require("fs");
 const path = require("path");
-const fca = require("nexus-fca");
 const { HttpsProxyAgent } = require("https-proxy-agent");
-let fca = null;
-
-// Try to require a recommended/modern FCA implementation.
-// You can change 'nexus-fca' to another package if you prefer (e.g. 'aminul-fca', '@jikey/fcazero', etc).
-try {
-  fca = require("nexus-fca"); // recommended: Nexus-FCA (install from npm)
-} catch (e) {
-  console.error("❌ Could not require 'nexus-fca'. Install it: npm i nexus-fca");
-  process.exit(1);
-}
+const { createSecretStore } = require("./lib/secret-store");
+const { validateAppState, isLogoutError, formatExpiry } = require("./lib/appstate");
+const EXIT = require("./lib/exit-codes");
+const { MSG, serveRequests, emitEvent } = require("./lib/ipc");
+const { createLogger } = require("./lib/logger");
+const { createCounters, processSnapshot } = require("./lib/metrics");
+const { createActionQueue, ActionDroppedError } = require("./lib/action-queue");
+const { createMessageCache } = require("./lib/message-cache");
+const { adminIDsOf, createAntiOutGuard } = require("./lib/anti-out");
+const { normalizeEvent } = require("./lib/events");
+const { createGreeter } = require("./lib/greetings");
+const { createAutoReplier } = require("./lib/auto-reply");
+const { createModerator, stepFor } = require("./lib/moderation");
+const { createWarningStore } = require("./lib/warnings");
+const { createScheduler, DEFAULT_TZ } = require("./lib/scheduler");
+const { createAnalytics } = require("./lib/analytics");
+const { createPluginManager } = require("./lib/plugins");
+const { createCatalog, readOverrides, LANGUAGES, DEFAULT_LANG } = require("./lib/i18n");
+const { createClient, describeCapabilities } = require("./lib/client");
+const { createStateStore } = require("./lib/state");
+const { createCommandRegistry, roleLevel } = require("./lib/commands");
+const { commands: coreCommands } = require("./lib/commands/core");
+const { commands: protectionCommands } = require("./lib/commands/protection");
+const { commands: unsendCommands } = require("./lib/commands/unsend");
+const { commands: greetingCommands } = require("./lib/commands/greetings");
+const { commands: replyCommands } = require("./lib/commands/replies");
+const { commands: moderationCommands } = require("./lib/commands/moderation");
+const { commands: scheduleCommands } = require("./lib/commands/schedule");
+const { commands: statsCommands } = require("./lib/commands/stats");
+const { commands: pluginCommands } = require("./lib/commands/plugins");
+
+const logger = createLogger();
+// events, commands, enforcement and failed client calls; sent to the panel with each heartbeat
+const counters = createCounters();
 
 // === UID ARG ===
 const uid = process.argv[2];
 if (!uid) {
-  console.error("❌ No UID provided to bot-v2.js");
-  process.exit(1);
+  logger.error("config", "❌ No UID provided to bot-v2.js");
+  process.exit(EXIT.CONFIG_ERROR);
 }
 
-const userDir = path.join(__dirname, "users", String(uid));
+// BOT_USERS_DIR lets the replay tests (test/replay.js) run against a temp dir
+const userDir = path.join(process.env.BOT_USERS_DIR || path.join(__dirname, "users"), String(uid));
 const appStatePath = path.join(userDir, "appstate.json");
 const adminPath = path.join(userDir, "admin.txt");
-
-function log(msg) { console.log(`[${new Date().toISOString()}] ${msg}`); }
-
-// --- Load appstate ---
+const statePath = path.join(userDir, "state.json");
+const messageCachePath = path.join(userDir, "message-cache.json");
+const mediaDir = path.join(userDir, "media");
+const warningsPath = path.join(userDir, "warnings.json");
+const schedulesPath = path.join(userDir, "schedules.json");
+const analyticsPath = path.join(userDir, "analytics.json");
+const pluginsConfigPath = path.join(userDir, "plugins.json");
+const messagesPath = path.join(userDir, "messages.json");
+const pluginsDir = path.resolve(process.env.PLUGINS_DIR || path.join(__dirname, "plugins"));
+
+// --- Load appstate (decrypted through the secret store) ---
+const secrets = createSecretStore();
 let appState;
 try {
-  appState = JSON.parse(fs.readFileSync(appStatePath, "utf-8"));
+  appState = secrets.read(appStatePath);
 } catch (e) {
-  console.error("❌ Invalid or missing appstate.json");
-  process.exit(1);
+  logger.error("config", "❌ Invalid or missing appstate.json: " + e.message);
+  process.exit(EXIT.CONFIG_ERROR);
+}
+const appStateCheck = validateAppState(appState, { uid });
+if (!appStateCheck.ok) {
+  logger.error("config", "❌ AppState rejected: " + appStateCheck.errors.join("; "));
+  emitEvent(MSG.SESSION_HEALTH, { status: "invalid", problems: appStateCheck.errors, expiresAt: appStateCheck.expiresAt, checkedAt: Date.now() });
+  process.exit(EXIT.CONFIG_ERROR);
 }
 
-// --- Load Admin UID ---
+// --- Load Admin UID (bot owner: "owner" role in every thread) ---
 let BOSS_UID;
 try {
   BOSS_UID = fs.readFileSync(adminPath, "utf-8").trim();
 } catch (e) {
-  console.error("❌ Invalid or missing admin.txt");
-  process.exit(1);
+  logger.error("config", "❌ Invalid or missing admin.txt");
+  process.exit(EXIT.CONFIG_ERROR);
 }
 
 // Proxy (optional)
@@ -53,91 +91,174 @@ try {
   // ignore proxy parse failures
 }
 
-// --- Bot State ---
-let GROUP_THREAD_ID = null;
-let LOCKED_GROUP_NAME = null;
-let lockedNick = null;
-let nickLockEnabled = false;
-let nickRemoveEnabled = false;
-let gcAutoRemoveEnabled = false;
-let antiOutEnabled = false;
-
-// Cache for deleted messages (simple)
-const messageCache = new Map();
-
-// helper to extract various message id shapes
-function extractMsgId(ev) {
-  return (
-    ev.messageID ||
-    ev.message_id ||
-    (ev.message && (ev.message.mid || ev.message.messageID || ev.message.message_id)) ||
-    ev.logMessageData?.messageID ||
-    ev.logMessageData?.message_id ||
-    null
-  );
+// --- Bot State: per-thread settings persisted to state.json, restored on boot ---
+const store = createStateStore(statePath, {
+  onChange: (threadID, settings) => emitEvent(MSG.THREAD_UPDATED, { threadID, settings }),
+  validate: (patch) => plugins.validate(patch)
+});
+
+// --- Replies: catalog templates in the thread's language, with the owner's overrides (lib/i18n.js) ---
+const messages = createCatalog(readOverrides(messagesPath));
+
+function languageOf(settings) {
+  return LANGUAGES.includes(settings.language) ? settings.language : DEFAULT_LANG;
+}
+
+// Text for a message to threadID (DMs to the owner use the DM thread's language)
+function tr(threadID, key, vars) {
+  return messages.t(languageOf(store.thread(threadID)), key, vars);
+}
+
+// --- Commands ---
+const DEFAULT_PREFIX = process.env.BOT_PREFIX || "/";
+const registry = createCommandRegistry({
+  onResult: (command, result, ctx) => {
+    counters.inc("commands", { command, result });
+    emitEvent(MSG.COMMAND, { threadID: ctx.threadID, senderID: ctx.senderID, role: ctx.role, command, result });
+  }
+});
+for (const cmd of [...coreCommands, ...protectionCommands, ...unsendCommands, ...greetingCommands, ...replyCommands, ...moderationCommands, ...scheduleCommands, ...statsCommands, ...pluginCommands]) registry.register(cmd);
+
+// Plugins from plugins/ (lib/plugins.js): their commands join the registry, their
+// hooks run after the built-in handlers and their failures stay inside the plugin
+const plugins = createPluginManager({
+  dir: pluginsDir,
+  configFile: pluginsConfigPath,
+  logger,
+  store,
+  send: (text, threadID) => send(text, threadID, "plugin"),
+  react: (reaction, messageID, threadID) => queued(() => api.setMessageReaction(reaction, messageID).then(() => true), { threadID, kind: "plugin" }),
+  getThreadInfo: (threadID) => api.getThreadInfo(threadID),
+  getUserInfo: (ids) => api.getUserInfo(ids),
+  botID: () => api.getCurrentUserID(),
+  defaultTz: DEFAULT_TZ,
+  onError: (name, what, e) => {
+    counters.inc("pluginErrors", { plugin: name });
+    emitEvent(MSG.ERROR, { context: "plugin", plugin: name, message: `${what}: ${e}` });
+  }
+});
+for (const cmd of plugins.commands(name => !!registry.find(name))) registry.register(cmd);
+
+function roleOf(uidToCheck, settings) {
+  if (String(uidToCheck) === BOSS_UID) return "owner";
+  return (settings.roles && settings.roles[String(uidToCheck)]) || "member";
+}
+
+// Anti-out decisions and per-user daily re-add counts
+const antiOut = createAntiOutGuard();
+
+// Welcome / farewell / rules messages, batched per thread during mass joins
+const greeter = createGreeter({
+  send: (text, threadID) => send(text, threadID, "greeting"),
+  getThreadInfo: (threadID) => api.getThreadInfo(threadID),
+  getUserInfo: (ids) => api.getUserInfo(ids),
+  thread: (threadID) => store.thread(threadID),
+  logger
+});
+
+// Keyword auto-replies; attachment files live in users/<uid>/media
+const autoReplier = createAutoReplier({
+  mediaDir,
+  onSlowPattern: (threadID, t) => logger.warn("autoReply", `⚠️ Auto-reply #${t.id} regex "${t.pattern}" ran out of time and is skipped until restart; simplify it`, { threadID })
+});
+
+// Moderation: offence detection and per-user warnings (persisted)
+const moderator = createModerator({
+  onSlowPattern: (threadID, entry) => logger.warn("moderation", `⚠️ Banned-word regex ${entry} ran out of time and now matches as a plain word; simplify it`, { threadID })
+});
+const warnings = createWarningStore({
+  file: warningsPath,
+  onError: (e) => logger.warn("moderation", "⚠️ Saving warnings failed: " + e.message)
+});
+
+// Scheduled messages (users/<uid>/schedules.json); started once logged in
+const scheduler = createScheduler({
+  file: schedulesPath,
+  send: (job) => send(job.message, job.threadID, "schedule"),
+  logger,
+  tickMs: Number(process.env.SCHEDULE_TICK_MS) || undefined
+});
+
+// Activity counters per thread (no message bodies), users/<uid>/analytics.json
+const analytics = createAnalytics({
+  file: analyticsPath,
+  onError: (e) => logger.warn("analytics", "⚠️ Saving analytics failed: " + e.message)
+});
+
+// Recent messages for unsend recovery (bounded; persisted only when MESSAGE_CACHE_PERSIST=1)
+const messageCache = createMessageCache({
+  file: process.env.MESSAGE_CACHE_PERSIST === "1" ? messageCachePath : null,
+  onError: (e) => logger.warn("messageCache", "⚠️ Message cache persistence failed: " + e.message)
+});
+
+// Every outgoing client call goes through this queue (rate limits + revert-storm guard)
+const queue = createActionQueue({
+  onDrop: (reason, meta) => {
+    const level = reason === "superseded" ? "debug" : "warn";
+    logger[level]("queue", `⏭️ Dropped ${meta.kind || "action"} (${reason})`, { threadID: meta.threadID, actor: meta.target });
+  },
+  onStorm: (info) => {
+    const mins = Math.round(info.pausedForMs / 60000);
+    const text = `⚠️ Revert storm in thread ${info.threadID}: ${info.kind}${info.target ? " on " + info.target : ""} ` +
+      `fired ${info.count} times in ${info.windowMs / 1000}s. Pausing it for ${mins}m — is another bot or lock fighting this one?`;
+    logger.warn("storm", text, { threadID: info.threadID, actor: info.target, kind: info.kind });
+    emitEvent(MSG.ACTION_STORM, { threadID: info.threadID, kind: "storm", action: info.kind, target: info.target, count: info.count, pausedForMs: info.pausedForMs });
+    const vars = { threadID: info.threadID, action: info.kind, target: info.target, count: info.count, seconds: info.windowMs / 1000, minutes: mins };
+    send(tr(BOSS_UID, info.target ? "storm.noticeTarget" : "storm.notice", vars), BOSS_UID, "notify")
+      .catch(e => logger.warn("storm", `⚠️ Notifying the owner failed: ${e}`, { threadID: info.threadID }));
+  }
+});
+
+// Queued sendMessage; a dropped message resolves to null instead of throwing
+function send(text, threadID, kind = "message") {
+  return queue.run(() => api.sendMessage(text, threadID), { threadID, kind }).catch(e => {
+    if (e instanceof ActionDroppedError) return null;
+    throw e;
+  });
 }
 
 // Safe setter utilities: try multiple times, swallow errors but log them
-async function safeRetry(fn, desc = "operation", attempts = 2, delayMs = 800) {
+// (fields.kind names the client call for metrics)
+async function safeRetry(fn, desc = "operation", attempts = 2, delayMs = 800, fields = {}) {
+  const action = fields.kind || "other";
   for (let i = 0; i < attempts; i++) {
     try {
       await fn();
-      if (i > 0) log(`✅ ${desc} succeeded on attempt ${i + 1}`);
+      if (i > 0) logger.info("retry", `✅ ${desc} succeeded on attempt ${i + 1}`, fields);
       return true;
     } catch (err) {
-      log(`⚠️ ${desc} failed attempt ${i + 1}: ${err}`);
+      counters.inc("outboundRetries", { action });
+      logger.warn("retry", `⚠️ ${desc} failed attempt ${i + 1}: ${err}`, fields);
       if (i < attempts - 1) await new Promise(r => setTimeout(r, delayMs));
     }
   }
-  log(`❌ ${desc} failed after ${attempts} attempts`);
+  counters.inc("outboundFailures", { action });
+  logger.error("retry", `❌ ${desc} failed after ${attempts} attempts`, fields);
   return false;
 }
 
-// set nickname in a safe manner
-async function setNickSafe(nick, threadID, uidToChange) {
-  await safeRetry(async () => {
-    // Nexus-FCA style API assumed: client.setNickname(nick, threadID, uid, callback) OR promise
-    if (typeof api.setNickname === "function") {
-      await new Promise((res, rej) => {
-        api.setNickname(nick, threadID, uidToChange, (err) => (err ? rej(err) : res()));
-      });
-    } else if (typeof api.changeNickname === "function") {
-      await new Promise((res) => {
-        api.changeNickname(nick, threadID, uidToChange, () => res());
-      });
-    } else {
-      // fallback: try generic api.setProfile for some libs (noop if not supported)
-      throw new Error("setNickname/changeNickname not supported by this FCA client");
-    }
-  }, `SetNick for ${uidToChange} -> "${nick}"`, 3, 700);
+// Run a queued setter; false when it failed or the queue dropped it
+function queued(fn, meta) {
+  return queue.run(fn, meta).catch(e => {
+    if (e instanceof ActionDroppedError) return false;
+    throw e;
+  });
 }
 
-// set title safe
-async function setTitleSafe(title, threadID) {
-  await safeRetry(async () => {
-    if (typeof api.setTitle === "function") {
-      await new Promise((res, rej) => {
-        api.setTitle(title, threadID, (err) => (err ? rej(err) : res()));
-      });
-    } else if (typeof api.setThreadTitle === "function") {
-      await new Promise((res) => api.setThreadTitle(threadID, title, () => res()));
-    } else {
-      throw new Error("setTitle / setThreadTitle not supported by this FCA client");
-    }
-  }, `SetTitle "${title}"`, 3, 900);
+// set nickname in a safe manner; revertKind marks enforcement (storm-guarded) changes
+async function setNickSafe(nick, threadID, uidToChange, revertKind) {
+  return queued(() => safeRetry(
+    () => api.setNickname(nick, threadID, uidToChange),
+    `SetNick for ${uidToChange} -> "${nick}"`, 3, 700, { threadID, actor: uidToChange, kind: "setNickname" }
+  ), { threadID, target: String(uidToChange), kind: revertKind || "setNick", revert: !!revertKind });
 }
 
-function parseMentionTarget(event) {
-  try {
-    if (event.mentions && typeof event.mentions === "object") {
-      const keys = Object.keys(event.mentions);
-      if (keys.length > 0) return keys[0];
-    }
-    if (event.messageReply && event.messageReply.senderID) {
-      return String(event.messageReply.senderID);
-    }
-  } catch {}
-  return null;
+// set title safe
+async function setTitleSafe(title, threadID, revertKind) {
+  return queued(
+    () => safeRetry(() => api.setTitle(title, threadID), `SetTitle "${title}"`, 3, 900, { threadID, kind: "setTitle" }),
+    { threadID, kind: revertKind || "setTitle", revert: !!revertKind }
+  );
 }
 
 function isGroupThreadInfo(info) {
@@ -150,355 +271,514 @@ function isGroupThreadInfo(info) {
   return false;
 }
 
-// Anti-sleep: keep sending typing occasionally to avoid inactivity (only if group set)
+// Anti-sleep: keep sending typing occasionally to avoid inactivity (most recently managed thread)
 function antiSleepLoop() {
   setInterval(() => {
-    if (GROUP_THREAD_ID) {
-      try {
-        api.sendTypingIndicator(GROUP_THREAD_ID, true);
-        setTimeout(() => api.sendTypingIndicator(GROUP_THREAD_ID, false), 1200);
-        log("💤 Anti-Sleep Triggered");
-      } catch (e) { /* ignore */ }
+    const threadID = store.threadIDs()
+      .sort((a, b) => String(store.thread(b).updatedAt).localeCompare(String(store.thread(a).updatedAt)))[0];
+    if (threadID) {
+      const typing = (on) => queue.run(() => api.sendTypingIndicator(threadID, on), { threadID, kind: "typing" }).catch(() => {});
+      typing(true);
+      setTimeout(() => typing(false), 1200);
+      logger.debug("antiSleep", "💤 Anti-Sleep Triggered", { threadID });
     }
   }, 60000);
 }
 
 // Start and login
 let api = null;
+let loggedInAt = null;
+const startedAt = Date.now();
+
+// Persist the client's current cookies, unless they no longer make a valid session
+function saveAppState() {
+  const st = api.getAppState();
+  if (!st) return false;
+  const check = validateAppState(st, { uid });
+  if (!check.ok) {
+    logger.warn("appstate", "⚠️ AppState not saved: " + check.errors.join("; "));
+    return false;
+  }
+  secrets.write(appStatePath, st);
+  logger.info("appstate", "💾 AppState saved");
+  return true;
+}
+
+// Session health: warn the owner (panel + DM) before the cookies expire, and stop
+// for good once Facebook has logged the account out instead of crash-looping on logins
+const SESSION_CHECK_MS = Number(process.env.SESSION_CHECK_MS) || 10 * 60 * 1000;
+let session = { status: "unknown", problems: [], expiresAt: appStateCheck.expiresAt, checkedAt: null };
+let expiryNotified = null;
+
+function reportSession(status, problems, expiresAt) {
+  const changed = status !== session.status || problems.join() !== session.problems.join();
+  session = { status, problems, expiresAt, checkedAt: Date.now() };
+  if (changed) emitEvent(MSG.SESSION_HEALTH, session);
+}
+
+function checkSession() {
+  const st = api.getAppState();
+  // clients that can't export cookies are only caught by listen / login errors
+  if (!st) return reportSession("ok", [], session.expiresAt);
+  const check = validateAppState(st, { uid });
+  if (!check.ok) return sessionEnded(check.errors.join("; "));
+
+  reportSession(check.warnings.length ? "expiring" : "ok", check.warnings, check.expiresAt);
+  if (check.warnings.length && expiryNotified !== check.expiresAt) {
+    expiryNotified = check.expiresAt;
+    logger.warn("session", "⏳ " + check.warnings.join("; "));
+    send(tr(BOSS_UID, "session.expiring", { date: formatExpiry(check.expiresAt) }), BOSS_UID, "notify")
+      .catch(() => {});
+  }
+  try {
+    saveAppState();
+  } catch (e) {
+    logger.warn("appstate", "⚠️ Saving AppState failed: " + e.message);
+  }
+}
+
+// The account can't send anything any more, so only the panel hears about it
+function sessionEnded(reason) {
+  if (session.status === "loggedOut") return;
+  logger.error("session", `🔒 Session ended: ${reason}. Upload a fresh AppState from the panel.`);
+  reportSession("loggedOut", [reason], null);
+  queue.stop();
+  scheduler.stop();
+  plugins.stop();
+  analytics.stop();
+  messageCache.stop();
+  if (api) api.stop();
+  setTimeout(() => process.exit(EXIT.SESSION_EXPIRED), 100);
+}
+
+// Protection fired: log it and tell the panel
+function protectionTriggered(kind, threadID, detail, text) {
+  logger.info("protection", text, { threadID, actor: detail.target, kind });
+  counters.inc("enforcement", { kind });
+  analytics.trackEnforcement(threadID, kind, store.thread(threadID).timezone || DEFAULT_TZ);
+  emitEvent(MSG.PROTECTION, Object.assign({ kind, threadID }, detail));
+}
 
 async function startBot() {
-  // Use the client's login / createClient method. Nexus-FCA may accept { appState, agent }.
   try {
-    api = await new Promise((resolve, reject) => {
-      // adapt to either callback or promise style
-      const opts = {
-        appState,
-        userAgent: "Mozilla/5.0 (iPhone; CPU iPhone OS 15_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148 FBAV/400.0.0.0.0",
-        agent: proxyAgent
-      };
-
-      // Many FCA forks export a function like login(opts, cb) or createClient(opts). Try both.
-      try {
-        const maybe = fca(opts, (err, client) => {
-          if (err) return reject(err);
-          resolve(client);
-        });
-        // if the call returned a promise-like with then, use it
-        if (maybe && typeof maybe.then === "function") {
-          maybe.then(client => resolve(client)).catch(err => reject(err));
-        }
-      } catch (e) {
-        // try alternative API
-        try {
-          if (typeof fca.createClient === "function") {
-            fca.createClient(opts).then(resolve).catch(reject);
-          } else {
-            reject(e);
-          }
-        } catch (e2) {
-          reject(e2);
-        }
-      }
+    api = createClient(process.env.FCA_CLIENT, {
+      appState,
+      userAgent: "Mozilla/5.0 (iPhone; CPU iPhone OS 15_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148 FBAV/400.0.0.0.0",
+      agent: proxyAgent,
+      script: process.env.FAKE_SCRIPT
     });
   } catch (err) {
-    console.error("❌ LOGIN FAILED:", err);
-    process.exit(1);
+    logger.error("config", "❌ " + err.message);
+    process.exit(EXIT.CONFIG_ERROR);
   }
 
-  // set some safe options if provider supports them
   try {
-    if (api.setOptions) api.setOptions({ listenEvents: true, selfListen: true });
-  } catch {}
+    await api.login();
+  } catch (err) {
+    logger.error("login", "❌ LOGIN FAILED: " + (err && err.stack || err));
+    if (isLogoutError(err)) return sessionEnded(String(err && (err.message || err.error) || err));
+    process.exit(EXIT.LOGIN_FAILED);
+  }
 
-  log("🤖 BOT ONLINE (v2)");
+  logger.info("login", "🤖 BOT ONLINE (v2)");
+  loggedInAt = Date.now();
+  emitEvent(MSG.LOGGED_IN, { client: api.name, capabilities: api.capabilities });
+  if (messageCache.restored) logger.info("messageCache", `📂 ${messageCache.restored} cached message(s) restored`);
+  if (store.restored) logger.info("state", `📂 State restored for ${store.threadIDs().length} thread(s) (saved ${store.data.updatedAt || "unknown"})`);
+  logger.info("client", `🧩 Client capabilities — ${describeCapabilities(api)}`);
+
+  // offline runs: echo every recorded client call as a structured `action`
+  if (api.name === "fake") {
+    api.onAction(a => {
+      const action = Object.assign({}, a, { ts: undefined, message: undefined });
+      logger.debug("fake", `🧪 fake ${a.type} ${JSON.stringify(Object.assign({}, action, { type: undefined }))}`, { threadID: a.threadID, action });
+    });
+  }
 
   antiSleepLoop();
+  scheduler.start();
+  plugins.start();
 
-  // periodic save of appState (best-effort)
-  setInterval(async () => {
-    try {
-      const st = api.getAppState ? api.getAppState() : appState;
-      fs.writeFileSync(appStatePath, JSON.stringify(st, null, 2));
-      log("💾 AppState saved");
-    } catch (e) { /* ignore */ }
-  }, 10 * 60 * 1000);
-
-  // Listen to events (many FCA forks provide listen/stream/subscribe)
-  const listenFn = api.listen || api.listenMqtt || api.streamEvents || api.on;
-  if (!listenFn) {
-    log("⚠️ This FCA client does not expose a listen() method; event-driven features may not work.");
+  // session health check, then save of the refreshed cookies
+  checkSession();
+  setInterval(() => {
+    if (session.status !== "loggedOut") checkSession();
+  }, SESSION_CHECK_MS);
+
+  if (!api.capabilities.listen) {
+    logger.warn("client", "⚠️ This FCA client does not expose a listen() method; event-driven features may not work.");
+    return;
   }
+  api.listen((err, event) => eventHandler(err, event));
 
-  // adapt event listener based on API style
-  if (typeof api.listenMqtt === "function") {
-    api.listenMqtt((err, event) => eventHandler(err, event));
-  } else if (typeof api.listen === "function") {
-    api.listen((err, event) => eventHandler(err, event));
-  } else if (typeof api.on === "function") {
-    api.on("event", event => eventHandler(null, event));
-  } else {
-    log("⚠️ No known listener method found on the FCA client.");
+  // offline runs: play the scripted events
+  if (api.script && Array.isArray(api.script.events)) {
+    api.play(api.script.events, 50).then(() => logger.info("fake", "🎬 Fake script finished", { scriptDone: true }));
   }
 }
 
-// main event handler (keeps logic same as your original features)
-async function eventHandler(err, event) {
-  if (err) return log("❌ Listen error: " + err);
-
-  const senderID = String(event.senderID || "");
-  const threadID = String(event.threadID || "");
-  const bodyRaw = event.body || "";
-  const body = (bodyRaw || "").toLowerCase();
-
-  const incomingMsgId = extractMsgId(event);
-  if (event.type === "message" && incomingMsgId) {
-    messageCache[incomingMsgId] = {
-      sender: senderID,
-      body: bodyRaw,
-      ts: Date.now(),
-      threadID
-    };
-    // keep 30m cache
-    setTimeout(() => delete messageCache[incomingMsgId], 1000 * 60 * 30);
+// main event handler; raw client events are normalized first (lib/events.js)
+async function eventHandler(err, raw) {
+  // a dead listener never recovers on its own; exit and let the supervisor restart us
+  if (err) {
+    logger.error("listen", "❌ Listen error: " + err);
+    emitEvent(MSG.ERROR, { context: "listen", message: String(err) });
+    if (isLogoutError(err)) return sessionEnded(String(err && (err.message || err.error) || err));
+    return process.exit(1);
   }
 
-  // ADMIN HELP
-  if (body === "help" && senderID === BOSS_UID) {
-    const msg = `
-📜 COMMANDS:
-🔒 /gclock  → Lock GC name
-🧹 /gcremove → Remove GC name + Auto-remove ON
-🔐 /nicklock on <nick>  → Lock nickname
-🔓 /nicklock off → Unlock nickname
-💥 /nickremoveall → Clear all nicks + Auto-remove ON
-🛑 /nickremoveoff → Stop auto nick remove
-📌 /setnick @user <nick> → Set nick (or reply + /setnick <nick>)
-⚙️ /antion → Enable anti-out
-🛑 /antioff → Disable anti-out
-🕵️ /status → Show bot status
-📍 /uid → Show this threadID and your UID
-    `;
-    return api.sendMessage(msg.trim(), threadID);
+  const event = normalizeEvent(raw);
+  if (!event) return;
+  counters.inc("events", { type: event.type });
+  const threadID = event.threadID;
+  const settings = store.thread(threadID);
+  if (event.type !== "message" || event.senderID !== String(api.getCurrentUserID())) {
+    analytics.track(event, settings.timezone || DEFAULT_TZ);
+    if (event.type === "message") {
+      emitEvent(MSG.MESSAGE, { threadID, senderID: event.senderID, messageID: event.messageID, body: event.body, attachments: event.attachments.length });
+    }
   }
 
-  if (body === "/uid") {
-    try { await api.sendMessage(`📌 Thread ID: ${threadID}\n👤 Your UID: ${senderID}`, threadID); } catch {}
+  try {
+    if (event.type === "message") return await handleMessage(event, settings);
+    if (event.type === "rename") await handleRename(event, settings);
+    else if (event.type === "nickname") await handleNickname(event, settings);
+    else if (event.type === "added") await handleAdded(event, settings);
+    else if (event.type === "left" || event.type === "removed") await handleLeave(event, settings);
+    else if (event.type === "unsend") await handleUnsend(event, settings);
+    // plugin hooks (messages get theirs in handleMessage)
+    await plugins.dispatch(event, store.thread(threadID), roleOf(event.actorID, settings));
+  } catch (e) {
+    logger.error("eventHandler", `❌ Error handling ${event.type}: ${e}`, { threadID });
+    emitEvent(MSG.ERROR, { context: "eventHandler", threadID, message: String(e) });
   }
+}
 
-  // GCLOCK
-  if (body.startsWith("/gclock") && senderID === BOSS_UID) {
-    const newName = bodyRaw.slice(7).trim();
-    if (!newName) return api.sendMessage("❌ Provide a name", threadID);
-    GROUP_THREAD_ID = threadID;
-    LOCKED_GROUP_NAME = newName;
-    gcAutoRemoveEnabled = false;
-    await setTitleSafe(newName, threadID);
-    return api.sendMessage(`🔒 GC locked as "${newName}"`, threadID);
+async function handleMessage(event, settings) {
+  const { threadID, senderID, body } = event;
+
+  // only threads that opted in to unsend reposts have their messages cached
+  if (event.messageID && settings.unsendRepostEnabled && !settings.unsendExempt.includes(senderID)) {
+    messageCache.add({
+      messageID: event.messageID,
+      threadID,
+      senderID,
+      body,
+      attachments: event.attachments,
+      ttlMs: settings.unsendRetentionMin ? settings.unsendRetentionMin * 60 * 1000 : null
+    });
   }
 
-  if (body === "/gcremove" && senderID === BOSS_UID) {
-    await setTitleSafe("", threadID);
-    GROUP_THREAD_ID = threadID;
-    LOCKED_GROUP_NAME = null;
-    gcAutoRemoveEnabled = true;
-    return api.sendMessage("🧹 GC name removed. Auto-remove ON", threadID);
+  if (settings.moderationEnabled && await moderate(event, settings)) return;
+
+  // Commands (prefix + registry); plain "help" still works for staff
+  const prefix = settings.prefix || DEFAULT_PREFIX;
+  const ctx = {
+    api,
+    store,
+    logger,
+    registry,
+    event,
+    threadID,
+    senderID,
+    settings,
+    prefix,
+    ownerUID: BOSS_UID,
+    messageCache,
+    greeter,
+    plugins,
+    messages,
+    language: languageOf(settings),
+    t: messages.translator(languageOf(settings)),
+    moderator,
+    warnings,
+    scheduler,
+    analytics,
+    role: roleOf(senderID, settings),
+    reply: (text) => send(text, threadID, "reply"),
+    setNickSafe,
+    setTitleSafe
+  };
+  let handled = true;
+  try {
+    handled = await registry.dispatch(body.toLowerCase() === "help" && ctx.role !== "member" ? prefix + "help" : body, ctx);
+  } catch (e) {
+    logger.error("command", `❌ Command failed: ${e}`, { threadID, actor: senderID });
+  }
+  if (!handled) {
+    await autoReply(event, settings, ctx.role);
+    await plugins.dispatch(event, settings, ctx.role);
   }
+}
 
-  // NICKLOCK
-  if (body.startsWith("/nicklock on") && senderID === BOSS_UID) {
-    const requested = bodyRaw.split(" ").slice(2).join(" ").trim();
-    if (!requested) return api.sendMessage("❌ Provide a nickname", threadID);
-    lockedNick = requested;
-    nickLockEnabled = true;
-    try {
-      const info = await api.getThreadInfo(threadID);
-      if (info && Array.isArray(info.userInfo)) {
-        for (const u of info.userInfo) {
-          await setNickSafe(lockedNick, threadID, u.id);
-        }
-      }
-      return api.sendMessage(`🔐 Nickname locked as "${lockedNick}"`, threadID);
-    } catch (e) {
-      log("❌ Error applying nicklock: " + e);
-      return api.sendMessage("❌ Error applying nicklock");
+// Moderation (lib/moderation.js): true when the message was an offence and was dealt with.
+// The bot, bot staff (moderator and up) and group admins are exempt.
+async function moderate(event, settings) {
+  const { threadID, senderID } = event;
+  if (senderID === String(api.getCurrentUserID()) || roleLevel(roleOf(senderID, settings)) >= roleLevel("moderator")) return false;
+  const reason = moderator.check(threadID, senderID, event.body, settings);
+  if (!reason) return false;
+
+  const info = await api.getThreadInfo(threadID).catch(() => null);
+  if (adminIDsOf(info).includes(senderID)) {
+    logger.debug("moderation", `⏭️ Group admin ${senderID} not moderated (${reason})`, { threadID, actor: senderID });
+    return false;
+  }
+  const user = (info && (info.userInfo || []).find(u => String(u.id) === senderID));
+  const name = (user && user.name) || senderID;
+  const count = warnings.add(threadID, senderID, reason, settings);
+  let step = stepFor(count, settings.moderationSteps);
+  const detail = { target: senderID, reason, step, warnings: count };
+
+  if (step === "remove") {
+    const removed = await queued(() => api.removeUserFromGroup(senderID, threadID).then(() => true), { threadID, target: senderID, kind: "moderation" })
+      .catch(e => {
+        logger.error("moderation", `❌ Removing ${senderID} failed: ${e}`, { threadID, actor: senderID });
+        return false;
+      });
+    if (removed) {
+      warnings.clear(threadID, senderID);
+      moderator.reset(threadID, senderID);
+      await send(tr(threadID, "moderation.removed", { name, reason }), threadID, "moderation");
+      protectionTriggered("moderation", threadID, detail, `🚫 Removed ${senderID} from ${threadID}: ${reason} (${count} warnings)`);
+      return true;
     }
+    step = detail.step = "notice";
   }
 
-  if (body === "/nicklock off" && senderID === BOSS_UID) {
-    nickLockEnabled = false;
-    lockedNick = null;
-    return api.sendMessage("🔓 NickLock OFF", threadID);
+  if (step === "notice") {
+    await send(tr(threadID, "moderation.notice", { name, count, reason }), threadID, "moderation");
+    send(tr(BOSS_UID, "moderation.ownerNotice", { threadID, name, uid: senderID, reason, count }), BOSS_UID, "notify")
+      .catch(e => logger.warn("moderation", `⚠️ Notifying the owner failed: ${e}`, { threadID, actor: senderID }));
+  } else {
+    await send(tr(threadID, "moderation.warning", { name, count, reason }), threadID, "moderation");
   }
+  protectionTriggered("moderation", threadID, detail, `⚠️ ${step} for ${senderID} in ${threadID}: ${reason} (${count} warnings)`);
+  return true;
+}
 
-  if (body === "/nickremoveall" && senderID === BOSS_UID) {
-    nickRemoveEnabled = true;
-    try {
-      const info = await api.getThreadInfo(threadID);
-      if (info && Array.isArray(info.userInfo)) {
-        for (const u of info.userInfo) {
-          await setNickSafe("", threadID, u.id);
-        }
-      }
-      return api.sendMessage("💥 All nicknames cleared. Auto-remove ON", threadID);
-    } catch (e) {
-      log("❌ Error clearing nicks: " + e);
-      return api.sendMessage("❌ Error clearing nicks");
-    }
+// Keyword auto-replies (lib/auto-reply.js); the bot never answers itself
+async function autoReply(event, settings, role) {
+  const { threadID, senderID } = event;
+  if (!settings.autoReplies.length || senderID === String(api.getCurrentUserID())) return;
+  const trigger = autoReplier.find(threadID, settings.autoReplies, event.body, role);
+  if (!trigger) return;
+  logger.info("autoReply", `💬 Auto-reply #${trigger.id} (${trigger.match} "${trigger.pattern}")`, { threadID, actor: senderID });
+
+  if (trigger.reaction && event.messageID && api.capabilities.setMessageReaction) {
+    await queued(() => api.setMessageReaction(trigger.reaction, event.messageID).then(() => true), { threadID, kind: "autoReply" })
+      .catch(e => logger.warn("autoReply", `⚠️ Reaction failed: ${e}`, { threadID }));
   }
-
-  if (body === "/nickremoveoff" && senderID === BOSS_UID) {
-    nickRemoveEnabled = false;
-    return api.sendMessage("🛑 Auto nick remove OFF", threadID);
+  const text = autoReplier.pickReply(trigger);
+  let file = trigger.attachment ? autoReplier.mediaPath(trigger.attachment) : null;
+  if (file && !fs.existsSync(file)) {
+    logger.warn("autoReply", `⚠️ Auto-reply #${trigger.id} attachment missing: ${file}`, { threadID });
+    file = null;
   }
+  if (!text && !file) return;
+  // the stream is opened when the queue runs the send, so a dropped reply leaks nothing
+  await queued(() => api.sendMessage(file ? { body: text || "", attachment: fs.createReadStream(file) } : text, threadID),
+    { threadID, kind: "autoReply" });
+}
 
-  // setnick
-  if (body.startsWith("/setnick") && senderID === BOSS_UID) {
-    const target = parseMentionTarget(event);
-    let requestedNick = bodyRaw.split(" ").slice(1).join(" ").trim();
-    if (!target && !event.messageReply) return api.sendMessage("❌ Mention or reply required", threadID);
-    if (!requestedNick) return api.sendMessage("❌ Provide nickname", threadID);
-    const victimId = target || String(event.messageReply.senderID);
-    await setNickSafe(requestedNick, threadID, victimId);
-    return api.sendMessage(`✅ Nick set for ${victimId}`, threadID);
+async function handleRename(event, settings) {
+  const { threadID, name } = event;
+  if (settings.lockedGroupName && name !== settings.lockedGroupName) {
+    if (await setTitleSafe(settings.lockedGroupName, threadID, "gcLock")) {
+      protectionTriggered("gcLock", threadID, { from: name, to: settings.lockedGroupName, by: event.actorID },
+        `🔒 GC name reverted to "${settings.lockedGroupName}" in ${threadID}`);
+    }
+  } else if (settings.gcAutoRemoveEnabled && name !== "") {
+    if (await setTitleSafe("", threadID, "gcRemove")) {
+      protectionTriggered("gcRemove", threadID, { from: name, by: event.actorID },
+        `🧹 GC name auto-removed in ${threadID}: ${name}`);
+    }
   }
+}
 
-  // ANTI-OUT
-  if (body === "/antion" && senderID === BOSS_UID) {
-    antiOutEnabled = true;
-    return api.sendMessage("✅ Anti-Out ENABLED", threadID);
+async function handleNickname(event, settings) {
+  const { threadID, targetID, nickname } = event;
+  if (!targetID) return;
+  if (settings.nickLockEnabled && settings.lockedNick && nickname !== settings.lockedNick) {
+    if (await setNickSafe(settings.lockedNick, threadID, targetID, "nickLock")) {
+      protectionTriggered("nickLock", threadID, { target: targetID, from: nickname, to: settings.lockedNick, by: event.actorID },
+        `🔐 Nick reverted for ${targetID} in ${threadID}`);
+    }
   }
-  if (body === "/antioff" && senderID === BOSS_UID) {
-    antiOutEnabled = false;
-    return api.sendMessage("🛑 Anti-Out DISABLED", threadID);
+  if (settings.nickRemoveEnabled && nickname !== "") {
+    if (await setNickSafe("", threadID, targetID, "nickRemove")) {
+      protectionTriggered("nickRemove", threadID, { target: targetID, from: nickname, by: event.actorID },
+        `💥 Nick auto-removed for ${targetID} in ${threadID}`);
+    }
   }
+}
+
+// New members get the welcome (and rules) message; the bot's own re-adds don't count
+async function handleAdded(event, settings) {
+  const { threadID, actorID } = event;
+  const botID = String(api.getCurrentUserID());
+  const ids = event.targetIDs.filter(id => id !== botID);
+  logger.info("member", `👋 ${ids.join(", ") || "Nobody new"} added${actorID ? " by " + actorID : ""}`, { threadID, by: actorID });
+  if (actorID === botID || !ids.length) return;
+  await greeter.joined(threadID, settings, ids, event.names);
+}
 
-  if (body === "/status" && senderID === BOSS_UID) {
-    const msg = `
-BOT STATUS:
-• GC Lock: ${LOCKED_GROUP_NAME || "OFF"}
-• GC AutoRemove: ${gcAutoRemoveEnabled ? "ON" : "OFF"}
-• NickLock: ${nickLockEnabled ? lockedNick : "OFF"}
-• NickRemove: ${nickRemoveEnabled ? "ON" : "OFF"}
-• Anti-Out: ${antiOutEnabled ? "ON" : "OFF"}
-    `;
-    return api.sendMessage(msg.trim(), threadID);
+// A member left or was removed: anti-out may add them back, otherwise say farewell
+async function handleLeave(event, settings) {
+  const { threadID, targetID, actorID } = event;
+  emitEvent(MSG.MEMBER_LEFT, { threadID, targetID, actorID, removed: event.type === "removed" });
+  if (!settings.antiOutEnabled) {
+    logger.info("member", `👋 ${targetID || "Someone"} ${event.type === "left" ? "left" : "was removed"}`, { threadID, actor: targetID, by: actorID });
+  } else if (await antiOutReadd(event, settings)) {
+    return;
   }
+  if (targetID && targetID !== String(api.getCurrentUserID())) await greeter.left(threadID, settings, targetID);
+}
 
-  // Event protections & logs (adapt to event fields)
+// anti-out: only a kick by a non-admin is undone (lib/anti-out.js explains the rules); true when re-added
+async function antiOutReadd(event, settings) {
+  const { threadID, targetID, actorID } = event;
+  const who = { threadID, actor: targetID, by: actorID };
   try {
-    // thread name changes
-    if (event.logMessageType === "log:thread-name") {
-      const changed = event.logMessageData?.name || "";
-      if (LOCKED_GROUP_NAME && threadID === GROUP_THREAD_ID && changed !== LOCKED_GROUP_NAME) {
-        await setTitleSafe(LOCKED_GROUP_NAME, threadID);
-        log(`🔒 GC name reverted to "${LOCKED_GROUP_NAME}"`);
-      } else if (gcAutoRemoveEnabled && changed !== "") {
-        await setTitleSafe("", threadID);
-        log(`🧹 GC name auto-removed: ${changed}`);
-      }
+    const info = await api.getThreadInfo(threadID);
+    const decision = isGroupThreadInfo(info)
+      ? antiOut.decide({
+        threadID,
+        settings,
+        leftUID: targetID,
+        actorUID: actorID,
+        botID: String(api.getCurrentUserID()),
+        adminIDs: adminIDsOf(info),
+        isStaff: (id) => roleLevel(roleOf(id, settings)) >= roleLevel("moderator")
+      })
+      : { readd: false, reason: "not a group thread" };
+    logger.info("antiOut", `${decision.readd ? "🚨 Re-adding" : "⏭️ Not re-adding"} ${targetID || "unknown user"}: ${decision.reason}`,
+      Object.assign({ reason: decision.reason }, who));
+    if (!decision.readd) return false;
+
+    const attempt = antiOut.recordAttempt(threadID, targetID);
+    const added = await queued(() => api.addUserToGroup(targetID, threadID).then(() => true),
+      { threadID, target: targetID, kind: "antiOut", revert: true });
+    if (added) {
+      await send(tr(threadID, "antiout.readded", { user: targetID }), threadID);
+      protectionTriggered("antiOut", threadID, { target: targetID, by: actorID, reason: decision.reason, attempt },
+        `🚨 Anti-Out: Added back ${targetID} to ${threadID} (${decision.reason}, attempt ${attempt} today)`);
     }
+    return !!added;
+  } catch (e) {
+    logger.error("antiOut", "❌ Anti-out addUserToGroup failed: " + e, who);
+    emitEvent(MSG.ERROR, { context: "antiOut", threadID, message: String(e) });
+    return false;
+  }
+}
 
-    // nickname changes
-    if (event.logMessageType === "log:user-nickname" || event.logMessageType === "log:user-nick") {
-      const changedUID = event.logMessageData?.participant_id || event.logMessageData?.participantID;
-      const newNick = event.logMessageData?.nickname || "";
-      if (nickLockEnabled && lockedNick && newNick !== lockedNick) {
-        await setNickSafe(lockedNick, threadID, changedUID);
-        log(`🔐 Nick reverted for ${changedUID}`);
-      }
-      if (nickRemoveEnabled && newNick !== "") {
-        await setNickSafe("", threadID, changedUID);
-        log(`💥 Nick auto-removed for ${changedUID}`);
-      }
-    }
+async function handleUnsend(event, settings) {
+  if (!settings.unsendRepostEnabled) return;
+  const { threadID, actorID } = event;
 
-    // anti-out handling: when someone removed/left
-    if (
-      ["log:unsubscribe", "log:remove", "log:remove-participant", "log:user-left"].includes(event.logMessageType)
-      || (typeof event.logMessageType === "string" && event.logMessageType.includes("remove"))
-    ) {
-      const leftUID =
-        event.logMessageData?.leftParticipantFbId ||
-        event.logMessageData?.leftParticipantId ||
-        event.logMessageData?.user_id ||
-        event.logMessageData?.actorFbId ||
-        event.logMessageData?.participantId ||
-        event.logMessageData?.authorId ||
-        null;
-      if (!leftUID) {
-        log("⚠️ Anti-out event but leftUID not found");
-      } else {
-        log(`⚠️ Detected leave/remove: ${leftUID} in ${threadID} (antiOut=${antiOutEnabled})`);
-        if (antiOutEnabled) {
-          try {
-            const info = await api.getThreadInfo(threadID);
-            if (isGroupThreadInfo(info)) {
-              await api.addUserToGroup(String(leftUID), threadID);
-              await api.sendMessage(`🚨 Anti-Out: Added back ${leftUID}`, threadID);
-              log(`🚨 Anti-Out: Added back ${leftUID} to ${threadID}`);
-            }
-          } catch (e) {
-            log("❌ Anti-out addUserToGroup failed: " + e);
-          }
-        }
-      }
-    }
+  // no usable ID: fall back to the sender's most recent message in this thread
+  let cached = event.messageID ? messageCache.get(event.messageID) : null;
+  if (!cached && actorID) cached = messageCache.latestBy(threadID, actorID);
 
-    // unsend detection
-    const isUnsendEvent =
-      event.type === "message_unsend" ||
-      event.logMessageType === "log:thread-message-deleted" ||
-      event.logMessageType === "log:message_unsend";
-
-    if (isUnsendEvent) {
-      try {
-        const unsendBy =
-          event.senderID ||
-          event.logMessageData?.actorFbId ||
-          event.logMessageData?.authorId ||
-          event.logMessageData?.adminId ||
-          null;
-
-        let deletedMessageId =
-          extractMsgId(event) || event.logMessageData?.messageID || event.logMessageData?.message_id || null;
-
-        let cached = deletedMessageId ? messageCache[deletedMessageId] : null;
-        if (!cached && unsendBy) {
-          // search for recent message from same sender
-          const now = Date.now();
-          let candidate = null;
-          for (const [mid, entry] of Object.entries(messageCache)) {
-            const item = entry;
-            if (String(item.sender) === String(unsendBy) && (now - item.ts) < (1000 * 60 * 30)) {
-              if (!candidate || item.ts > candidate.ts) candidate = { mid, entry: item };
-            }
-          }
-          if (candidate) {
-            deletedMessageId = candidate.mid;
-            cached = candidate.entry;
-          }
-        }
-
-        if (cached && cached.body && cached.body.trim() !== "") {
-          const txt = `🗑️ Deleted message: "${cached.body}"`;
-          try { await api.sendMessage(txt, threadID); } catch {}
-          log(`🗑️ Unsend by ${unsendBy} in ${threadID} — "${cached.body}"`);
-        } else {
-          const txt = `🗑️ A message was deleted (content not cached).`;
-          try { await api.sendMessage(txt, threadID); } catch {}
-          log(`🗑️ Unsend by ${unsendBy} in ${threadID} — content not cached`);
-        }
-      } catch (e) {
-        log("❌ Error handling unsend event: " + e);
-      }
-    }
-  } catch (e) {
-    log("❌ Error in event handling: " + e);
+  if (!cached || (cached.body.trim() === "" && !cached.attachments.length)) {
+    return logger.debug("unsend", "🗑️ Unsend — content not cached", { threadID, actor: actorID });
+  }
+  messageCache.remove(cached.messageID);
+  const toAdmin = settings.unsendDestination === "admin";
+  const dest = toAdmin ? BOSS_UID : threadID;
+  const lines = [toAdmin ? tr(BOSS_UID, "unsend.repostAdmin", { user: cached.senderID, threadID }) : tr(threadID, "unsend.repost")];
+  if (cached.body.trim()) lines.push(`"${cached.body}"`);
+  for (const att of cached.attachments) {
+    lines.push(tr(dest, "unsend.attachment", {
+      type: att.type || tr(dest, "unsend.attachmentType"),
+      name: att.name ? " " + att.name : "",
+      url: att.url ? ": " + att.url : ""
+    }));
   }
+  try { await send(lines.join("\n"), dest); } catch {}
+  logger.info("unsend", `🗑️ Unsend reposted to ${settings.unsendDestination} (+${cached.attachments.length} attachment(s))`, { threadID, actor: actorID });
+}
+
+// Heartbeat so the panel's supervisor knows this process is alive; exit with the panel
+if (process.send) {
+  const heartbeat = () => emitEvent(MSG.HEARTBEAT, Object.assign(processSnapshot(counters), { queue: queue.stats() }));
+  setInterval(heartbeat, 15000);
+  heartbeat();
+  process.on("disconnect", () => process.exit(0));
 }
 
+// Requests from the panel (lib/ipc.js)
+serveRequests({
+  [MSG.GET_STATUS]: () => ({
+    uid: String(uid),
+    pid: process.pid,
+    loggedIn: !!loggedInAt,
+    loggedInAt,
+    uptimeMs: Date.now() - startedAt,
+    client: api ? api.name : null,
+    capabilities: api ? api.capabilities : {},
+    memory: process.memoryUsage().rss,
+    queue: queue.stats(),
+    messageCache: messageCache.stats(),
+    schedules: scheduler.stats(),
+    plugins: plugins.list(),
+    session,
+    threads: store.data.threads
+  }),
+
+  [MSG.SET_THREAD]: async ({ threadID, settings }) => {
+    if (!threadID) throw new Error("threadID required");
+    const next = store.updateThread(threadID, settings || {});
+    logger.info("panel", "🛠️ Thread settings updated from panel", { threadID });
+    // apply a new name lock right away instead of waiting for the next rename
+    if (settings && settings.lockedGroupName && api && loggedInAt) {
+      setTitleSafe(settings.lockedGroupName, threadID).catch(() => {});
+    }
+    return next;
+  },
+
+  [MSG.REPLACE_STATE]: (doc) => {
+    const next = store.replaceThreads(doc);
+    logger.info("panel", "🛠️ All thread settings replaced from panel", { threads: store.threadIDs().length });
+    return next;
+  },
+
+  [MSG.SET_PLUGIN]: ({ name, enabled }) => plugins.setEnabled(String(name), !!enabled),
+
+  [MSG.RELOAD_CONFIG]: () => {
+    store.reload();
+    messages.setOverrides(readOverrides(messagesPath));
+    logger.info("panel", "📂 State and reply templates reloaded from panel");
+    return { threads: store.threadIDs().length };
+  },
+
+  [MSG.SEND_MESSAGE]: async ({ threadID, body }) => {
+    if (!api || !loggedInAt) throw new Error("not logged in");
+    if (!threadID || !body) throw new Error("threadID and body required");
+    return queue.run(() => api.sendMessage(String(body), String(threadID)), { threadID: String(threadID), kind: "panel" });
+  },
+
+  [MSG.SHUTDOWN]: () => {
+    logger.info("shutdown", "👋 Shutting down on panel request");
+    try {
+      if (api && loggedInAt) saveAppState();
+    } catch (e) {
+      logger.warn("shutdown", "⚠️ Final AppState save failed: " + e);
+    }
+    queue.stop();
+    messageCache.stop();
+    scheduler.stop();
+    plugins.stop();
+    analytics.stop();
+    if (api) api.stop();
+    setTimeout(() => process.exit(0), 100);
+    return { saved: !!loggedInAt };
+  }
+});
+
 // Start
+emitEvent(MSG.STARTED, { pid: process.pid });
 startBot().catch(err => {
-  console.error("❌ startBot error:", err);
+  logger.error("startup", "❌ startBot error: " + (err && err.stack || err));
   process.exit(1);
 });
@@ -1,18 +1,37 @@
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
-const { fork } = require('child_process');
 const http = require('http');
 const { Server } = require('socket.io');
+const auth = require('./lib/auth');
+const { createSecretStore } = require('./lib/secret-store');
+const { redact } = require('./lib/redact');
+const botState = require('./lib/state');
+const { createSupervisor } = require('./lib/supervisor');
+const { MSG } = require('./lib/ipc');
+const { appendHistory, readHistory } = require('./lib/history');
+const { appendRecord, queryLogs, formatRecord, enforceRetention } = require('./lib/log-store');
+const { readSchedules, upcoming, DEFAULT_TZ } = require('./lib/scheduler');
+const { readAnalytics, summarize, toCSV, lastDays, RETENTION_DAYS } = require('./lib/analytics');
+const { validateAppState } = require('./lib/appstate');
+const { formatMetrics, botFamilies } = require('./lib/metrics');
+const { listPluginFiles, readPluginConfig, pluginSettingsValidator } = require('./lib/plugins');
+const { createWebhookDispatcher, sanitizeWebhook, readDeliveries, EVENTS: WEBHOOK_EVENTS } = require('./lib/webhooks');
+const { BUNDLES, readOverrides, sanitizeOverrides } = require('./lib/i18n');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const USERS_DIR = path.join(__dirname, 'users');
 const MAX_USERS = 20;
+const PLUGINS_DIR = path.resolve(process.env.PLUGINS_DIR || path.join(__dirname, 'plugins'));
+const validatePluginSettings = pluginSettingsValidator(PLUGINS_DIR);
+const secrets = createSecretStore();
 
 // Create users folder if not exists
 if (!fs.existsSync(USERS_DIR)) fs.mkdirSync(USERS_DIR, { recursive: true });
 
+auth.ensureBootstrapOperator();
+
 // Middleware
 app.use(express.json({ limit: '8mb' }));
 app.use(express.static('public'));
@@ -20,33 +39,190 @@ app.use(express.static('public'));
 const server = http.createServer(app);
 const io = new Server(server, { cors: { origin: '*' } });
 
-// Map to keep track of running bots
-let processes = {};
+// Outbound webhooks (lib/webhooks.js): bot IPC events and supervisor state changes → owner endpoints
+const webhooks = createWebhookDispatcher({ usersDir: USERS_DIR });
+const WEBHOOK_EVENT_OF = {
+  [MSG.MESSAGE]: 'message.received',
+  [MSG.COMMAND]: 'command.executed',
+  [MSG.MEMBER_LEFT]: 'member.left',
+  [MSG.PROTECTION]: 'enforcement',
+  [MSG.ACTION_STORM]: 'enforcement'
+};
+
+// every exit of a bot that should be running ends in backoff (restart) or failed
+function lifecycleWebhook(uid, state) {
+  const data = { state: state.state, reason: state.reason, restarts: state.restarts, lastExit: state.lastExit || null };
+  if (state.state === 'running') webhooks.emit(uid, 'bot.started', Object.assign(data, { pid: state.pid }));
+  else if (state.state === 'stopped') webhooks.emit(uid, 'bot.stopped', data);
+  else if (state.state === 'backoff' || state.state === 'failed') webhooks.emit(uid, 'bot.crashed', Object.assign(data, { willRestart: state.state === 'backoff' }));
+}
+
+// Supervisor keeps bot processes alive (restart with backoff, heartbeats)
+const supervisor = createSupervisor({
+  botScript: path.join(__dirname, 'bot.js'),
+  onLog: (uid, record) => {
+    const clean = redactRecord(record);
+    appendRecord(path.join(USERS_DIR, uid), clean);
+    io.to(uid).emit('botlog', clean);
+  },
+  onState: (uid, state) => {
+    io.to(uid).emit('botstate', state);
+    lifecycleWebhook(uid, state);
+  },
+  // typed child events (started, loggedIn, protection, storms, session health, error) for the panel;
+  // message / command / member-left activity only feeds webhooks
+  onMessage: (uid, msg) => {
+    if (msg.type === MSG.PROTECTION || msg.type === MSG.ACTION_STORM) appendHistory(path.join(USERS_DIR, uid), msg.payload);
+    if (WEBHOOK_EVENT_OF[msg.type]) webhooks.emit(uid, WEBHOOK_EVENT_OF[msg.type], Object.assign({ type: msg.type }, msg.payload));
+    if (msg.type !== MSG.MESSAGE && msg.type !== MSG.COMMAND && msg.type !== MSG.MEMBER_LEFT) io.to(uid).emit('botevent', msg);
+  }
+});
+
+// Ask a running bot something over IPC; maps failures to HTTP errors
+async function botRequest(res, uid, type, payload) {
+  try {
+    return await supervisor.request(uid, type, payload);
+  } catch (e) {
+    res.status(supervisor.isRunning(uid) ? 502 : 409).send(`❌ ${e.message}`);
+    return undefined;
+  }
+}
+
+// Panel username that started the bot for this UID
+function getBotOwner(uid) {
+  try {
+    return fs.readFileSync(path.join(USERS_DIR, String(uid), 'owner.txt'), 'utf-8').trim();
+  } catch (e) {
+    return null;
+  }
+}
+
+// Bots started before panel accounts existed have no owner.txt; they go to the operator
+// instead of whoever starts them first. Runs at boot and when the first operator registers.
+function assignUnownedBots(operator = auth.firstOperator()) {
+  if (!operator) return [];
+  const assigned = fs.readdirSync(USERS_DIR)
+    .filter(uid => /^\d+$/.test(uid) && fs.statSync(path.join(USERS_DIR, uid)).isDirectory() && !getBotOwner(uid));
+  for (const uid of assigned) fs.writeFileSync(path.join(USERS_DIR, uid, 'owner.txt'), operator);
+  if (assigned.length) console.log(`👑 Assigned ${assigned.length} bot(s) without an owner to ${operator}: ${assigned.join(', ')}`);
+  return assigned;
+}
+
+// Log retention (lib/log-store.js) for every bot, including ones that stopped logging
+function pruneLogs() {
+  for (const uid of fs.readdirSync(USERS_DIR)) {
+    if (fs.statSync(path.join(USERS_DIR, uid)).isDirectory()) enforceRetention(path.join(USERS_DIR, uid));
+  }
+}
+
+// Express middleware: the bot named by ?uid= must belong to the logged-in account
+function requireBotAccess(req, res, next) {
+  const uid = req.query.uid || req.params.uid;
+  if (!uid) return res.status(400).send('❌ UID missing.');
+  if (!/^\d+$/.test(String(uid))) return res.status(400).send('❌ UID must be numeric.');
+  if (!auth.canAccessBot(req.account, getBotOwner(uid))) return res.status(403).send('❌ Not your bot.');
+  req.uid = String(uid);
+  next();
+}
+
+// Socket.io for live logs (session token required, rooms limited to own bots)
+io.use((socket, next) => {
+  const account = auth.getSessionAccount(socket.handshake.auth && socket.handshake.auth.token);
+  if (!account) return next(new Error('unauthorized'));
+  socket.data.account = account;
+  next();
+});
 
-// Socket.io for live logs
 io.on('connection', (socket) => {
   socket.on('join', (uid) => {
-    socket.join(uid);
+    if (!uid || !auth.canAccessBot(socket.data.account, getBotOwner(uid))) return;
+    socket.join(String(uid));
   });
 });
 
-// Append logs to file
-function appendLog(userDir, text) {
+// Scrub cookie values from every string field before a log record is stored or streamed
+function redactRecord(record) {
+  const clean = {};
+  for (const [key, value] of Object.entries(record)) clean[key] = typeof value === 'string' ? redact(value) : value;
+  return clean;
+}
+
+// --- Panel accounts ---
+app.post('/register', (req, res, next) => {
+  // The first account becomes the operator, so it can only be created from the panel host itself
+  // (or seeded with PANEL_ADMIN_USER / PANEL_ADMIN_PASSWORD); afterwards only operators (or open signup) register
+  if (!auth.hasAccounts()) {
+    if (auth.isLoopback(req)) return next();
+    return res.status(403).send('❌ Create the first (operator) account from the panel host or with PANEL_ADMIN_USER / PANEL_ADMIN_PASSWORD.');
+  }
+  if (process.env.PANEL_OPEN_SIGNUP === '1') return next();
+  auth.requireAuth(req, res, () => auth.requireOperator(req, res, next));
+}, (req, res) => {
+  const { username, password } = req.body || {};
+  const firstAccount = !auth.hasAccounts();
+  const role = firstAccount ? 'operator' : (req.account && req.account.role === 'operator' && req.body.role) || 'owner';
   try {
-    const logFile = path.join(userDir, 'logs.txt');
-    fs.appendFileSync(logFile, text + "\n");
+    const account = auth.createAccount(username, password, role);
+    if (firstAccount) assignUnownedBots(account.username);
+    res.json(account);
   } catch (e) {
-    console.error('Failed writing logs:', e);
+    res.status(400).send(`❌ ${e.message}`);
   }
-}
+});
+
+app.post('/login', (req, res) => {
+  const { username, password } = req.body || {};
+  const account = auth.verifyPassword(username, password);
+  if (!account) return res.status(401).send('❌ Invalid username or password.');
+  res.json({ token: auth.createSession(account.username), ...account });
+});
+
+app.post('/logout', auth.requireAuth, (req, res) => {
+  auth.destroySession(req.sessionToken);
+  res.send('👋 Logged out.');
+});
+
+app.get('/me', auth.requireAuth, (req, res) => {
+  res.json(req.account);
+});
+
+// --- List bots visible to this account ---
+app.get('/bots', auth.requireAuth, (req, res) => {
+  const bots = fs.readdirSync(USERS_DIR)
+    .filter(uid => fs.existsSync(path.join(USERS_DIR, uid, 'appstate.json')))
+    .map(uid => Object.assign(supervisor.get(uid), { uid, owner: getBotOwner(uid), running: supervisor.isRunning(uid) }))
+    .filter(bot => auth.canAccessBot(req.account, bot.owner));
+  res.json(bots);
+});
 
 // --- Start bot ---
-app.post('/start-bot', (req, res) => {
+app.post('/start-bot', auth.requireAuth, (req, res) => {
   const { appstate, admin } = req.body;
   if (!appstate || !admin) return res.status(400).send('❌ Admin UID or AppState missing.');
+  if (!/^\d+$/.test(String(admin))) return res.status(400).send('❌ Admin UID must be a numeric Facebook ID.');
+
+  // Reject sessions that can't log in before anything is written or started
+  let appStateObj;
+  try {
+    appStateObj = typeof appstate === 'string' ? JSON.parse(appstate) : appstate;
+  } catch (e) {
+    return res.status(400).send(`❌ AppState is not valid JSON: ${e.message}`);
+  }
+  const check = validateAppState(appStateObj, { uid: String(admin) });
+  if (!check.ok) return res.status(400).send(`❌ AppState rejected:\n${check.errors.map(e => '• ' + e).join('\n')}`);
 
   const userDir = path.join(USERS_DIR, String(admin));
 
+  // A UID already bound to another owner can only be restarted by that owner (or an operator)
+  const existingOwner = getBotOwner(admin);
+  if (existingOwner && !auth.canAccessBot(req.account, existingOwner)) {
+    return res.status(403).send('❌ This UID belongs to another panel account.');
+  }
+  // an unowned legacy bot (no operator yet to assign it to) isn't up for grabs
+  if (!existingOwner && fs.existsSync(userDir) && req.account.role !== 'operator') {
+    return res.status(403).send('❌ This UID has an existing bot without an owner; an operator has to claim it.');
+  }
+
   // Check active users count
   const currentUsers = fs.readdirSync(USERS_DIR).filter(uid =>
     fs.existsSync(path.join(USERS_DIR, uid, 'appstate.json'))
@@ -59,77 +235,310 @@ app.post('/start-bot', (req, res) => {
   if (!fs.existsSync(userDir)) fs.mkdirSync(userDir, { recursive: true });
 
   try {
-    const appStateObj = typeof appstate === 'string' ? JSON.parse(appstate) : appstate;
-    fs.writeFileSync(path.join(userDir, 'appstate.json'), JSON.stringify(appStateObj, null, 2));
+    secrets.write(path.join(userDir, 'appstate.json'), appStateObj);
     fs.writeFileSync(path.join(userDir, 'admin.txt'), String(admin));
+    if (!existingOwner) fs.writeFileSync(path.join(userDir, 'owner.txt'), req.account.username);
 
-    const logPath = path.join(userDir, 'logs.txt');
-    fs.writeFileSync(logPath, `📂 Logs started at ${new Date().toISOString()}\n`);
+    appendRecord(userDir, { ts: new Date().toISOString(), level: 'info', event: 'panel', msg: `📂 Started by ${req.account.username}` });
 
-    // Kill previous bot if running
-    if (processes[admin]) {
-      try { processes[admin].kill(); } catch (e) {}
-    }
+    // Restarts the bot if it was already running
+    supervisor.start(String(admin));
 
-    // Fork bot.js
-    const child = fork(path.join(__dirname, 'bot.js'), [String(admin)], { silent: true });
-
-    // Capture stdout
-    child.stdout.on('data', (data) => {
-      const text = data.toString().trim();
-      appendLog(userDir, text);
-      io.to(String(admin)).emit('botlog', text);
-    });
-
-    // Capture stderr
-    child.stderr.on('data', (data) => {
-      const text = data.toString().trim();
-      appendLog(userDir, `[ERR] ${text}`);
-      io.to(String(admin)).emit('botlog', `[ERR] ${text}`);
-    });
-
-    // On exit
-    child.on('exit', (code) => {
-      const msg = `🔴 Bot exited with code ${code} at ${new Date().toISOString()}`;
-      appendLog(userDir, msg);
-      io.to(String(admin)).emit('botlog', msg);
-      delete processes[admin];
-    });
-
-    processes[admin] = child;
-
-    res.send(`✅ Bot started successfully for UID: ${admin}`);
+    res.send(`✅ Bot started successfully for UID: ${admin}${check.warnings.map(w => '\n⚠️ ' + w).join('')}`);
   } catch (err) {
     console.error(err);
-    res.status(500).send('❌ Invalid AppState JSON or internal error.');
+    res.status(500).send('❌ Failed to save AppState or start the bot.');
   }
 });
 
 // --- Stop bot ---
-app.get('/stop-bot', (req, res) => {
-  const { uid } = req.query;
-  if (!uid) return res.status(400).send('❌ UID missing.');
-  if (!processes[uid]) return res.send('⚠️ Bot not running.');
-
+app.get('/stop-bot', auth.requireAuth, requireBotAccess, (req, res) => {
+  const uid = req.uid;
   try {
-    processes[uid].kill();
-    delete processes[uid];
+    if (!supervisor.stop(uid)) return res.send('⚠️ Bot not running.');
     res.send(`🔴 Bot stopped for UID: ${uid}`);
   } catch (e) {
     res.status(500).send('❌ Failed to stop bot.');
   }
 });
 
+// --- View / edit persisted bot state ---
+app.get('/bots/:uid/state', auth.requireAuth, requireBotAccess, (req, res) => {
+  res.json(botState.readState(path.join(USERS_DIR, req.uid, 'state.json')));
+});
+
+// Replace every thread's settings (threads missing from the body are unmanaged).
+// Edits go through the bot when it is running, so it owns state.json; either way
+// they pass the same checks as chat commands, plugin settings included.
+app.put('/bots/:uid/state', auth.requireAuth, requireBotAccess, async (req, res) => {
+  const stateFile = path.join(USERS_DIR, req.uid, 'state.json');
+  if (!fs.existsSync(path.dirname(stateFile))) return res.status(404).send('❌ Unknown bot.');
+  let doc;
+  try {
+    doc = botState.sanitizeState(req.body, validatePluginSettings);
+  } catch (e) {
+    return res.status(400).send(`❌ ${e.message}`);
+  }
+
+  if (supervisor.isRunning(req.uid)) {
+    const state = await botRequest(res, req.uid, MSG.REPLACE_STATE, doc);
+    if (state !== undefined) res.json(state);
+    return;
+  }
+  res.json(botState.createStateStore(stateFile, { validate: validatePluginSettings }).replaceThreads(doc));
+});
+
+// Update one thread's settings (through the bot when it is running, like PUT /state)
+app.patch('/bots/:uid/threads/:threadID', auth.requireAuth, requireBotAccess, async (req, res) => {
+  const stateFile = path.join(USERS_DIR, req.uid, 'state.json');
+  if (!fs.existsSync(path.dirname(stateFile))) return res.status(404).send('❌ Unknown bot.');
+  let patch;
+  try {
+    patch = botState.sanitizeState({ threads: { [req.params.threadID]: req.body } }, validatePluginSettings).threads[req.params.threadID];
+  } catch (e) {
+    return res.status(400).send(`❌ ${e.message}`);
+  }
+
+  if (supervisor.isRunning(req.uid)) {
+    const settings = await botRequest(res, req.uid, MSG.SET_THREAD, { threadID: req.params.threadID, settings: patch });
+    if (settings !== undefined) res.json(settings);
+    return;
+  }
+
+  res.json(botState.createStateStore(stateFile, { validate: validatePluginSettings }).updateThread(req.params.threadID, patch));
+});
+
+// --- Status: supervisor view plus live status from the bot when running ---
+app.get('/bots/:uid/status', auth.requireAuth, requireBotAccess, async (req, res) => {
+  const status = supervisor.get(req.uid);
+  if (supervisor.isRunning(req.uid)) {
+    try {
+      status.bot = await supervisor.request(req.uid, MSG.GET_STATUS, {}, 5000);
+    } catch (e) {
+      status.botError = e.message;
+    }
+  }
+  res.json(status);
+});
+
+// --- Enforcement history (newest first) ---
+app.get('/bots/:uid/history', auth.requireAuth, requireBotAccess, (req, res) => {
+  const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 50));
+  res.json(readHistory(path.join(USERS_DIR, req.uid), { threadID: req.query.threadID, limit }));
+});
+
+// --- Plugins: bot-wide switches (users/<uid>/plugins.json); per-thread ones are thread settings ---
+app.get('/bots/:uid/plugins', auth.requireAuth, requireBotAccess, async (req, res) => {
+  if (supervisor.isRunning(req.uid)) {
+    const status = await botRequest(res, req.uid, MSG.GET_STATUS, {});
+    if (status !== undefined) res.json(status.plugins);
+    return;
+  }
+  // stopped: only names, plugin code runs in the bot process
+  const { disabled } = readPluginConfig(path.join(USERS_DIR, req.uid, 'plugins.json'));
+  res.json(listPluginFiles(PLUGINS_DIR).map(name => ({ name, enabled: !disabled.includes(name) })));
+});
+
+app.put('/bots/:uid/plugins/:name', auth.requireAuth, requireBotAccess, async (req, res) => {
+  const { name } = req.params;
+  const enabled = req.body && req.body.enabled;
+  if (typeof enabled !== 'boolean') return res.status(400).send('❌ Send { "enabled": true } or { "enabled": false }.');
+  if (!listPluginFiles(PLUGINS_DIR).includes(name)) return res.status(404).send('❌ Unknown plugin.');
+  if (!fs.existsSync(path.join(USERS_DIR, req.uid))) return res.status(404).send('❌ Unknown bot.');
+
+  if (supervisor.isRunning(req.uid)) {
+    const plugin = await botRequest(res, req.uid, MSG.SET_PLUGIN, { name, enabled });
+    if (plugin !== undefined) res.json(plugin);
+    return;
+  }
+  const file = path.join(USERS_DIR, req.uid, 'plugins.json');
+  const config = readPluginConfig(file);
+  config.disabled = config.disabled.filter(n => n !== name).concat(enabled ? [] : [name]);
+  botState.writeJsonAtomic(file, config);
+  res.json({ name, enabled });
+});
+
+// --- Webhooks: per-bot endpoints, a test ping and the delivery history ---
+app.get('/bots/:uid/webhooks', auth.requireAuth, requireBotAccess, (req, res) => {
+  res.json({ events: WEBHOOK_EVENTS, hooks: webhooks.hooks(req.uid), pending: webhooks.pending(req.uid) });
+});
+
+app.post('/bots/:uid/webhooks', auth.requireAuth, requireBotAccess, (req, res) => {
+  if (!fs.existsSync(path.join(USERS_DIR, req.uid))) return res.status(404).send('❌ Unknown bot.');
+  try {
+    const hook = sanitizeWebhook(req.body);
+    webhooks.setHooks(req.uid, webhooks.hooks(req.uid).concat(hook));
+    res.json(hook);
+  } catch (e) {
+    res.status(400).send(`❌ ${e.message}`);
+  }
+});
+
+// { url?, events?, enabled?, rotateSecret? }
+app.patch('/bots/:uid/webhooks/:id', auth.requireAuth, requireBotAccess, (req, res) => {
+  const list = webhooks.hooks(req.uid);
+  const current = list.find(h => h.id === req.params.id);
+  if (!current) return res.status(404).send('❌ Unknown webhook.');
+  try {
+    const hook = sanitizeWebhook(req.body, current);
+    webhooks.setHooks(req.uid, list.map(h => (h === current ? hook : h)));
+    res.json(hook);
+  } catch (e) {
+    res.status(400).send(`❌ ${e.message}`);
+  }
+});
+
+app.delete('/bots/:uid/webhooks/:id', auth.requireAuth, requireBotAccess, (req, res) => {
+  const list = webhooks.hooks(req.uid);
+  if (!list.some(h => h.id === req.params.id)) return res.status(404).send('❌ Unknown webhook.');
+  webhooks.setHooks(req.uid, list.filter(h => h.id !== req.params.id));
+  res.send('🗑️ Webhook deleted.');
+});
+
+app.post('/bots/:uid/webhooks/:id/test', auth.requireAuth, requireBotAccess, (req, res) => {
+  try {
+    res.json({ id: webhooks.test(req.uid, req.params.id) });
+  } catch (e) {
+    res.status(404).send(`❌ ${e.message}.`);
+  }
+});
+
+// ?hookID=&limit= newest first
+app.get('/bots/:uid/webhooks/deliveries', auth.requireAuth, requireBotAccess, (req, res) => {
+  const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 50));
+  res.json(readDeliveries(path.join(USERS_DIR, req.uid), { hookID: req.query.hookID, limit }));
+});
+
+// --- Chat replies: bundled templates per language and the owner's overrides (users/<uid>/messages.json) ---
+app.get('/bots/:uid/messages', auth.requireAuth, requireBotAccess, (req, res) => {
+  res.json({
+    languages: Object.keys(BUNDLES).map(code => ({ code, name: BUNDLES[code].language })),
+    defaults: Object.fromEntries(Object.entries(BUNDLES).map(([code, b]) => [code, b.messages])),
+    overrides: readOverrides(path.join(USERS_DIR, req.uid, 'messages.json'))
+  });
+});
+
+// { overrides: { <lang>: { <key>: template } } } replaces all overrides; empty templates drop one
+app.put('/bots/:uid/messages', auth.requireAuth, requireBotAccess, (req, res) => {
+  if (!fs.existsSync(path.join(USERS_DIR, req.uid))) return res.status(404).send('❌ Unknown bot.');
+  let overrides;
+  try {
+    overrides = sanitizeOverrides(req.body && req.body.overrides);
+  } catch (e) {
+    return res.status(400).send(`❌ ${e.message}`);
+  }
+  botState.writeJsonAtomic(path.join(USERS_DIR, req.uid, 'messages.json'), { overrides });
+  if (supervisor.isRunning(req.uid)) supervisor.request(req.uid, MSG.RELOAD_CONFIG).catch(() => {});
+  res.json({ overrides });
+});
+
+// --- Upcoming scheduled messages (?days=14&threadID=), soonest first; read from the bot's schedules.json ---
+app.get('/bots/:uid/schedules', auth.requireAuth, requireBotAccess, (req, res) => {
+  const days = Math.min(90, Math.max(1, Number(req.query.days) || 14));
+  const { jobs } = readSchedules(path.join(USERS_DIR, req.uid, 'schedules.json'));
+  const mine = req.query.threadID ? jobs.filter(j => j.threadID === String(req.query.threadID)) : jobs;
+  res.json({ jobs: mine, upcoming: upcoming(mine, { days }) });
+});
+
+// --- Activity analytics (counts only): ?threadID=&days=14 summary for the panel charts ---
+app.get('/bots/:uid/stats', auth.requireAuth, requireBotAccess, (req, res) => {
+  if (!req.query.threadID) return res.status(400).send('❌ threadID required.');
+  const dir = path.join(USERS_DIR, req.uid);
+  const days = Math.min(RETENTION_DAYS, Math.max(1, Number(req.query.days) || 14));
+  const settings = botState.readState(path.join(dir, 'state.json')).threads[req.query.threadID] || {};
+  const threads = readAnalytics(path.join(dir, 'analytics.json'));
+  res.json(summarize(threads[req.query.threadID], { days, tz: settings.timezone || DEFAULT_TZ }));
+});
+
+// ?format=csv|json&type=daily|members&threadID=&days= (all retained days when omitted)
+app.get('/bots/:uid/stats/export', auth.requireAuth, requireBotAccess, (req, res) => {
+  let threads = readAnalytics(path.join(USERS_DIR, req.uid, 'analytics.json'));
+  if (req.query.threadID) threads = { [req.query.threadID]: threads[req.query.threadID] || {} };
+  if (req.query.days) {
+    const cutoff = lastDays(Math.max(1, Number(req.query.days) || 1), 'UTC')[0];
+    for (const data of Object.values(threads)) {
+      for (const date of Object.keys(data)) if (date < cutoff) delete data[date];
+    }
+  }
+  const name = `stats-${req.uid}${req.query.threadID ? '-' + req.query.threadID : ''}`;
+  if (req.query.format === 'csv') {
+    res.attachment(`${name}-${req.query.type === 'members' ? 'members' : 'daily'}.csv`);
+    return res.type('text/csv').send(toCSV(threads, req.query.type));
+  }
+  res.attachment(`${name}.json`);
+  res.json({ exportedAt: new Date().toISOString(), threads });
+});
+
+// --- Control a running bot over IPC ---
+app.post('/bots/:uid/reload', auth.requireAuth, requireBotAccess, async (req, res) => {
+  const result = await botRequest(res, req.uid, MSG.RELOAD_CONFIG);
+  if (result !== undefined) res.json(result);
+});
+
+app.post('/bots/:uid/send', auth.requireAuth, requireBotAccess, async (req, res) => {
+  const { threadID, body } = req.body || {};
+  if (!threadID || !body) return res.status(400).send('❌ threadID and body required.');
+  const result = await botRequest(res, req.uid, MSG.SEND_MESSAGE, { threadID: String(threadID), body: String(body) });
+  if (result !== undefined) res.json(result);
+});
+
+app.post('/bots/:uid/shutdown', auth.requireAuth, requireBotAccess, (req, res) => {
+  if (!supervisor.stop(req.uid)) return res.send('⚠️ Bot not running.');
+  res.send(`🔴 Graceful shutdown requested for UID: ${req.uid}`);
+});
+
 // --- Fetch logs ---
-app.get('/logs', (req, res) => {
-  const { uid } = req.query;
-  if (!uid) return res.status(400).send('❌ UID missing.');
+// ?level=warn&threadID=&event=&since=&until=&offset=&limit= (newest first); ?format=text for plain lines
+app.get('/logs', auth.requireAuth, requireBotAccess, (req, res) => {
+  const result = queryLogs(path.join(USERS_DIR, req.uid), req.query);
+  if (req.query.format !== 'text') return res.json(result);
+  if (!result.records.length) return res.type('text').send('(No logs yet)');
+  res.type('text').send(result.records.slice().reverse().map(formatRecord).join('\n'));
+});
+
+// --- Health and metrics (no panel login; see auth.requireMetricsAccess) ---
+const panelStartedAt = Date.now();
+let ready = false;
 
-  const logFile = path.join(USERS_DIR, String(uid), 'logs.txt');
-  if (!fs.existsSync(logFile)) return res.send('(No logs yet)');
+// Liveness: the process is up and serving HTTP
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptimeSec: Math.round((Date.now() - panelStartedAt) / 1000) });
+});
+
+// Readiness: bots restored after boot and the users folder is writable
+app.get('/readyz', (req, res) => {
+  const problems = [];
+  if (!ready) problems.push('bots not restored yet');
+  try {
+    fs.accessSync(USERS_DIR, fs.constants.W_OK);
+  } catch (e) {
+    problems.push('users folder not writable');
+  }
+  res.status(problems.length ? 503 : 200).json({ status: problems.length ? 'not ready' : 'ready', problems });
+});
 
-  res.send(fs.readFileSync(logFile, 'utf-8'));
+// Prometheus text format: panel process plus every bot (lib/metrics.js)
+app.get('/metrics', auth.requireMetricsAccess, (req, res) => {
+  const mem = process.memoryUsage();
+  const panel = [
+    { name: 'panel_uptime_seconds', type: 'gauge', help: 'Seconds since the panel server started', samples: [{ value: Math.round((Date.now() - panelStartedAt) / 1000) }] },
+    { name: 'panel_memory_bytes', type: 'gauge', help: 'Panel process memory, by type (rss, heapUsed)', samples: [{ labels: { type: 'rss' }, value: mem.rss }, { labels: { type: 'heapUsed' }, value: mem.heapUsed }] },
+    { name: 'panel_sockets', type: 'gauge', help: 'Connected dashboard sockets', samples: [{ value: io.engine.clientsCount }] }
+  ];
+  res.type('text/plain; version=0.0.4').send(formatMetrics(panel.concat(botFamilies(supervisor.metrics()))));
 });
 
+console.log(`🔐 AppState store: ${secrets.backend}`);
+
 // --- Start server ---
-server.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
+server.listen(PORT, () => {
+  console.log(`🚀 Server running on port ${PORT}`);
+  assignUnownedBots();
+  pruneLogs();
+  setInterval(pruneLogs, 60 * 60 * 1000).unref();
+  const restored = supervisor.restore(uid => fs.existsSync(path.join(USERS_DIR, uid, 'appstate.json')));
+  if (restored.length) console.log(`♻️ Restored ${restored.length} bot(s): ${restored.join(', ')}`);
+  const outboxes = webhooks.restore();
+  if (outboxes.length) console.log(`🔗 Resuming webhook deliveries for: ${outboxes.join(', ')}`);
+  ready = true;
+});
@@ -0,0 +1,217 @@
+// One queue for every outgoing client call (titles, nicknames, re-adds, replies).
+//
+//  - token buckets: one global, one per thread; actions wait until both have a token
+//  - queued reverts of the same target are coalesced (only the newest one runs)
+//  - revert storms: when the same target is reverted STORM_THRESHOLD times within
+//    STORM_WINDOW_MS (two bots fighting, nick lock vs nick remove...) its reverts
+//    are paused with a doubling backoff and onStorm() is called once so the owner
+//    can be told
+//  - a call that hasn't settled after ACTION_TIMEOUT_MS is rejected and the queue
+//    moves on, so one client callback that never fires can't stall every thread
+//
+// run(fn, meta) resolves with fn's result or rejects with fn's error, a timeout
+// error or ActionDroppedError.
+// meta: { threadID, kind, target, revert } — revert marks enforcement actions.
+
+const GLOBAL_PER_MIN = Number(process.env.ACTION_GLOBAL_PER_MIN || 60);
+const THREAD_PER_MIN = Number(process.env.ACTION_THREAD_PER_MIN || 20);
+const MAX_DEPTH = Number(process.env.ACTION_QUEUE_MAX || 500);
+const STORM_THRESHOLD = Number(process.env.ACTION_STORM_THRESHOLD || 6);
+const STORM_WINDOW_MS = 60 * 1000;
+const STORM_PAUSE_MS = 2 * 60 * 1000;
+const STORM_PAUSE_MAX_MS = 30 * 60 * 1000;
+const ACTION_TIMEOUT_MS = Number(process.env.ACTION_TIMEOUT_MS || 30 * 1000);
+
+class ActionDroppedError extends Error {
+  constructor(reason, meta) {
+    super(`action dropped (${reason})`);
+    this.reason = reason;
+    this.meta = meta;
+  }
+}
+
+function createBucket(perMin, capacity) {
+  return { tokens: capacity, capacity, perMs: perMin / 60000, at: Date.now() };
+}
+
+function refill(bucket, now) {
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.at) * bucket.perMs);
+  bucket.at = now;
+}
+
+// ms until the bucket has a whole token
+function waitFor(bucket) {
+  return bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / bucket.perMs);
+}
+
+function stormKey(meta) {
+  return `${meta.threadID}|${meta.kind}|${meta.target || ""}`;
+}
+
+function createActionQueue(opts = {}) {
+  const onStorm = opts.onStorm || (() => {});
+  const onDrop = opts.onDrop || (() => {});
+  const globalPerMin = opts.globalPerMin || GLOBAL_PER_MIN;
+  const threadPerMin = opts.threadPerMin || THREAD_PER_MIN;
+  const maxDepth = opts.maxDepth || MAX_DEPTH;
+  const timeoutMs = opts.timeoutMs || ACTION_TIMEOUT_MS;
+
+  const global = createBucket(globalPerMin, Math.max(1, Math.round(globalPerMin / 6)));
+  const threadBuckets = new Map();
+  const items = [];
+  const reverts = new Map(); // stormKey -> { times: [], pausedUntil, pauseMs }
+  const stats = { processed: 0, failed: 0, timedOut: 0, dropped: {}, maxDepth: 0 };
+  let timer = null;
+  let busy = false;
+  let stopped = false;
+
+  function threadBucket(threadID) {
+    const key = String(threadID || "");
+    if (!threadBuckets.has(key)) threadBuckets.set(key, createBucket(threadPerMin, Math.max(1, Math.round(threadPerMin / 4))));
+    return threadBuckets.get(key);
+  }
+
+  function drop(item, reason) {
+    stats.dropped[reason] = (stats.dropped[reason] || 0) + 1;
+    onDrop(reason, item.meta);
+    item.reject(new ActionDroppedError(reason, item.meta));
+  }
+
+  // Records a revert attempt; returns false while the target is paused
+  function allowRevert(meta) {
+    const key = stormKey(meta);
+    const now = Date.now();
+    if (reverts.size > 1000) {
+      for (const [k, e] of reverts) {
+        if (e.pausedUntil < now - STORM_WINDOW_MS && !e.times.some(t => now - t < STORM_WINDOW_MS)) reverts.delete(k);
+      }
+    }
+    const entry = reverts.get(key) || { times: [], pausedUntil: 0, pauseMs: 0 };
+    reverts.set(key, entry);
+    if (entry.pausedUntil > now) return false;
+
+    entry.times = entry.times.filter(t => now - t < STORM_WINDOW_MS);
+    entry.times.push(now);
+    if (entry.times.length < STORM_THRESHOLD) return true;
+
+    // storms that come straight back after a pause get a longer one
+    const recurring = entry.pausedUntil && now - entry.pausedUntil < STORM_WINDOW_MS;
+    entry.pauseMs = recurring ? Math.min(STORM_PAUSE_MAX_MS, entry.pauseMs * 2) : STORM_PAUSE_MS;
+    entry.pausedUntil = now + entry.pauseMs;
+    const count = entry.times.length;
+    entry.times = [];
+    for (const item of items.filter(i => i.key === key)) {
+      items.splice(items.indexOf(item), 1);
+      drop(item, "storm");
+    }
+    onStorm(Object.assign({ count, windowMs: STORM_WINDOW_MS, pausedForMs: entry.pauseMs }, meta));
+    return false;
+  }
+
+  function run(fn, meta = {}) {
+    return new Promise((resolve, reject) => {
+      const item = { fn, meta, resolve, reject, queuedAt: Date.now(), key: meta.revert ? stormKey(meta) : null };
+      if (stopped) return drop(item, "stopped");
+      if (item.key && !allowRevert(meta)) return drop(item, "storm");
+      if (item.key) {
+        const older = items.find(i => i.key === item.key);
+        if (older) {
+          items.splice(items.indexOf(older), 1);
+          drop(older, "superseded");
+        }
+      }
+      if (items.length >= maxDepth) return drop(item, "queueFull");
+      items.push(item);
+      stats.maxDepth = Math.max(stats.maxDepth, items.length);
+      pump();
+    });
+  }
+
+  async function pump() {
+    if (busy || stopped) return;
+    clearTimeout(timer);
+    timer = null;
+    busy = true;
+    try {
+      while (items.length) {
+        const now = Date.now();
+        refill(global, now);
+        let next = -1;
+        let wait = Infinity;
+        for (let i = 0; i < items.length; i++) {
+          const bucket = threadBucket(items[i].meta.threadID);
+          refill(bucket, now);
+          const w = Math.max(waitFor(global), waitFor(bucket));
+          if (w === 0) { next = i; break; }
+          wait = Math.min(wait, w);
+        }
+        if (next === -1) {
+          timer = setTimeout(pump, wait);
+          return;
+        }
+        const [item] = items.splice(next, 1);
+        global.tokens -= 1;
+        threadBucket(item.meta.threadID).tokens -= 1;
+        let deadline;
+        try {
+          item.resolve(await Promise.race([
+            Promise.resolve().then(item.fn),
+            new Promise((resolve, reject) => {
+              deadline = setTimeout(() => {
+                stats.timedOut++;
+                reject(new Error(`${item.meta.kind || "action"} timed out after ${timeoutMs / 1000}s`));
+              }, timeoutMs);
+            })
+          ]));
+          stats.processed++;
+        } catch (e) {
+          stats.failed++;
+          item.reject(e);
+        } finally {
+          clearTimeout(deadline);
+        }
+      }
+    } finally {
+      busy = false;
+    }
+  }
+
+  function snapshot() {
+    const now = Date.now();
+    const byThread = {};
+    for (const item of items) {
+      const id = String(item.meta.threadID || "");
+      byThread[id] = (byThread[id] || 0) + 1;
+    }
+    const storms = [];
+    for (const [key, entry] of reverts) {
+      if (entry.pausedUntil > now) {
+        const [threadID, kind, target] = key.split("|");
+        storms.push({ threadID, kind, target: target || null, until: entry.pausedUntil });
+      }
+    }
+    return {
+      depth: items.length,
+      byThread,
+      oldestWaitMs: items.length ? now - Math.min(...items.map(i => i.queuedAt)) : 0,
+      processed: stats.processed,
+      failed: stats.failed,
+      timedOut: stats.timedOut,
+      dropped: Object.assign({}, stats.dropped),
+      maxDepth: stats.maxDepth,
+      storms,
+      limits: { globalPerMin, threadPerMin, maxDepth, stormThreshold: STORM_THRESHOLD, timeoutMs }
+    };
+  }
+
+  // Reject everything still waiting (shutdown)
+  function stop() {
+    stopped = true;
+    clearTimeout(timer);
+    for (const item of items.splice(0)) drop(item, "stopped");
+  }
+
+  return { run, stats: snapshot, stop };
+}
+
+module.exports = { createActionQueue, ActionDroppedError };
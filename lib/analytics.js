@@ -0,0 +1,167 @@
+const fs = require("fs");
+const { writeJsonAtomic } = require("./state");
+const { zonedParts } = require("./cron");
+
+// Per-thread activity counters, kept in users/<uid>/analytics.json. Only counts
+// are stored — never message bodies — bucketed by day in the thread's timezone:
+//
+//   { threads: { "<threadID>": { "2026-10-18": {
+//       messages, members: { uid: n }, hours: [24 counts],
+//       joins, leaves, removals, renames, nicknames, enforcement: { kind: n } } } } }
+//
+// Days older than ANALYTICS_RETENTION_DAYS (default 90) are dropped. Counters
+// are flushed to disk every FLUSH_MS, so the panel may lag by that much.
+
+const RETENTION_DAYS = Number(process.env.ANALYTICS_RETENTION_DAYS || 90);
+const FLUSH_MS = 30 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EVENT_COUNTERS = { added: "joins", left: "leaves", removed: "removals", rename: "renames", nickname: "nicknames" };
+const DAILY_COLUMNS = ["messages", "activeMembers", "joins", "leaves", "removals", "renames", "nicknames", "enforcement"];
+
+function emptyDay() {
+  return { messages: 0, members: {}, hours: new Array(24).fill(0), joins: 0, leaves: 0, removals: 0, renames: 0, nicknames: 0, enforcement: {} };
+}
+
+function dateKey(p) {
+  return `${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`;
+}
+
+// Date keys of the last `days` days (oldest first) in tz
+function lastDays(days, tz, now = Date.now()) {
+  const keys = [];
+  for (let i = days - 1; i >= 0; i--) keys.push(dateKey(zonedParts(now - i * DAY_MS, tz)));
+  return [...new Set(keys)];
+}
+
+// Aggregate a thread's days into one report; threadData = { "<date>": day }
+function summarize(threadData, { days = 7, tz = "UTC", now = Date.now() } = {}) {
+  const keys = lastDays(days, tz, now);
+  const report = { from: keys[0], to: keys[keys.length - 1], messages: 0, hours: new Array(24).fill(0), members: {}, enforcement: {}, daily: [] };
+  for (const key of ["joins", "leaves", "removals", "renames", "nicknames"]) report[key] = 0;
+
+  for (const date of keys) {
+    const day = (threadData && threadData[date]) || emptyDay();
+    report.messages += day.messages;
+    day.hours.forEach((n, h) => { report.hours[h] += n; });
+    for (const [uid, n] of Object.entries(day.members)) report.members[uid] = (report.members[uid] || 0) + n;
+    for (const [kind, n] of Object.entries(day.enforcement)) report.enforcement[kind] = (report.enforcement[kind] || 0) + n;
+    for (const key of ["joins", "leaves", "removals", "renames", "nicknames"]) report[key] += day[key];
+    report.daily.push({
+      date,
+      messages: day.messages,
+      activeMembers: Object.keys(day.members).length,
+      joins: day.joins,
+      leaves: day.leaves,
+      removals: day.removals,
+      renames: day.renames,
+      nicknames: day.nicknames,
+      enforcement: Object.values(day.enforcement).reduce((a, b) => a + b, 0)
+    });
+  }
+  report.activeMembers = Object.keys(report.members).length;
+  report.top = Object.entries(report.members).sort((a, b) => b[1] - a[1]).map(([uid, messages]) => ({ uid, messages }));
+  delete report.members;
+  return report;
+}
+
+function csvCell(value) {
+  const text = String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+// CSV export: "daily" = one row per thread and day, "members" = one row per thread, day and member
+function toCSV(threads, type = "daily") {
+  const rows = type === "members" ? [["date", "threadID", "uid", "messages"]] : [["date", "threadID", ...DAILY_COLUMNS]];
+  for (const [threadID, data] of Object.entries(threads)) {
+    for (const date of Object.keys(data).sort()) {
+      const day = data[date];
+      if (type === "members") {
+        for (const [uid, n] of Object.entries(day.members)) rows.push([date, threadID, uid, n]);
+      } else {
+        const enforcement = Object.values(day.enforcement).reduce((a, b) => a + b, 0);
+        rows.push([date, threadID, day.messages, Object.keys(day.members).length, day.joins, day.leaves, day.removals, day.renames, day.nicknames, enforcement]);
+      }
+    }
+  }
+  return rows.map(r => r.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+function readAnalytics(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8")).threads || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// opts: { file, onError }
+function createAnalytics(opts = {}) {
+  const threads = opts.file ? readAnalytics(opts.file) : {};
+  let dirty = false;
+
+  function dayFor(threadID, ts, tz) {
+    const p = zonedParts(ts || Date.now(), tz || "UTC");
+    const thread = threads[threadID] = threads[threadID] || {};
+    const key = dateKey(p);
+    if (!thread[key]) thread[key] = emptyDay();
+    dirty = true;
+    return { day: thread[key], hour: p.hour };
+  }
+
+  function prune() {
+    const cutoff = dateKey(zonedParts(Date.now() - RETENTION_DAYS * DAY_MS, "UTC"));
+    for (const [threadID, data] of Object.entries(threads)) {
+      for (const date of Object.keys(data)) if (date < cutoff) delete data[date];
+      if (!Object.keys(data).length) delete threads[threadID];
+    }
+  }
+
+  function flush() {
+    if (!dirty || !opts.file) return;
+    prune();
+    try {
+      writeJsonAtomic(opts.file, { threads });
+      dirty = false;
+    } catch (e) {
+      if (opts.onError) opts.onError(e);
+    }
+  }
+
+  const timer = setInterval(flush, FLUSH_MS);
+  timer.unref();
+
+  return {
+    // a normalized event (lib/events.js); the bot's own messages should not be passed in
+    track(event, tz) {
+      if (!event || !event.threadID) return;
+      if (event.type === "message") {
+        const { day, hour } = dayFor(event.threadID, event.ts, tz);
+        day.messages++;
+        day.hours[hour]++;
+        if (event.senderID) day.members[event.senderID] = (day.members[event.senderID] || 0) + 1;
+      } else if (EVENT_COUNTERS[event.type]) {
+        const { day } = dayFor(event.threadID, event.ts, tz);
+        day[EVENT_COUNTERS[event.type]] += event.type === "added" ? event.targetIDs.length : 1;
+      }
+    },
+
+    // a protection / moderation action the bot took
+    trackEnforcement(threadID, kind, tz) {
+      const { day } = dayFor(threadID, Date.now(), tz);
+      day.enforcement[kind] = (day.enforcement[kind] || 0) + 1;
+    },
+
+    summary(threadID, options) {
+      return summarize(threads[threadID], options);
+    },
+
+    flush,
+
+    stop() {
+      clearInterval(timer);
+      flush();
+    }
+  };
+}
+
+module.exports = { createAnalytics, readAnalytics, summarize, toCSV, lastDays, RETENTION_DAYS };
@@ -0,0 +1,54 @@
+// Anti-out decisions for "left" / "removed" events (lib/events.js): whether to add the member back.
+//
+// Only a kick by a non-admin is undone. Voluntary leaves, removals by group
+// admins, bot staff (moderator and up) or the bot itself, exempt users and
+// users who already hit the daily re-add cap are left alone. Every decision
+// comes with a reason so the log shows why someone was (not) added back.
+
+const MAX_PER_DAY = Number(process.env.ANTI_OUT_MAX_PER_DAY || 3);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// getThreadInfo adminIDs come as ["1", ...] or [{ id: "1" }, ...] depending on the client
+function adminIDsOf(info) {
+  return ((info && info.adminIDs) || []).map(a => String(a && typeof a === "object" ? a.id : a));
+}
+
+function createAntiOutGuard(opts = {}) {
+  const attempts = new Map(); // threadID|uid -> [timestamps]
+
+  function recent(threadID, uid) {
+    const key = `${threadID}|${uid}`;
+    const list = (attempts.get(key) || []).filter(t => Date.now() - t < DAY_MS);
+    if (list.length) attempts.set(key, list);
+    else attempts.delete(key);
+    return list;
+  }
+
+  // ctx: { threadID, settings, leftUID, actorUID, botID, adminIDs, isStaff(uid) }
+  function decide(ctx) {
+    const { settings, leftUID, actorUID } = ctx;
+    const limit = settings.antiOutMaxPerDay || opts.maxPerDay || MAX_PER_DAY;
+    if (!settings.antiOutEnabled) return { readd: false, reason: "anti-out is off" };
+    if (!leftUID) return { readd: false, reason: "could not tell who left" };
+    if (leftUID === ctx.botID) return { readd: false, reason: "the bot itself left" };
+    if ((settings.antiOutExempt || []).includes(leftUID)) return { readd: false, reason: "user is exempt" };
+    if (!actorUID) return { readd: false, reason: "could not tell who removed them" };
+    if (actorUID === leftUID) return { readd: false, reason: "left voluntarily" };
+    if (actorUID === ctx.botID) return { readd: false, reason: "removed by the bot" };
+    if ((ctx.adminIDs || []).includes(actorUID)) return { readd: false, reason: `removed by group admin ${actorUID}` };
+    if (ctx.isStaff && ctx.isStaff(actorUID)) return { readd: false, reason: `removed by bot staff ${actorUID}` };
+    if (recent(ctx.threadID, leftUID).length >= limit) return { readd: false, reason: `daily re-add limit (${limit}) reached` };
+    return { readd: true, reason: `kicked by non-admin ${actorUID}` };
+  }
+
+  function recordAttempt(threadID, uid) {
+    const list = recent(threadID, uid);
+    list.push(Date.now());
+    attempts.set(`${threadID}|${uid}`, list);
+    return list.length;
+  }
+
+  return { decide, recordAttempt, attemptsToday: (threadID, uid) => recent(threadID, uid).length };
+}
+
+module.exports = { adminIDsOf, createAntiOutGuard };
@@ -0,0 +1,85 @@
+// AppState (session cookie) checks shared by the panel upload and the bot's
+// session-health loop. An AppState is the cookie array fca clients export:
+//
+//   [{ key: "c_user", value: "1000...", expires: "2027-10-18T..." | ms | s, ... }]
+//
+// Browser-extension exports use `name` / `expirationDate` (seconds) instead; both
+// shapes are accepted. c_user (the account UID) and xs (the session secret) are
+// required; i_user is the acting profile when one is switched to.
+
+const REQUIRED = ["c_user", "xs"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WARN_DAYS = Number(process.env.SESSION_WARN_DAYS || 3);
+
+function cookieName(cookie) {
+  return cookie && (cookie.key || cookie.name);
+}
+
+// Expiry of one cookie in ms, or null for a session cookie / unknown format
+function expiryOf(cookie) {
+  const raw = cookie.expires !== undefined ? cookie.expires : cookie.expirationDate;
+  if (raw === undefined || raw === null || raw === "Infinity" || raw === Infinity) return null;
+  if (typeof raw === "number") return raw < 1e12 ? raw * 1000 : raw;
+  const ms = Date.parse(raw);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+// "2027-01-05 14:30 UTC"
+function formatExpiry(ms) {
+  return new Date(ms).toISOString().replace("T", " ").slice(0, 16) + " UTC";
+}
+
+// → { ok, errors: [], warnings: [], uid, expiresAt }; uid = the UID the session must belong to
+function validateAppState(appState, { uid, now = Date.now(), warnDays = WARN_DAYS } = {}) {
+  const errors = [];
+  const warnings = [];
+  const result = { ok: false, errors, warnings, uid: null, expiresAt: null };
+
+  if (!Array.isArray(appState)) {
+    errors.push("AppState must be a JSON array of cookies");
+    return result;
+  }
+  const cookies = {};
+  appState.forEach((cookie, i) => {
+    const name = cookieName(cookie);
+    if (!name || typeof cookie.value !== "string") errors.push(`Cookie #${i + 1} has no key/value`);
+    else cookies[name] = cookie;
+  });
+
+  for (const name of REQUIRED) {
+    const cookie = cookies[name];
+    if (!cookie || !cookie.value) {
+      errors.push(`Required cookie "${name}" is missing`);
+      continue;
+    }
+    const expires = expiryOf(cookie);
+    if (expires === null) continue;
+    if (expires <= now) errors.push(`Cookie "${name}" expired on ${formatExpiry(expires)}`);
+    else if (result.expiresAt === null || expires < result.expiresAt) result.expiresAt = expires;
+  }
+
+  if (cookies.c_user && cookies.c_user.value) {
+    result.uid = cookies.c_user.value;
+    if (!/^\d+$/.test(result.uid)) errors.push(`Cookie "c_user" is not a UID ("${result.uid}")`);
+    const acting = [result.uid, cookies.i_user && cookies.i_user.value].filter(Boolean);
+    if (uid && /^\d+$/.test(result.uid) && !acting.includes(String(uid))) {
+      errors.push(`AppState belongs to account ${result.uid}, not ${uid}`);
+    }
+  }
+
+  if (result.expiresAt !== null && result.expiresAt - now < warnDays * DAY_MS) {
+    const hours = Math.max(1, Math.round((result.expiresAt - now) / (60 * 60 * 1000)));
+    warnings.push(`Session cookies expire in ${hours < 48 ? hours + "h" : Math.round(hours / 24) + " days"} (${formatExpiry(result.expiresAt)})`);
+  }
+
+  result.ok = !errors.length;
+  return result;
+}
+
+// Errors fca clients raise once Facebook has ended the session
+function isLogoutError(err) {
+  const text = String((err && (err.error || err.message)) || err || "");
+  return /not logged in|logged out|login_blocked|checkpoint|1357001|session (has )?expired/i.test(text);
+}
+
+module.exports = { validateAppState, isLogoutError, expiryOf, formatExpiry, WARN_DAYS };
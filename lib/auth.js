@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Panel accounts live in a local JSON file so the panel works fully offline.
+const DATA_DIR = process.env.PANEL_DATA_DIR || path.join(__dirname, '..', 'data');
+const ACCOUNTS_FILE = path.join(DATA_DIR, 'accounts.json');
+const SESSION_TTL_MS = Number(process.env.PANEL_SESSION_TTL_HOURS || 12) * 60 * 60 * 1000;
+
+const ROLES = ['owner', 'operator'];
+
+// token -> { username, expires }
+const sessions = new Map();
+
+// username -> account, in a prototype-free map so names like "constructor" or
+// "__proto__" are plain keys
+function loadAccounts() {
+  const accounts = Object.create(null);
+  try {
+    return Object.assign(accounts, JSON.parse(fs.readFileSync(ACCOUNTS_FILE, 'utf-8')));
+  } catch (e) {
+    return accounts;
+  }
+}
+
+function findAccount(accounts, username) {
+  username = String(username);
+  return Object.prototype.hasOwnProperty.call(accounts, username) ? accounts[username] : null;
+}
+
+function saveAccounts(accounts) {
+  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+  const tmp = ACCOUNTS_FILE + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(accounts, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, ACCOUNTS_FILE);
+}
+
+function hashPassword(password, salt) {
+  return crypto.scryptSync(String(password), salt, 64).toString('hex');
+}
+
+function hasAccounts() {
+  return Object.keys(loadAccounts()).length > 0;
+}
+
+// Oldest operator account, or null before one exists
+function firstOperator() {
+  const operators = Object.values(loadAccounts()).filter(acc => acc.role === 'operator');
+  operators.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  return operators.length ? operators[0].username : null;
+}
+
+function getAccount(username) {
+  const acc = findAccount(loadAccounts(), username);
+  if (!acc) return null;
+  return { username: acc.username, role: acc.role };
+}
+
+function createAccount(username, password, role = 'owner') {
+  username = String(username || '').trim();
+  if (!/^[a-zA-Z0-9_.-]{3,32}$/.test(username)) throw new Error('Username must be 3-32 chars (letters, digits, _ . -)');
+  if (!password || String(password).length < 8) throw new Error('Password must be at least 8 characters');
+  if (!ROLES.includes(role)) throw new Error(`Unknown role "${role}"`);
+
+  const accounts = loadAccounts();
+  if (findAccount(accounts, username)) throw new Error('Username already taken');
+
+  const salt = crypto.randomBytes(16).toString('hex');
+  accounts[username] = {
+    username,
+    role,
+    salt,
+    hash: hashPassword(password, salt),
+    createdAt: new Date().toISOString()
+  };
+  saveAccounts(accounts);
+  return { username, role };
+}
+
+function verifyPassword(username, password) {
+  const acc = findAccount(loadAccounts(), username);
+  if (!acc) return null;
+  const expected = Buffer.from(acc.hash, 'hex');
+  const actual = Buffer.from(hashPassword(password, acc.salt), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  return { username: acc.username, role: acc.role };
+}
+
+function createSession(username) {
+  const token = crypto.randomBytes(32).toString('hex');
+  sessions.set(token, { username, expires: Date.now() + SESSION_TTL_MS });
+  return token;
+}
+
+function destroySession(token) {
+  sessions.delete(token);
+}
+
+// Resolve a session token to its account, dropping expired or orphaned sessions
+function getSessionAccount(token) {
+  if (!token) return null;
+  const s = sessions.get(token);
+  if (!s) return null;
+  if (s.expires < Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  const acc = getAccount(s.username);
+  if (!acc) sessions.delete(token);
+  return acc;
+}
+
+function tokenFromRequest(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  return null;
+}
+
+// Express middleware: attaches req.account or rejects with 401
+function requireAuth(req, res, next) {
+  const token = tokenFromRequest(req);
+  const account = getSessionAccount(token);
+  if (!account) return res.status(401).send('❌ Login required.');
+  req.account = account;
+  req.sessionToken = token;
+  next();
+}
+
+function requireOperator(req, res, next) {
+  if (!req.account || req.account.role !== 'operator') return res.status(403).send('❌ Operator only.');
+  next();
+}
+
+// Operators can see every bot; owners only the bots they started
+function canAccessBot(account, ownerName) {
+  if (!account) return false;
+  if (account.role === 'operator') return true;
+  return !!ownerName && ownerName === account.username;
+}
+
+// A local client; requests relayed by a reverse proxy on the same host don't count
+function isLoopback(req) {
+  if (req.headers['x-forwarded-for'] || req.headers.forwarded) return false;
+  return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress || '');
+}
+
+// /metrics for Prometheus: METRICS_TOKEN as a Bearer token or an operator session;
+// without METRICS_TOKEN, loopback scrapers are let in too
+function requireMetricsAccess(req, res, next) {
+  const token = tokenFromRequest(req);
+  const expected = process.env.METRICS_TOKEN;
+  if (expected && token) {
+    const a = Buffer.from(token);
+    const b = Buffer.from(expected);
+    if (a.length === b.length && crypto.timingSafeEqual(a, b)) return next();
+  }
+  const account = getSessionAccount(token);
+  if (account && account.role === 'operator') return next();
+  if (!expected && isLoopback(req)) return next();
+  res.status(401).send('❌ Metrics need METRICS_TOKEN, an operator login or a local scraper.');
+}
+
+// Seed an operator account from the environment on first boot
+function ensureBootstrapOperator() {
+  const user = process.env.PANEL_ADMIN_USER;
+  const pass = process.env.PANEL_ADMIN_PASSWORD;
+  if (!user || !pass || getAccount(user)) return;
+  try {
+    createAccount(user, pass, 'operator');
+    console.log(`👑 Operator account "${user}" created`);
+  } catch (e) {
+    console.error('Failed creating operator account:', e.message);
+  }
+}
+
+module.exports = {
+  ROLES,
+  hasAccounts,
+  getAccount,
+  firstOperator,
+  createAccount,
+  verifyPassword,
+  createSession,
+  destroySession,
+  getSessionAccount,
+  requireAuth,
+  requireOperator,
+  requireMetricsAccess,
+  canAccessBot,
+  isLoopback,
+  ensureBootstrapOperator
+};
@@ -0,0 +1,122 @@
+const path = require("path");
+const { ROLES, roleLevel } = require("./commands");
+const { regexProblem, testRegex } = require("./safe-regex");
+
+// Keyword auto-replies, stored per thread in the `autoReplies` setting. A trigger:
+//
+//   { id: 3, match: "contains", pattern: "good morning",
+//     replies: ["Morning!", "Hey, early bird"],   // one picked at random
+//     reaction: "❤️",                              // set on the triggering message
+//     attachment: "sun.jpg",                       // file in users/<uid>/media
+//     cooldownSec: 60,                             // per trigger, per thread
+//     role: "moderator" }                          // minimum chat role to set it off
+//
+// exact / contains ignore case and surrounding spaces; regex patterns get the "i"
+// flag and must pass lib/safe-regex.js (a stored one that doesn't is matched as
+// plain text) and run with its time limit. Only the first matching trigger fires,
+// and commands never reach here.
+
+const MATCH_TYPES = ["exact", "contains", "regex"];
+const MAX_TRIGGERS = 50;
+const MAX_PATTERN = 200;
+const MAX_REPLY = 2000;
+const MAX_VARIANTS = 10;
+// regexes run on every message, so they only see the start of long ones
+const MAX_BODY = 1000;
+
+// Validate the whole list (from chat or the panel); new triggers get the next free id
+function sanitizeTriggers(list) {
+  if (!Array.isArray(list)) throw new Error("autoReplies must be a list of triggers");
+  if (list.length > MAX_TRIGGERS) throw new Error(`At most ${MAX_TRIGGERS} auto-replies per thread`);
+  let nextID = Math.max(0, ...list.map(t => (t && Number.isInteger(t.id) ? t.id : 0))) + 1;
+  return list.map(t => {
+    const clean = sanitizeTrigger(t);
+    if (!Number.isInteger(clean.id) || clean.id < 1) clean.id = nextID++;
+    return clean;
+  });
+}
+
+function sanitizeTrigger(t) {
+  if (!t || typeof t !== "object" || Array.isArray(t)) throw new Error("Each auto-reply must be an object");
+  if (!MATCH_TYPES.includes(t.match)) throw new Error(`Auto-reply match must be one of ${MATCH_TYPES.join(", ")}`);
+  const pattern = typeof t.pattern === "string" ? t.pattern.trim() : "";
+  if (!pattern || pattern.length > MAX_PATTERN) throw new Error(`Auto-reply pattern must be 1-${MAX_PATTERN} characters`);
+  if (t.match === "regex") {
+    try {
+      new RegExp(pattern, "i");
+    } catch (e) {
+      throw new Error(`Bad regex "${pattern}": ${e.message}`);
+    }
+    const problem = regexProblem(pattern);
+    if (problem) throw new Error(`Unsafe regex "${pattern}": ${problem}`);
+  }
+  const replies = (t.replies || []).map(r => String(r).trim()).filter(Boolean);
+  if (replies.length > MAX_VARIANTS) throw new Error(`At most ${MAX_VARIANTS} reply variants per trigger`);
+  if (replies.some(r => r.length > MAX_REPLY)) throw new Error(`Replies must be at most ${MAX_REPLY} characters`);
+  const reaction = t.reaction ? String(t.reaction).trim() : null;
+  if (reaction && reaction.length > 8) throw new Error("Reaction must be a single emoji");
+  const attachment = t.attachment ? String(t.attachment).trim() : null;
+  if (attachment && !/^[\w-][\w.-]*$/.test(attachment)) throw new Error("Attachment must be a file name inside the bot's media folder");
+  if (!replies.length && !reaction && !attachment) throw new Error("Auto-reply needs a reply, a reaction or an attachment");
+  const cooldownSec = t.cooldownSec === undefined || t.cooldownSec === null ? null : Number(t.cooldownSec);
+  if (cooldownSec !== null && !(cooldownSec >= 0 && cooldownSec <= 86400)) throw new Error("Auto-reply cooldown must be 0-86400 seconds");
+  const role = t.role || null;
+  if (role !== null && !ROLES.includes(role)) throw new Error(`Auto-reply role must be one of ${ROLES.join(", ")}`);
+  return { id: t.id, match: t.match, pattern, replies, reaction, attachment, cooldownSec, role };
+}
+
+// true / false, or null when a regex ran out of time (lib/safe-regex.js)
+function matches(trigger, body) {
+  const text = String(body || "").trim();
+  if (trigger.match === "exact") return text.toLowerCase() === trigger.pattern.toLowerCase();
+  if (trigger.match === "contains" || regexProblem(trigger.pattern)) return text.toLowerCase().includes(trigger.pattern.toLowerCase());
+  try {
+    return testRegex(new RegExp(trigger.pattern, "i"), text.slice(0, MAX_BODY));
+  } catch (e) {
+    return false;
+  }
+}
+
+function describeTrigger(t) {
+  const parts = [`#${t.id} ${t.match} "${t.pattern}"`];
+  if (t.replies.length) parts.push(`→ ${t.replies.length === 1 ? `"${t.replies[0]}"` : `${t.replies.length} variants`}`);
+  if (t.reaction) parts.push(t.reaction);
+  if (t.attachment) parts.push(`📎 ${t.attachment}`);
+  if (t.cooldownSec) parts.push(`⏱️ ${t.cooldownSec}s`);
+  if (t.role) parts.push(`🔑 ${t.role}+`);
+  return parts.join(" ");
+}
+
+// mediaDir: where attachment files live (users/<uid>/media);
+// onSlowPattern(threadID, trigger): a regex trigger hit the time limit and is off from now on
+function createAutoReplier(opts = {}) {
+  const lastFired = new Map(); // threadID|triggerID -> ms
+
+  return {
+    // First trigger this message sets off (and starts its cooldown), or null
+    find(threadID, triggers, body, role) {
+      for (const t of triggers || []) {
+        if (t.role && roleLevel(role) < roleLevel(t.role)) continue;
+        const hit = matches(t, body);
+        if (hit === null && opts.onSlowPattern) opts.onSlowPattern(threadID, t);
+        if (!hit) continue;
+        const key = `${threadID}|${t.id}`;
+        if (t.cooldownSec && Date.now() - (lastFired.get(key) || 0) < t.cooldownSec * 1000) return null;
+        lastFired.set(key, Date.now());
+        return t;
+      }
+      return null;
+    },
+
+    pickReply(trigger) {
+      const list = trigger.replies;
+      return list.length ? list[Math.floor(Math.random() * list.length)] : null;
+    },
+
+    mediaPath(name) {
+      return path.join(opts.mediaDir, path.basename(name));
+    }
+  };
+}
+
+module.exports = { MATCH_TYPES, MAX_TRIGGERS, sanitizeTriggers, matches, describeTrigger, createAutoReplier };
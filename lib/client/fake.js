@@ -0,0 +1,205 @@
+const path = require("path");
+const { EventEmitter } = require("events");
+
+// In-memory MessengerClient used for offline runs and tests. Threads are plain
+// objects, every outgoing call is recorded in `actions`, and incoming events are
+// pushed with emit()/play() in the raw fca shape the real adapters deliver.
+//
+//   const client = createFakeClient({ threads: [{ threadID: "1", name: "Group", participants: ["a", "b", "c"] }] });
+//   await client.login();
+//   client.listen(handler);
+//   client.emit({ type: "message", threadID: "1", senderID: "a", body: "/uid" });
+//   client.actions // → [{ type: "sendMessage", threadID: "1", body: "..." }]
+
+function createFakeClient(opts = {}) {
+  const bus = new EventEmitter();
+  const threads = new Map();
+  const failures = new Map();
+  const actions = [];
+  let appState = opts.appState || [];
+  let messageSeq = 0;
+
+  for (const t of opts.threads || []) addThread(t);
+
+  function addThread(t) {
+    const thread = {
+      threadID: String(t.threadID),
+      name: t.name || "",
+      participants: (t.participants || []).map(String),
+      nicknames: Object.assign({}, t.nicknames),
+      admins: (t.admins || []).map(String),
+      names: Object.assign({}, t.names)
+    };
+    threads.set(thread.threadID, thread);
+    return thread;
+  }
+
+  function getThread(threadID) {
+    return threads.get(String(threadID)) || addThread({ threadID });
+  }
+
+  // Record the call, or throw a queued failure for it
+  function record(type, data) {
+    const queued = failures.get(type);
+    if (queued && queued.length) {
+      const err = queued.shift();
+      actions.push(Object.assign({ type, failed: true }, data));
+      throw err;
+    }
+    const action = Object.assign({ type, ts: Date.now() }, data);
+    actions.push(action);
+    bus.emit("action", action);
+    return action;
+  }
+
+  const client = {
+    name: "fake",
+    userID: String(opts.userID || "100000000000000"),
+    capabilities: {
+      sendMessage: true,
+      setMessageReaction: true,
+      setNickname: true,
+      setTitle: true,
+      getThreadInfo: true,
+      getUserInfo: true,
+      addUserToGroup: true,
+      removeUserFromGroup: true,
+      typing: true,
+      getAppState: true,
+      getCurrentUserID: true,
+      listen: true
+    },
+    actions,
+    threads,
+    script: opts.script || null,
+
+    async login() {
+      if (opts.loginError) throw new Error(opts.loginError);
+      record("login", {});
+      return client;
+    },
+
+    async sendMessage(msg, threadID) {
+      const body = typeof msg === "string" ? msg : msg && msg.body;
+      // attachments are streams; keep their file names and close them
+      const streams = msg && msg.attachment ? [].concat(msg.attachment) : [];
+      for (const s of streams) if (typeof s.destroy === "function") s.destroy();
+      const attachments = streams.length ? streams.map(s => (s.path ? path.basename(String(s.path)) : "stream")).join(",") : undefined;
+      record("sendMessage", { threadID: String(threadID), body, attachments, message: msg });
+      return { messageID: `mid.fake.${++messageSeq}`, threadID: String(threadID) };
+    },
+
+    async setMessageReaction(reaction, messageID) {
+      record("setMessageReaction", { messageID: String(messageID), reaction });
+    },
+
+    async setNickname(nick, threadID, uid) {
+      record("setNickname", { threadID: String(threadID), uid: String(uid), nickname: nick });
+      getThread(threadID).nicknames[String(uid)] = nick;
+    },
+
+    async setTitle(title, threadID) {
+      record("setTitle", { threadID: String(threadID), title });
+      getThread(threadID).name = title;
+    },
+
+    async getThreadInfo(threadID) {
+      const t = getThread(threadID);
+      return {
+        threadID: t.threadID,
+        threadName: t.name,
+        isGroup: t.participants.length > 2,
+        participantIDs: t.participants.slice(),
+        userInfo: t.participants.map(id => ({ id, name: t.names[id] || `User ${id}` })),
+        nicknames: Object.assign({}, t.nicknames),
+        adminIDs: t.admins.map(id => ({ id }))
+      };
+    },
+
+    async getUserInfo(ids) {
+      const info = {};
+      for (const id of [].concat(ids).map(String)) {
+        const known = [...threads.values()].find(t => t.names[id]);
+        info[id] = { name: known ? known.names[id] : `User ${id}` };
+      }
+      return info;
+    },
+
+    async addUserToGroup(uid, threadID) {
+      record("addUserToGroup", { threadID: String(threadID), uid: String(uid) });
+      const t = getThread(threadID);
+      if (!t.participants.includes(String(uid))) t.participants.push(String(uid));
+    },
+
+    async removeUserFromGroup(uid, threadID) {
+      record("removeUserFromGroup", { threadID: String(threadID), uid: String(uid) });
+      const t = getThread(threadID);
+      t.participants = t.participants.filter(id => id !== String(uid));
+    },
+
+    sendTypingIndicator(threadID, on) {
+      record("typing", { threadID: String(threadID), on: !!on });
+    },
+
+    getAppState() {
+      return appState;
+    },
+
+    getCurrentUserID() {
+      return client.userID;
+    },
+
+    listen(handler) {
+      bus.on("event", event => handler(null, event));
+      bus.on("listenError", err => handler(err));
+    },
+
+    stop() {
+      bus.removeAllListeners("event");
+      bus.removeAllListeners("listenError");
+    },
+
+    // --- test helpers ---
+
+    addThread,
+
+    setAppState(next) {
+      appState = next;
+    },
+
+    // Queue an error for the next call of `type` (e.g. "setTitle")
+    failNext(type, err = new Error(`fake ${type} failure`)) {
+      if (!failures.has(type)) failures.set(type, []);
+      failures.get(type).push(err);
+    },
+
+    emit(event) {
+      bus.emit("event", Object.assign({ threadID: "", senderID: "" }, event));
+    },
+
+    emitError(err) {
+      bus.emit("listenError", err);
+    },
+
+    // Play a list of events in order, waiting for handlers between them
+    async play(events, delayMs = 0) {
+      for (const event of events) {
+        if (event.delayMs) await new Promise(r => setTimeout(r, event.delayMs));
+        client.emit(event);
+        await new Promise(r => setTimeout(r, delayMs));
+      }
+    },
+
+    onAction(fn) {
+      bus.on("action", fn);
+    },
+
+    clearActions() {
+      actions.length = 0;
+    }
+  };
+
+  return client;
+}
+
+module.exports = { createFakeClient };
@@ -0,0 +1,150 @@
+// Adapter for fca-unofficial style libraries (ws3-fca, nexus-fca and friends).
+// They all share the callback API `login(loginData, [options], cb)` but differ in
+// method names, so every call is resolved here once instead of inside the bot.
+
+// Call a callback-style api method and resolve with its result
+function callback(fn, ctx, args) {
+  return new Promise((resolve, reject) => {
+    try {
+      const ret = fn.call(ctx, ...args, (err, res) => (err ? reject(err) : resolve(res)));
+      if (ret && typeof ret.then === "function") ret.then(resolve, reject);
+    } catch (e) {
+      reject(e);
+    }
+  });
+}
+
+function pick(api, names) {
+  for (const name of names) {
+    if (api && typeof api[name] === "function") return name;
+  }
+  return null;
+}
+
+function createFcaAdapter(lib, opts = {}) {
+  const loginFn = typeof lib === "function" ? lib : lib.login || lib.default || lib.createClient;
+  if (typeof loginFn !== "function") throw new Error(`${opts.name || "fca"} does not export a login function`);
+
+  let api = null;
+  let methods = {};
+  const typingEnds = new Map();
+
+  function requireMethod(key) {
+    const name = methods[key];
+    if (!name) throw new Error(`${key} not supported by ${opts.name || "this FCA client"}`);
+    return name;
+  }
+
+  const client = {
+    name: opts.name || "fca",
+    capabilities: {},
+
+    async login() {
+      const loginData = { appState: opts.appState };
+      const options = { userAgent: opts.userAgent, agent: opts.agent, listenEvents: true, selfListen: true };
+      api = await new Promise((resolve, reject) => {
+        try {
+          const maybe = loginFn(loginData, options, (err, res) => (err ? reject(err) : resolve(res)));
+          if (maybe && typeof maybe.then === "function") maybe.then(resolve, reject);
+        } catch (e) {
+          reject(e);
+        }
+      });
+
+      methods = {
+        sendMessage: pick(api, ["sendMessage"]),
+        setMessageReaction: pick(api, ["setMessageReaction"]),
+        setNickname: pick(api, ["changeNickname", "setNickname"]),
+        setTitle: pick(api, ["setTitle", "setThreadTitle"]),
+        getThreadInfo: pick(api, ["getThreadInfo"]),
+        getUserInfo: pick(api, ["getUserInfo"]),
+        addUserToGroup: pick(api, ["addUserToGroup"]),
+        removeUserFromGroup: pick(api, ["removeUserFromGroup"]),
+        typing: pick(api, ["sendTypingIndicator"]),
+        getAppState: pick(api, ["getAppState"]),
+        getCurrentUserID: pick(api, ["getCurrentUserID"]),
+        listen: pick(api, ["listenMqtt", "listen"]) || (typeof api.on === "function" ? "on" : null)
+      };
+      for (const [key, name] of Object.entries(methods)) client.capabilities[key] = !!name;
+
+      try {
+        if (api.setOptions) api.setOptions({ listenEvents: true, selfListen: true });
+      } catch {}
+      return client;
+    },
+
+    sendMessage(msg, threadID) {
+      return callback(api[requireMethod("sendMessage")], api, [msg, threadID]);
+    },
+
+    setMessageReaction(reaction, messageID) {
+      return callback(api[requireMethod("setMessageReaction")], api, [reaction, messageID]);
+    },
+
+    setNickname(nick, threadID, uid) {
+      return callback(api[requireMethod("setNickname")], api, [nick, threadID, uid]);
+    },
+
+    setTitle(title, threadID) {
+      const name = requireMethod("setTitle");
+      // setThreadTitle forks take (threadID, title)
+      const args = name === "setThreadTitle" ? [threadID, title] : [title, threadID];
+      return callback(api[name], api, args);
+    },
+
+    getThreadInfo(threadID) {
+      return callback(api[requireMethod("getThreadInfo")], api, [threadID]);
+    },
+
+    // → { [uid]: { name, ... } }
+    getUserInfo(ids) {
+      return callback(api[requireMethod("getUserInfo")], api, [[].concat(ids)]);
+    },
+
+    addUserToGroup(uid, threadID) {
+      return callback(api[requireMethod("addUserToGroup")], api, [uid, threadID]);
+    },
+
+    removeUserFromGroup(uid, threadID) {
+      return callback(api[requireMethod("removeUserFromGroup")], api, [uid, threadID]);
+    },
+
+    // fca-unofficial returns a function that ends the indicator
+    sendTypingIndicator(threadID, on) {
+      if (!methods.typing) return;
+      if (on) {
+        const end = api[methods.typing](threadID, () => {});
+        if (typeof end === "function") typingEnds.set(threadID, end);
+      } else {
+        const end = typingEnds.get(threadID);
+        typingEnds.delete(threadID);
+        if (end) end(() => {});
+      }
+    },
+
+    getAppState() {
+      return methods.getAppState ? api.getAppState() : null;
+    },
+
+    getCurrentUserID() {
+      return methods.getCurrentUserID ? String(api.getCurrentUserID()) : null;
+    },
+
+    listen(handler) {
+      const name = requireMethod("listen");
+      if (name === "on") return api.on("event", event => handler(null, event));
+      return api[name]((err, event) => handler(err, event));
+    },
+
+    stop() {
+      try {
+        if (typeof api.stopListening === "function") api.stopListening();
+        else if (typeof api.stopListeningAsync === "function") api.stopListeningAsync();
+      } catch {}
+    }
+  };
+
+  return client;
+}
+
+module.exports = { createFcaAdapter };
@@ -0,0 +1,55 @@
+const fs = require("fs");
+const { createFcaAdapter } = require("./fca");
+const { createFakeClient } = require("./fake");
+
+// MessengerClient — the only surface bot.js talks to. Every adapter returns an
+// object with:
+//   name, capabilities         adapter name and { method: supported } map (filled after login)
+//   login()                    → Promise<client>
+//   listen(handler)            handler(err, rawEvent); bot.js maps rawEvent through lib/events.js
+//   sendMessage(msg, threadID) → Promise<{ messageID }>    msg: text or { body, attachment: stream(s) }
+//   setMessageReaction(reaction, messageID)
+//   setNickname(nick, threadID, uid) / setTitle(title, threadID)
+//   getThreadInfo(threadID)    → Promise<{ threadName, participantIDs, userInfo, nicknames, adminIDs }>
+//   getUserInfo(ids)           → Promise<{ [uid]: { name } }>
+//   addUserToGroup(uid, threadID) / removeUserFromGroup(uid, threadID)
+//   sendTypingIndicator(threadID, on)
+//   getAppState() / getCurrentUserID() / stop()
+//
+// Pick one with FCA_CLIENT=<name>; "fake" runs entirely offline and plays the
+// events from FAKE_SCRIPT (a JSON file: { "threads": [...], "events": [...] }).
+
+const adapters = {
+  "ws3-fca": (opts) => createFcaAdapter(require("ws3-fca"), Object.assign({ name: "ws3-fca" }, opts)),
+  "nexus-fca": (opts) => createFcaAdapter(require("nexus-fca"), Object.assign({ name: "nexus-fca" }, opts)),
+  fake: (opts) => {
+    const script = opts.script ? JSON.parse(fs.readFileSync(opts.script, "utf-8")) : {};
+    return createFakeClient(Object.assign({}, opts, { threads: script.threads, script }));
+  }
+};
+
+const DEFAULT_CLIENT = "ws3-fca";
+
+function registerAdapter(name, factory) {
+  adapters[name] = factory;
+}
+
+function createClient(name = process.env.FCA_CLIENT || DEFAULT_CLIENT, opts = {}) {
+  const factory = adapters[name];
+  if (!factory) throw new Error(`Unknown FCA client "${name}" (available: ${Object.keys(adapters).join(", ")})`);
+  try {
+    return factory(opts);
+  } catch (e) {
+    if (e.code === "MODULE_NOT_FOUND") throw new Error(`FCA client "${name}" is not installed. Install it: npm i ${name}`);
+    throw e;
+  }
+}
+
+function describeCapabilities(client) {
+  const caps = client.capabilities || {};
+  const on = Object.keys(caps).filter(k => caps[k]);
+  const off = Object.keys(caps).filter(k => !caps[k]);
+  return `${client.name}: ${on.join(", ") || "none"}${off.length ? ` | missing: ${off.join(", ")}` : ""}`;
+}
+
+module.exports = { createClient, registerAdapter, describeCapabilities, DEFAULT_CLIENT };
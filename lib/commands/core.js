@@ -0,0 +1,147 @@
+const { ROLES, roleLevel, UsageError } = require("./index");
+const { translate, BUNDLES, LANGUAGES, DEFAULT_LANG } = require("../i18n");
+
+// one-line summary of a thread's protections for /status
+function describeThread(t, tr = translate) {
+  const parts = [];
+  if (t.lockedGroupName) parts.push(tr("thread.gcLock", { name: t.lockedGroupName }));
+  if (t.gcAutoRemoveEnabled) parts.push(tr("thread.gcRemove"));
+  if (t.nickLockEnabled) parts.push(tr("thread.nickLock", { nick: t.lockedNick }));
+  if (t.nickRemoveEnabled) parts.push(tr("thread.nickRemove"));
+  if (t.antiOutEnabled) parts.push(tr("thread.antiOut"));
+  if (t.unsendRepostEnabled) parts.push(tr("thread.unsend", { destination: t.unsendDestination }));
+  if (t.welcomeMessage || t.farewellMessage) parts.push(tr("thread.greetings"));
+  if (t.moderationEnabled) parts.push(tr("thread.moderation"));
+  if (t.autoReplies && t.autoReplies.length) parts.push(tr("thread.autoReplies", { count: t.autoReplies.length }));
+  return parts.join(", ") || tr("thread.none");
+}
+
+function languageName(code) {
+  return `${BUNDLES[code].language} (${code})`;
+}
+
+const commands = [
+  {
+    name: "help",
+    description: "List commands, or show details for one",
+    args: [{ name: "command", type: "word" }],
+    handler: async (ctx) => {
+      if (!ctx.args.command) return ctx.reply(ctx.registry.helpText(ctx.role, ctx.prefix, ctx.t));
+      const cmd = ctx.registry.find(ctx.args.command.replace(ctx.prefix, ""));
+      if (!cmd) throw new UsageError(ctx.t("help.unknown", { command: ctx.args.command }));
+      return ctx.reply(ctx.registry.commandHelp(cmd, ctx.prefix, ctx.t));
+    }
+  },
+
+  {
+    name: "uid",
+    description: "Show this thread ID and your UID",
+    handler: (ctx) => ctx.reply(ctx.t("uid.info", { threadID: ctx.threadID, uid: ctx.senderID, role: ctx.role }))
+  },
+
+  {
+    name: "status",
+    description: "Show bot status for this thread and every managed thread",
+    role: "moderator",
+    handler: (ctx) => {
+      const { store, threadID, settings, t } = ctx;
+      const others = store.threadIDs().filter(id => id !== threadID);
+      const onOff = (on) => t(on ? "common.on" : "common.off");
+      return ctx.reply(t("status.text", {
+        gcLock: settings.lockedGroupName || onOff(false),
+        gcAutoRemove: onOff(settings.gcAutoRemoveEnabled),
+        nickLock: settings.nickLockEnabled ? settings.lockedNick : onOff(false),
+        nickRemove: onOff(settings.nickRemoveEnabled),
+        antiOut: onOff(settings.antiOutEnabled),
+        unsend: settings.unsendRepostEnabled ? t("status.unsendOn", { destination: settings.unsendDestination }) : onOff(false),
+        greetings: ["welcomeMessage", "farewellMessage", "rulesMessage"].map(k => onOff(settings[k])).join("/"),
+        moderation: settings.moderationEnabled ? t("status.moderationOn", { count: settings.bannedWords.length }) : onOff(false),
+        autoReplies: settings.autoReplies.length,
+        schedules: ctx.scheduler.list(threadID).length,
+        language: languageName(ctx.language),
+        saved: settings.updatedAt || t("status.never"),
+        count: store.threadIDs().length,
+        threads: others.map(id => `• ${id}: ${describeThread(store.thread(id), t)}`).join("\n") || t("status.noOthers")
+      }));
+    }
+  },
+
+  {
+    name: "admin",
+    aliases: ["role"],
+    description: "Manage bot roles in this thread (moderator, coadmin, owner)",
+    role: "coadmin",
+    args: [
+      { name: "action", type: "enum", choices: ["add", "remove", "list"], required: true },
+      { name: "user", type: "user", description: "mention, reply or UID" },
+      { name: "role", type: "enum", choices: ROLES.slice(1), description: "defaults to moderator" }
+    ],
+    handler: async (ctx) => {
+      const { args, settings, threadID, store } = ctx;
+      const roles = Object.assign({}, settings.roles);
+
+      if (args.action === "list") {
+        const lines = [`• ${ctx.ownerUID}: ${ctx.t("roles.botOwner")}`]
+          .concat(Object.entries(roles).filter(([id]) => id !== ctx.ownerUID).map(([id, role]) => `• ${id}: ${role}`));
+        return ctx.reply(ctx.t("roles.list", { roles: lines.join("\n") }));
+      }
+
+      if (!args.user) throw new UsageError(ctx.t("args.user"));
+      if (args.user === ctx.ownerUID) return ctx.reply(ctx.t("roles.ownerFixed"));
+
+      // you can only hand out or take away roles below your own (owners can do anything)
+      const mine = roleLevel(ctx.role);
+      const current = roles[args.user] || "member";
+      const canManage = (role) => ctx.role === "owner" || roleLevel(role) < mine;
+
+      if (args.action === "add") {
+        const role = args.role || "moderator";
+        if (!canManage(role) || !canManage(current)) return ctx.reply(ctx.t("roles.cantGrant", { role }));
+        roles[args.user] = role;
+        store.updateThread(threadID, { roles });
+        return ctx.reply(ctx.t("roles.granted", { user: args.user, role }));
+      }
+
+      if (!roles[args.user]) return ctx.reply(ctx.t("roles.none", { user: args.user }));
+      if (!canManage(current)) return ctx.reply(ctx.t("roles.cantRemove", { role: current }));
+      delete roles[args.user];
+      store.updateThread(threadID, { roles });
+      return ctx.reply(ctx.t("roles.removed", { user: args.user }));
+    }
+  },
+
+  {
+    name: "prefix",
+    description: "Change the command prefix for this thread",
+    role: "owner",
+    args: [{ name: "prefix", type: "word", required: true, description: "1-3 characters, e.g. ! or #" }],
+    handler: (ctx) => {
+      try {
+        ctx.store.updateThread(ctx.threadID, { prefix: ctx.args.prefix });
+      } catch (e) {
+        throw new UsageError(e.message);
+      }
+      return ctx.reply(ctx.t("prefix.set", { prefix: ctx.args.prefix }));
+    }
+  },
+
+  {
+    name: "lang",
+    aliases: ["language"],
+    description: "Show or change the language the bot replies in here",
+    role: "coadmin",
+    args: [{ name: "language", type: "word", description: LANGUAGES.join(", ") + ", or default" }],
+    handler: (ctx) => {
+      const code = ctx.args.language && ctx.args.language.toLowerCase();
+      if (!code) {
+        return ctx.reply(ctx.t("lang.current", { language: languageName(ctx.language), available: LANGUAGES.map(languageName).join(", ") }));
+      }
+      if (code !== "default" && !LANGUAGES.includes(code)) throw new UsageError(ctx.t("lang.unknown", { language: code, available: LANGUAGES.join(", ") }));
+      const language = ctx.store.updateThread(ctx.threadID, { language: code === "default" ? null : code }).language || DEFAULT_LANG;
+      // answer in the new language
+      return ctx.reply(ctx.messages.t(language, "lang.set", { language: languageName(language) }));
+    }
+  }
+];
+
+module.exports = { commands, describeThread };
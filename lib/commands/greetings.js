@@ -0,0 +1,83 @@
+const { roleLevel, UsageError } = require("./index");
+const { DEFAULT_COOLDOWN_SEC } = require("../greetings");
+
+// Welcome / farewell / rules messages. Templates may use {name}, {group}, {count}.
+
+// `what` names the message in replies ("Welcome"), translated through the greeting.<name> key
+function templateCommand(name, key, what) {
+  return {
+    name,
+    description: `Set, show, test or turn off the ${what} message`,
+    role: "coadmin",
+    args: [
+      { name: "action", type: "enum", choices: ["set", "off", "show", "test", "cooldown"], required: true },
+      { name: "text", type: "rest", description: "template for set ({name} {group} {count}), seconds for cooldown" }
+    ],
+    handler: async (ctx) => {
+      const { action, text } = ctx.args;
+      const current = ctx.settings[key];
+      const label = ctx.t(`greeting.${name}`, {}, what);
+
+      if (action === "show") {
+        return ctx.reply(current ? ctx.t("greeting.show", { what: label, text: current }) : ctx.t("greeting.none", { what: label }));
+      }
+      if (action === "off") {
+        ctx.store.updateThread(ctx.threadID, { [key]: null });
+        return ctx.reply(ctx.t("greeting.off", { what: label }));
+      }
+      if (action === "test") {
+        if (!current) return ctx.reply(ctx.t("greeting.none", { what: label }));
+        return ctx.greeter.preview(name, ctx.threadID, ctx.settings, ctx.senderID);
+      }
+      if (action === "cooldown") {
+        const seconds = Number(text);
+        if (text === null || !Number.isFinite(seconds)) throw new UsageError(ctx.t("greeting.cooldownUsage", { seconds: DEFAULT_COOLDOWN_SEC }));
+        try {
+          ctx.store.updateThread(ctx.threadID, { greetingCooldownSec: seconds });
+        } catch (e) {
+          throw new UsageError(e.message);
+        }
+        return ctx.reply(ctx.t("greeting.cooldown", { seconds }));
+      }
+      if (!text) throw new UsageError(ctx.t("greeting.textMissing"));
+      try {
+        ctx.store.updateThread(ctx.threadID, { [key]: text });
+      } catch (e) {
+        throw new UsageError(e.message);
+      }
+      return ctx.reply(ctx.t("greeting.saved", { what: label, command: ctx.prefix + name }));
+    }
+  };
+}
+
+const commands = [
+  templateCommand("welcome", "welcomeMessage", "Welcome"),
+  templateCommand("farewell", "farewellMessage", "Farewell"),
+
+  {
+    name: "rules",
+    description: "Show the group rules (coadmins: set <text> / off)",
+    args: [
+      { name: "action", type: "enum", choices: ["set", "off"] },
+      { name: "text", type: "rest" }
+    ],
+    handler: (ctx) => {
+      const { action, text } = ctx.args;
+      if (!action) return ctx.reply(ctx.settings.rulesMessage ? ctx.t("rules.show", { rules: ctx.settings.rulesMessage }) : ctx.t("rules.none"));
+      if (roleLevel(ctx.role) < roleLevel("coadmin")) return ctx.reply(ctx.t("command.denied", { command: `${ctx.prefix}rules ${action}`, role: "coadmin" }));
+      if (action === "off") {
+        ctx.store.updateThread(ctx.threadID, { rulesMessage: null });
+        return ctx.reply(ctx.t("rules.off"));
+      }
+      if (!text) throw new UsageError(ctx.t("rules.textMissing"));
+      try {
+        ctx.store.updateThread(ctx.threadID, { rulesMessage: text });
+      } catch (e) {
+        throw new UsageError(e.message);
+      }
+      return ctx.reply(ctx.t("rules.saved"));
+    }
+  }
+];
+
+module.exports = { commands };
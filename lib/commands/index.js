@@ -0,0 +1,180 @@
+// Declarative chat commands. Each command is a plain object:
+//
+//   {
+//     name: "nicklock",
+//     aliases: ["nl"],
+//     description: "Lock every nickname in this thread",
+//     role: "coadmin",                      // minimum role (see ROLES)
+//     args: [
+//       { name: "mode", type: "enum", choices: ["on", "off"], required: true },
+//       { name: "nickname", type: "rest" }
+//     ],
+//     handler: async (ctx) => { ... }        // ctx.args.mode, ctx.args.nickname, ctx.reply(...)
+//   }
+//
+// Arg types: "word" (one token), "rest" (remaining text), "number", "enum",
+// "user" (@mention, reply target or a raw numeric UID).
+//
+// Replies go through ctx.t(key, vars) (lib/i18n.js) so they follow the thread's
+// language; descriptions come from the "cmd.<name>" catalog keys when there is one.
+
+const { translate } = require("../i18n");
+
+const ROLES = ["member", "moderator", "coadmin", "owner"];
+
+function roleLevel(role) {
+  const i = ROLES.indexOf(role);
+  return i === -1 ? 0 : i;
+}
+
+class UsageError extends Error {}
+
+function usageOf(cmd, prefix) {
+  const parts = (cmd.args || []).map(a => {
+    const label = a.type === "enum" ? a.choices.join("|") : a.type === "user" ? `@${a.name}` : a.name;
+    const text = a.type === "rest" ? `${label}...` : label;
+    return a.required ? `<${text}>` : `[${text}]`;
+  });
+  return `${prefix}${cmd.name}${parts.length ? " " + parts.join(" ") : ""}`;
+}
+
+// Remove "@Name" mention text so it doesn't leak into other arguments
+function stripMentions(text, mentions) {
+  let out = text;
+  for (const tag of Object.values(mentions || {})) {
+    if (tag) out = out.split(String(tag)).join(" ");
+  }
+  return out.replace(/\s+/g, " ").trim();
+}
+
+function parseArgs(cmd, rawArgs, event, t = translate) {
+  const mentionIDs = Object.keys(event.mentions || {});
+  let text = stripMentions(rawArgs, event.mentions);
+  const args = {};
+
+  for (const spec of cmd.args || []) {
+    let value = null;
+
+    if (spec.type === "user") {
+      if (mentionIDs.length) {
+        value = mentionIDs.shift();
+      } else {
+        const m = text.match(/^(\d{5,})(?:\s+|$)/);
+        if (m) {
+          value = m[1];
+          text = text.slice(m[0].length);
+        } else if (event.replyTo && event.replyTo.senderID) {
+          value = event.replyTo.senderID;
+        }
+      }
+    } else if (spec.type === "rest") {
+      value = text || null;
+      text = "";
+    } else {
+      const m = text.match(/^(\S+)(?:\s+|$)/);
+      if (m) {
+        value = m[1];
+        text = text.slice(m[0].length);
+      }
+      if (value !== null && spec.type === "enum") {
+        value = value.toLowerCase();
+        if (!spec.choices.includes(value)) throw new UsageError(t("args.choices", { name: spec.name, choices: spec.choices.join(", ") }));
+      }
+      if (value !== null && spec.type === "number") {
+        const n = Number(value);
+        if (!Number.isFinite(n)) throw new UsageError(t("args.number", { name: spec.name }));
+        value = n;
+      }
+    }
+
+    if (value === null && spec.required) throw new UsageError(t("args.missing", { name: spec.name }));
+    args[spec.name] = value === null && "default" in spec ? spec.default : value;
+  }
+  return args;
+}
+
+// opts.onResult(commandName, "ok" | "denied" | "usage" | "error", ctx) is called for every dispatch
+function createCommandRegistry(opts = {}) {
+  const onResult = opts.onResult || (() => {});
+  const commands = new Map();
+  const lookup = new Map();
+
+  function register(def) {
+    if (!def.name || typeof def.handler !== "function") throw new Error("Command needs a name and a handler");
+    const cmd = Object.assign({ aliases: [], args: [], role: "member", description: "" }, def);
+    cmd.name = cmd.name.toLowerCase();
+    commands.set(cmd.name, cmd);
+    for (const key of [cmd.name, ...cmd.aliases]) lookup.set(key.toLowerCase(), cmd);
+    return cmd;
+  }
+
+  function find(name) {
+    return lookup.get(String(name || "").toLowerCase()) || null;
+  }
+
+  // Split "<prefix>name args..." → { cmd, rawArgs } or null when it isn't a known command
+  function match(body, prefix) {
+    const text = String(body || "").trim();
+    if (!text.startsWith(prefix)) return null;
+    const m = text.slice(prefix.length).match(/^(\S+)\s*([\s\S]*)$/);
+    if (!m) return null;
+    const cmd = find(m[1]);
+    return cmd ? { cmd, rawArgs: m[2] } : null;
+  }
+
+  function list(role = "owner") {
+    return [...commands.values()].filter(c => roleLevel(role) >= roleLevel(c.role));
+  }
+
+  function describe(cmd, t) {
+    return t(`cmd.${cmd.name}`, {}, cmd.description);
+  }
+
+  function helpText(role, prefix, t = translate) {
+    const lines = list(role).map(c => `• ${usageOf(c, prefix)} → ${describe(c, t)}`);
+    return t("help.list", { role, commands: lines.join("\n"), prefix });
+  }
+
+  function commandHelp(cmd, prefix, t = translate) {
+    const lines = [`📌 ${usageOf(cmd, prefix)}`, describe(cmd, t)];
+    if (cmd.aliases.length) lines.push(t("help.aliases", { aliases: cmd.aliases.map(a => prefix + a).join(", ") }));
+    for (const a of cmd.args) {
+      if (a.description) lines.push(`  ${a.name}: ${a.description}`);
+    }
+    lines.push(t("help.role", { role: cmd.role }));
+    return lines.join("\n");
+  }
+
+  // Parse, check the role and run. Returns false when the body isn't a command.
+  async function dispatch(body, ctx) {
+    const found = match(body, ctx.prefix);
+    if (!found) return false;
+    const { cmd, rawArgs } = found;
+    const t = ctx.t || translate;
+
+    if (roleLevel(ctx.role) < roleLevel(cmd.role)) {
+      onResult(cmd.name, "denied", ctx);
+      if (roleLevel(ctx.role) > 0) await ctx.reply(t("command.denied", { command: ctx.prefix + cmd.name, role: cmd.role }));
+      return true;
+    }
+
+    try {
+      const args = parseArgs(cmd, rawArgs, ctx.event, t);
+      await cmd.handler(Object.assign({}, ctx, { args, command: cmd }));
+      onResult(cmd.name, "ok", ctx);
+    } catch (e) {
+      if (e instanceof UsageError) {
+        onResult(cmd.name, "usage", ctx);
+        await ctx.reply(t("command.usage", { error: e.message, usage: usageOf(cmd, ctx.prefix) }));
+      } else {
+        onResult(cmd.name, "error", ctx);
+        throw e;
+      }
+    }
+    return true;
+  }
+
+  return { register, find, match, list, helpText, commandHelp, dispatch, usageOf };
+}
+
+module.exports = { ROLES, roleLevel, UsageError, createCommandRegistry, usageOf };
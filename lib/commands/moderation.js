@@ -0,0 +1,119 @@
+const { roleLevel, UsageError } = require("./index");
+const { STEPS, DEFAULT_STEPS, DEFAULTS } = require("../moderation");
+const { DECAY_HOURS } = require("../warnings");
+const { translate } = require("../i18n");
+
+// Moderation settings and warnings (lib/moderation.js, lib/warnings.js)
+
+function update(ctx, patch) {
+  try {
+    return ctx.store.updateThread(ctx.threadID, patch);
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+}
+
+function describeModeration(s, t = translate) {
+  const flood = s.floodMessages ?? DEFAULTS.floodMessages;
+  const repeat = s.repeatLimit ?? DEFAULTS.repeatLimit;
+  return t("mod.status", {
+    state: t(s.moderationEnabled ? "common.on" : "common.off"),
+    bannedWords: s.bannedWords.length,
+    flood: flood ? t("mod.flood", { messages: flood, seconds: s.floodWindowSec ?? DEFAULTS.floodWindowSec }) : t("mod.limitOff"),
+    repeats: repeat ? t("mod.repeats", { count: repeat }) : t("mod.limitOff"),
+    steps: (s.moderationSteps || DEFAULT_STEPS).join(" → "),
+    decay: s.warningDecayHours || DECAY_HOURS
+  });
+}
+
+// "" / "default" → null, otherwise a number
+function numberOrDefault(text, t) {
+  if (!text || text === "default") return null;
+  const n = Number(text);
+  if (!Number.isFinite(n)) throw new UsageError(t("mod.notNumber", { value: text }));
+  return n;
+}
+
+const commands = [
+  {
+    name: "mod",
+    aliases: ["moderation"],
+    description: "Moderation on/off, status, and flood / repeat / steps / decay limits",
+    role: "coadmin",
+    args: [
+      { name: "action", type: "enum", choices: ["on", "off", "status", "flood", "repeat", "steps", "decay"], required: true },
+      { name: "values", type: "rest", description: `flood <messages> [seconds] (0 = off), repeat <n>, steps <${STEPS.join("|")}...>, decay <hours>; no value = default` }
+    ],
+    handler: async (ctx) => {
+      const { action } = ctx.args;
+      const values = (ctx.args.values || "").toLowerCase().split(/[\s,>→-]+/).filter(Boolean);
+      let settings = ctx.settings;
+
+      if (action === "on" || action === "off") settings = update(ctx, { moderationEnabled: action === "on" });
+      if (action === "flood") {
+        const patch = { floodMessages: numberOrDefault(values[0], ctx.t) };
+        if (values[1]) patch.floodWindowSec = numberOrDefault(values[1], ctx.t);
+        settings = update(ctx, patch);
+      }
+      if (action === "repeat") settings = update(ctx, { repeatLimit: numberOrDefault(values[0], ctx.t) });
+      if (action === "decay") settings = update(ctx, { warningDecayHours: numberOrDefault(values[0], ctx.t) });
+      if (action === "steps") settings = update(ctx, { moderationSteps: values.length && values[0] !== "default" ? values : null });
+      return ctx.reply(describeModeration(settings, ctx.t));
+    }
+  },
+
+  {
+    name: "banword",
+    description: "Add, remove or list banned words (/regex/ for patterns)",
+    role: "coadmin",
+    args: [
+      { name: "action", type: "enum", choices: ["add", "remove", "list"], required: true },
+      { name: "word", type: "rest" }
+    ],
+    handler: async (ctx) => {
+      const { action, word } = ctx.args;
+      const list = ctx.settings.bannedWords;
+      if (action === "list") return ctx.reply(list.length ? ctx.t("banword.list", { words: list.map(w => "• " + w).join("\n") }) : ctx.t("banword.empty"));
+      if (!word) throw new UsageError(ctx.t("banword.missing"));
+      if (action === "add") {
+        if (!list.includes(word)) update(ctx, { bannedWords: [...list, word] });
+        return ctx.reply(ctx.t(ctx.settings.moderationEnabled ? "banword.added" : "banword.addedModOff", { word, command: ctx.prefix + "mod on" }));
+      }
+      if (!list.includes(word)) return ctx.reply(ctx.t("banword.notListed", { word }));
+      update(ctx, { bannedWords: list.filter(w => w !== word) });
+      return ctx.reply(ctx.t("banword.removed", { word }));
+    }
+  },
+
+  {
+    name: "warnings",
+    description: "Show active warnings for yourself or (staff) someone else",
+    args: [{ name: "target", type: "user" }],
+    handler: async (ctx) => {
+      const target = ctx.args.target || ctx.senderID;
+      if (target !== ctx.senderID && roleLevel(ctx.role) < roleLevel("moderator")) {
+        return ctx.reply(ctx.t("warnings.denied"));
+      }
+      const list = ctx.warnings.active(ctx.threadID, target, ctx.settings);
+      if (!list.length) return ctx.reply(ctx.t("warnings.none", { user: target }));
+      const lines = list.map((w, i) => `${i + 1}. ${new Date(w.ts).toISOString().replace("T", " ").slice(0, 16)} — ${w.reason}`);
+      return ctx.reply(ctx.t("warnings.list", { user: target, count: list.length, warnings: lines.join("\n") }));
+    }
+  },
+
+  {
+    name: "pardon",
+    description: "Clear someone's warnings in this thread",
+    role: "moderator",
+    args: [{ name: "target", type: "user", required: true }],
+    handler: async (ctx) => {
+      const { target } = ctx.args;
+      const cleared = ctx.warnings.clear(ctx.threadID, target);
+      ctx.moderator.reset(ctx.threadID, target);
+      ctx.logger.info("moderation", `🕊️ ${ctx.senderID} pardoned ${target} (${cleared} warnings)`, { threadID: ctx.threadID, actor: target, by: ctx.senderID });
+      return ctx.reply(cleared ? ctx.t("pardon.done", { count: cleared, user: target }) : ctx.t("pardon.none", { user: target }));
+    }
+  }
+];
+
+module.exports = { commands, describeModeration };
@@ -0,0 +1,96 @@
+const { UsageError } = require("./index");
+
+// Per-thread plugin switches and settings (lib/plugins.js):
+//   plugin list / plugin on dice / plugin off dice
+//   plugin set dice sides 20      (no value resets it to the default)
+//   plugin show dice
+
+function save(ctx, name, patch) {
+  try {
+    return ctx.store.updateThread(ctx.threadID, { plugins: { [name]: patch } }).plugins[name];
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+}
+
+function findPlugin(ctx, name) {
+  const plugin = name && ctx.plugins.plugins.get(name.toLowerCase());
+  if (!plugin) throw new UsageError(ctx.t("plugin.unknown", { name: name || "", command: ctx.prefix + "plugin list" }));
+  return plugin;
+}
+
+// "20" → 20 for number settings, "on"/"off" for booleans; "" → null (default)
+function parseValue(spec, text, t) {
+  if (!text) return null;
+  if (spec.type === "number") {
+    const n = Number(text);
+    if (!Number.isFinite(n)) throw new UsageError(t("plugin.needsNumber"));
+    return n;
+  }
+  if (spec.type === "boolean") {
+    if (!/^(on|off|true|false)$/i.test(text)) throw new UsageError(t("plugin.needsOnOff"));
+    return /^(on|true)$/i.test(text);
+  }
+  return text;
+}
+
+const commands = [
+  {
+    name: "plugin",
+    aliases: ["plugins"],
+    description: "Turn plugins on or off in this thread and change their settings",
+    role: "coadmin",
+    args: [
+      { name: "action", type: "enum", choices: ["list", "on", "off", "set", "show"], required: true },
+      { name: "spec", type: "rest", description: "on|off|show <plugin>, set <plugin> <setting> [value]" }
+    ],
+    handler: async (ctx) => {
+      const { action, spec } = ctx.args;
+      const list = ctx.plugins.list();
+
+      if (action === "list") {
+        if (!list.length) return ctx.reply(ctx.t("plugin.none"));
+        const lines = list.map(p => {
+          if (p.loadError) return `• ⚠️ ${p.name} — ${ctx.t("plugin.loadFailed")}`;
+          const on = p.enabled && !p.suspended && ctx.plugins.enabledIn(p.name, ctx.settings);
+          const state = ctx.t(!p.enabled ? "plugin.offForBot" : p.suspended ? "plugin.suspended" : on ? "plugin.on" : "plugin.off");
+          return `• ${on ? "🟢" : "⚪"} ${p.name} (${state})${p.description ? " — " + p.description : ""}`;
+        });
+        return ctx.reply(ctx.t("plugin.list", { plugins: lines.join("\n") }));
+      }
+
+      const [name, key, ...rest] = (spec || "").trim().split(/\s+/);
+      const plugin = findPlugin(ctx, name);
+
+      if (action === "on" || action === "off") {
+        save(ctx, plugin.name, { enabled: action === "on" });
+        const entry = list.find(p => p.name === plugin.name);
+        const key = action === "off" ? "plugin.switchedOff" : entry.enabled && !entry.suspended ? "plugin.switchedOn" : "plugin.switchedOnBotOff";
+        ctx.logger.info("plugin", `🧩 Plugin ${plugin.name} ${action} in ${ctx.threadID} by ${ctx.senderID}`, { threadID: ctx.threadID, actor: ctx.senderID });
+        return ctx.reply(ctx.t(key, { name: plugin.name }));
+      }
+
+      if (action === "show") {
+        const config = ctx.plugins.configOf(plugin, ctx.settings);
+        const lines = Object.entries(plugin.settings).map(([k, s]) => `• ${k} = ${JSON.stringify(config[k])}${s.description ? ` — ${s.description}` : ""}`);
+        const commandNames = plugin.commands.map(c => ctx.prefix + c.name).join(", ");
+        return ctx.reply([
+          ctx.t("plugin.show", { name: plugin.name, state: ctx.t(ctx.plugins.enabledIn(plugin.name, ctx.settings) ? "common.on" : "common.off") }) +
+            (plugin.description ? " — " + plugin.description : ""),
+          ...lines,
+          commandNames ? ctx.t("plugin.commands", { commands: commandNames }) : null
+        ].filter(Boolean).join("\n"));
+      }
+
+      const setting = key && plugin.settings[key];
+      if (!setting) throw new UsageError(ctx.t("plugin.settings", { name: plugin.name, settings: Object.keys(plugin.settings).join(", ") || ctx.t("plugin.noSettings") }));
+      const value = parseValue(setting, rest.join(" "), ctx.t);
+      save(ctx, plugin.name, { [key]: value });
+      return ctx.reply(value === null
+        ? ctx.t("plugin.settingReset", { name: plugin.name, setting: key, value: JSON.stringify(setting.default) })
+        : ctx.t("plugin.settingSet", { name: plugin.name, setting: key, value: JSON.stringify(value) }));
+    }
+  }
+];
+
+module.exports = { commands };
@@ -0,0 +1,179 @@
+const { UsageError } = require("./index");
+
+// Group name / nickname / anti-out protection commands
+
+async function forEachParticipant(ctx, fn) {
+  const info = await ctx.api.getThreadInfo(ctx.threadID);
+  if (info && Array.isArray(info.userInfo)) {
+    for (const u of info.userInfo) await fn(String(u.id));
+  }
+}
+
+const commands = [
+  {
+    name: "gclock",
+    description: "Lock the group name",
+    role: "coadmin",
+    args: [{ name: "name", type: "rest", required: true }],
+    handler: async (ctx) => {
+      const { name } = ctx.args;
+      ctx.store.updateThread(ctx.threadID, { lockedGroupName: name, gcAutoRemoveEnabled: false });
+      await ctx.setTitleSafe(name, ctx.threadID);
+      return ctx.reply(ctx.t("gclock.locked", { name }));
+    }
+  },
+
+  {
+    name: "gcremove",
+    description: "Remove the group name and keep it removed",
+    role: "coadmin",
+    handler: async (ctx) => {
+      await ctx.setTitleSafe("", ctx.threadID);
+      ctx.store.updateThread(ctx.threadID, { lockedGroupName: null, gcAutoRemoveEnabled: true });
+      return ctx.reply(ctx.t("gcremove.done"));
+    }
+  },
+
+  {
+    name: "gcunlock",
+    description: "Stop locking or auto-removing the group name",
+    role: "coadmin",
+    handler: (ctx) => {
+      ctx.store.updateThread(ctx.threadID, { lockedGroupName: null, gcAutoRemoveEnabled: false });
+      return ctx.reply(ctx.t("gcunlock.done"));
+    }
+  },
+
+  {
+    name: "nicklock",
+    description: "Lock every nickname in this thread (on <nick>) or unlock (off)",
+    role: "coadmin",
+    args: [
+      { name: "mode", type: "enum", choices: ["on", "off"], required: true },
+      { name: "nickname", type: "rest", description: "required with on" }
+    ],
+    handler: async (ctx) => {
+      const { mode, nickname } = ctx.args;
+      if (mode === "off") {
+        ctx.store.updateThread(ctx.threadID, { nickLockEnabled: false, lockedNick: null });
+        return ctx.reply(ctx.t("nicklock.off"));
+      }
+      if (!nickname) return ctx.reply(ctx.t("nicklock.missing"));
+      ctx.store.updateThread(ctx.threadID, { lockedNick: nickname, nickLockEnabled: true });
+      try {
+        await forEachParticipant(ctx, uid => ctx.setNickSafe(nickname, ctx.threadID, uid));
+        return ctx.reply(ctx.t("nicklock.on", { nickname }));
+      } catch (e) {
+        ctx.logger.error("command", "❌ Error applying nicklock: " + e, { threadID: ctx.threadID });
+        return ctx.reply(ctx.t("nicklock.failed"));
+      }
+    }
+  },
+
+  {
+    name: "nickremoveall",
+    description: "Clear all nicknames and keep them cleared",
+    role: "coadmin",
+    handler: async (ctx) => {
+      ctx.store.updateThread(ctx.threadID, { nickRemoveEnabled: true });
+      try {
+        await forEachParticipant(ctx, uid => ctx.setNickSafe("", ctx.threadID, uid));
+        return ctx.reply(ctx.t("nickremove.done"));
+      } catch (e) {
+        ctx.logger.error("command", "❌ Error clearing nicks: " + e, { threadID: ctx.threadID });
+        return ctx.reply(ctx.t("nickremove.failed"));
+      }
+    }
+  },
+
+  {
+    name: "nickremoveoff",
+    description: "Stop auto nick remove",
+    role: "coadmin",
+    handler: (ctx) => {
+      ctx.store.updateThread(ctx.threadID, { nickRemoveEnabled: false });
+      return ctx.reply(ctx.t("nickremove.off"));
+    }
+  },
+
+  {
+    name: "setnick",
+    description: "Set one member's nickname",
+    role: "moderator",
+    args: [
+      { name: "user", type: "user", required: true, description: "mention, reply or UID" },
+      { name: "nickname", type: "rest", required: true }
+    ],
+    handler: async (ctx) => {
+      const { user, nickname } = ctx.args;
+      await ctx.setNickSafe(nickname, ctx.threadID, user);
+      return ctx.reply(ctx.t("setnick.done", { user }));
+    }
+  },
+
+  {
+    name: "antion",
+    description: "Enable anti-out (re-add members kicked by non-admins)",
+    role: "coadmin",
+    handler: (ctx) => {
+      ctx.store.updateThread(ctx.threadID, { antiOutEnabled: true });
+      return ctx.reply(ctx.t("antiout.on"));
+    }
+  },
+
+  {
+    name: "antioff",
+    description: "Disable anti-out",
+    role: "coadmin",
+    handler: (ctx) => {
+      ctx.store.updateThread(ctx.threadID, { antiOutEnabled: false });
+      return ctx.reply(ctx.t("antiout.off"));
+    }
+  },
+
+  {
+    name: "antiexempt",
+    description: "Manage members anti-out never adds back",
+    role: "coadmin",
+    args: [
+      { name: "action", type: "enum", choices: ["add", "remove", "list"], required: true },
+      { name: "user", type: "user", description: "mention, reply or UID" }
+    ],
+    handler: (ctx) => {
+      const { args, settings, threadID } = ctx;
+      const exempt = settings.antiOutExempt.slice();
+
+      if (args.action === "list") {
+        return ctx.reply(exempt.length ? ctx.t("antiexempt.list", { users: exempt.map(id => `• ${id}`).join("\n") }) : ctx.t("antiexempt.empty"));
+      }
+      if (!args.user) throw new UsageError(ctx.t("args.user"));
+
+      if (args.action === "add") {
+        if (!exempt.includes(args.user)) exempt.push(args.user);
+        ctx.store.updateThread(threadID, { antiOutExempt: exempt });
+        return ctx.reply(ctx.t("antiexempt.added", { user: args.user }));
+      }
+      if (!exempt.includes(args.user)) return ctx.reply(ctx.t("exempt.notExempt", { user: args.user }));
+      ctx.store.updateThread(threadID, { antiOutExempt: exempt.filter(id => id !== args.user) });
+      return ctx.reply(ctx.t("antiexempt.removed", { user: args.user }));
+    }
+  },
+
+  {
+    name: "antilimit",
+    description: "Max times anti-out re-adds the same member per day (0 = default)",
+    role: "coadmin",
+    args: [{ name: "times", type: "number", required: true, description: "1-50, or 0 for the default" }],
+    handler: (ctx) => {
+      const times = ctx.args.times;
+      try {
+        ctx.store.updateThread(ctx.threadID, { antiOutMaxPerDay: times === 0 ? null : times });
+      } catch (e) {
+        throw new UsageError(e.message);
+      }
+      return ctx.reply(times === 0 ? ctx.t("antilimit.reset") : ctx.t("antilimit.set", { times }));
+    }
+  }
+];
+
+module.exports = { commands };
@@ -0,0 +1,77 @@
+const { ROLES, UsageError } = require("./index");
+const { MATCH_TYPES, describeTrigger } = require("../auto-reply");
+
+// Keyword auto-replies (lib/auto-reply.js):
+//   reply add contains good morning => Morning! | Hey, early bird
+//   reply set 3 cooldown 60         (cooldown <sec> | role <role> | react <emoji> | file <name>; no value clears it)
+//   reply list / reply del 3
+
+const OPTIONS = { cooldown: "cooldownSec", role: "role", react: "reaction", file: "attachment" };
+
+function save(ctx, triggers) {
+  try {
+    return ctx.store.updateThread(ctx.threadID, { autoReplies: triggers }).autoReplies;
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+}
+
+function findTrigger(ctx, id) {
+  const trigger = ctx.settings.autoReplies.find(t => String(t.id) === String(id).replace(/^#/, ""));
+  if (!trigger) throw new UsageError(ctx.t("reply.unknown", { id, command: ctx.prefix + "reply list" }));
+  return trigger;
+}
+
+const commands = [
+  {
+    name: "reply",
+    aliases: ["autoreply"],
+    description: "Manage keyword auto-replies for this thread",
+    role: "coadmin",
+    args: [
+      { name: "action", type: "enum", choices: ["add", "list", "del", "set"], required: true },
+      { name: "spec", type: "rest", description: `add <${MATCH_TYPES.join("|")}> <pattern> => <reply> [| variant...], del <id>, set <id> <${Object.keys(OPTIONS).join("|")}> [value]` }
+    ],
+    handler: async (ctx) => {
+      const { action, spec } = ctx.args;
+      const triggers = ctx.settings.autoReplies;
+
+      if (action === "list") {
+        if (!triggers.length) return ctx.reply(ctx.t("reply.empty", { command: ctx.prefix + "help reply" }));
+        return ctx.reply(ctx.t("reply.list", { count: triggers.length, replies: triggers.map(t => "• " + describeTrigger(t)).join("\n") }));
+      }
+
+      if (action === "del") {
+        if (!spec) throw new UsageError(ctx.t("reply.idMissing"));
+        const trigger = findTrigger(ctx, spec.trim());
+        save(ctx, triggers.filter(t => t !== trigger));
+        return ctx.reply(ctx.t("reply.deleted", { id: trigger.id }));
+      }
+
+      if (action === "set") {
+        const m = (spec || "").match(/^(\S+)\s+(\S+)\s*([\s\S]*)$/);
+        if (!m || !OPTIONS[m[2].toLowerCase()]) throw new UsageError(ctx.t("reply.setUsage", { options: Object.keys(OPTIONS).join("|") }));
+        const trigger = findTrigger(ctx, m[1]);
+        const key = OPTIONS[m[2].toLowerCase()];
+        let value = m[3].trim() || null;
+        if (value !== null && key === "cooldownSec") value = Number(value);
+        if (value !== null && key === "role") {
+          value = value.toLowerCase();
+          if (!ROLES.includes(value)) throw new UsageError(ctx.t("reply.badRole", { roles: ROLES.join(", ") }));
+        }
+        const updated = save(ctx, triggers.map(t => (t === trigger ? Object.assign({}, t, { [key]: value }) : t)));
+        return ctx.reply(ctx.t("reply.updated", { reply: describeTrigger(updated.find(t => t.id === trigger.id)) }));
+      }
+
+      const m = (spec || "").match(/^(\S+)\s+([\s\S]+?)\s*=>\s*([\s\S]*)$/);
+      if (!m) throw new UsageError(ctx.t("reply.addUsage", { matches: MATCH_TYPES.join("|") }));
+      const match = m[1].toLowerCase();
+      if (!MATCH_TYPES.includes(match)) throw new UsageError(ctx.t("reply.badMatch", { matches: MATCH_TYPES.join(", ") }));
+      const replies = m[3].split("|").map(r => r.trim()).filter(Boolean);
+      const updated = save(ctx, [...triggers, { match, pattern: m[2], replies }]);
+      return ctx.reply(ctx.t("reply.added", { reply: describeTrigger(updated[updated.length - 1]) }));
+    }
+  }
+];
+
+module.exports = { commands };
@@ -0,0 +1,93 @@
+const { UsageError } = require("./index");
+const { zonedTimeToUtc, formatZoned } = require("../cron");
+const { DEFAULT_TZ } = require("../scheduler");
+
+// Scheduled messages (lib/scheduler.js). Times are in the thread's timezone:
+//   schedule add at 2026-12-24 18:00 Merry Christmas!
+//   schedule add in 2h Stand-up in 5 minutes        (m, h or d)
+//   schedule add daily 09:00 Good morning
+//   schedule add cron 0 9 * * 1-5 Weekday reminder
+//   schedule tz Asia/Manila / schedule list / schedule del 3
+
+const UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+function timezoneOf(settings) {
+  return settings.timezone || DEFAULT_TZ;
+}
+
+// "add ..." text → { at } or { cron } plus the message
+function parseWhen(spec, tz, t) {
+  let m = spec.match(/^at\s+(\d{4})-(\d{2})-(\d{2})[\sT]+(\d{1,2}):(\d{2})\s+([\s\S]+)$/i);
+  if (m) {
+    const [, year, month, day, hour, minute, message] = m;
+    if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59) throw new UsageError(t("schedule.badDate"));
+    const at = zonedTimeToUtc({ year: +year, month: +month, day: +day, hour: +hour, minute: +minute }, tz);
+    return { at, message };
+  }
+  m = spec.match(/^in\s+(\d+)\s*([mhd])\s+([\s\S]+)$/i);
+  if (m) return { at: Date.now() + Number(m[1]) * UNITS[m[2].toLowerCase()], message: m[3] };
+  m = spec.match(/^daily\s+(\d{1,2}):(\d{2})\s+([\s\S]+)$/i);
+  if (m) return { cron: `${Number(m[2])} ${Number(m[1])} * * *`, message: m[3] };
+  m = spec.match(/^cron\s+(\S+\s+\S+\s+\S+\s+\S+\s+\S+)\s+([\s\S]+)$/i);
+  if (m) return { cron: m[1], message: m[2] };
+  throw new UsageError(t("schedule.addUsage"));
+}
+
+function describeJob(job) {
+  const when = job.cron ? `🔁 ${job.cron}` : "1️⃣";
+  const preview = job.message.length > 60 ? job.message.slice(0, 57) + "..." : job.message;
+  return `#${job.id} ${when} next ${formatZoned(job.nextRunAt, job.tz)} (${job.tz}) — ${preview}`;
+}
+
+const commands = [
+  {
+    name: "schedule",
+    aliases: ["sched"],
+    description: "Schedule one-off or recurring messages in this thread",
+    role: "coadmin",
+    args: [
+      { name: "action", type: "enum", choices: ["add", "list", "del", "tz"], required: true },
+      { name: "spec", type: "rest", description: "add at|in|daily|cron <when> <message>, del <id>, tz <Area/City>" }
+    ],
+    handler: async (ctx) => {
+      const { action, spec } = ctx.args;
+      const tz = timezoneOf(ctx.settings);
+
+      if (action === "list") {
+        const jobs = ctx.scheduler.list(ctx.threadID);
+        if (!jobs.length) return ctx.reply(ctx.t("schedule.empty", { tz }));
+        return ctx.reply(ctx.t("schedule.list", { count: jobs.length, jobs: jobs.map(j => "• " + describeJob(j)).join("\n") }));
+      }
+
+      if (action === "del") {
+        if (!spec) throw new UsageError(ctx.t("schedule.idMissing"));
+        const job = ctx.scheduler.remove(spec.replace(/^#/, "").trim(), ctx.threadID);
+        if (!job) return ctx.reply(ctx.t("schedule.unknown", { id: spec }));
+        return ctx.reply(ctx.t("schedule.deleted", { id: job.id }));
+      }
+
+      if (action === "tz") {
+        if (!spec) return ctx.reply(ctx.t("schedule.tz", { tz }));
+        try {
+          ctx.store.updateThread(ctx.threadID, { timezone: spec.trim() });
+        } catch (e) {
+          throw new UsageError(e.message);
+        }
+        return ctx.reply(ctx.t("schedule.tzSet", { tz: spec.trim() }));
+      }
+
+      if (!spec) throw new UsageError(ctx.t("schedule.specMissing"));
+      const when = parseWhen(spec, tz, ctx.t);
+      let job;
+      try {
+        job = ctx.scheduler.add(Object.assign({ threadID: ctx.threadID, tz, createdBy: ctx.senderID }, when));
+      } catch (e) {
+        throw new UsageError(e.message);
+      }
+      ctx.logger.info("schedule", `📅 Schedule #${job.id} added by ${ctx.senderID}`, { threadID: ctx.threadID, actor: ctx.senderID });
+      return ctx.reply(ctx.t("schedule.added", { job: describeJob(job) }));
+    }
+  }
+];
+
+module.exports = { commands };
@@ -0,0 +1,77 @@
+const { DEFAULT_TZ } = require("../scheduler");
+
+// Activity reports from lib/analytics.js (counts only, never message bodies)
+
+const MAX_DAYS = 90;
+
+function daysArg(value, fallback) {
+  return Math.min(MAX_DAYS, Math.max(1, Math.round(value || fallback)));
+}
+
+// uid → display name, falling back to the UID when the client can't tell
+async function namesOf(ctx, ids) {
+  if (!ids.length || !ctx.api.capabilities.getUserInfo) return {};
+  try {
+    const info = await ctx.api.getUserInfo(ids);
+    const names = {};
+    for (const id of ids) if (info && info[id] && info[id].name) names[id] = info[id].name;
+    return names;
+  } catch (e) {
+    return {};
+  }
+}
+
+const commands = [
+  {
+    name: "stats",
+    description: "Activity in this thread over the last N days (default 7)",
+    args: [{ name: "days", type: "number" }],
+    handler: async (ctx) => {
+      const days = daysArg(ctx.args.days, 7);
+      const r = ctx.analytics.summary(ctx.threadID, { days, tz: ctx.settings.timezone || DEFAULT_TZ });
+      const busiest = r.hours
+        .map((n, h) => [h, n])
+        .filter(([, n]) => n)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([h, n]) => `${String(h).padStart(2, "0")}:00 (${n})`);
+      const enforcement = Object.entries(r.enforcement).map(([kind, n]) => `${kind} ${n}`);
+      const total = Object.values(r.enforcement).reduce((a, b) => a + b, 0);
+      return ctx.reply(ctx.t(days === 1 ? "stats.reportOneDay" : "stats.report", {
+        days,
+        from: r.from,
+        to: r.to,
+        messages: r.messages,
+        members: r.activeMembers,
+        busiest: busiest.join(", ") || ctx.t("stats.noneYet"),
+        joins: r.joins,
+        leaves: r.leaves,
+        removals: r.removals,
+        renames: r.renames,
+        nicknames: r.nicknames,
+        enforcement: `${total}${enforcement.length ? ` (${enforcement.join(", ")})` : ""}`
+      }));
+    }
+  },
+
+  {
+    name: "top",
+    description: "Most active members over the last N days (default 7)",
+    args: [
+      { name: "days", type: "number" },
+      { name: "limit", type: "number", description: "how many members to show (default 10, max 25)" }
+    ],
+    handler: async (ctx) => {
+      const days = daysArg(ctx.args.days, 7);
+      const limit = Math.min(25, Math.max(1, Math.round(ctx.args.limit || 10)));
+      const top = ctx.analytics.summary(ctx.threadID, { days, tz: ctx.settings.timezone || DEFAULT_TZ }).top.slice(0, limit);
+      if (!top.length) return ctx.reply(ctx.t("top.empty", { days }));
+      const names = await namesOf(ctx, top.map(t => t.uid));
+      const medals = ["🥇", "🥈", "🥉"];
+      const lines = top.map((t, i) => `${medals[i] || `${i + 1}.`} ${names[t.uid] || t.uid} — ${t.messages}`);
+      return ctx.reply(ctx.t(days === 1 ? "top.listOneDay" : "top.list", { count: top.length, days, members: lines.join("\n") }));
+    }
+  }
+];
+
+module.exports = { commands };
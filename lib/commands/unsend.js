@@ -0,0 +1,82 @@
+const { UsageError } = require("./index");
+
+// Deleted-message reposting (opt-in per thread) and its privacy controls
+
+const commands = [
+  {
+    name: "unsend",
+    description: "Repost deleted messages here or to the bot owner's DM (off by default)",
+    role: "coadmin",
+    args: [
+      { name: "mode", type: "enum", choices: ["on", "off"], required: true },
+      { name: "destination", type: "enum", choices: ["thread", "admin"], description: "where reposts go, defaults to thread" }
+    ],
+    handler: (ctx) => {
+      const { mode, destination } = ctx.args;
+      if (mode === "off") {
+        ctx.store.updateThread(ctx.threadID, { unsendRepostEnabled: false });
+        const purged = ctx.messageCache.forget({ threadID: ctx.threadID });
+        return ctx.reply(ctx.t("unsend.off", { count: purged }));
+      }
+      const dest = destination || ctx.settings.unsendDestination;
+      ctx.store.updateThread(ctx.threadID, { unsendRepostEnabled: true, unsendDestination: dest });
+      return ctx.reply(ctx.t(dest === "admin" ? "unsend.onAdmin" : "unsend.onThread"));
+    }
+  },
+
+  {
+    name: "unsendexempt",
+    description: "Never cache or repost a member's messages in this thread",
+    role: "coadmin",
+    args: [
+      { name: "action", type: "enum", choices: ["add", "remove", "list"], required: true },
+      { name: "user", type: "user", description: "mention, reply or UID" }
+    ],
+    handler: (ctx) => {
+      const { args, settings, threadID } = ctx;
+      const exempt = settings.unsendExempt.slice();
+
+      if (args.action === "list") {
+        return ctx.reply(exempt.length ? ctx.t("unsendexempt.list", { users: exempt.map(id => `• ${id}`).join("\n") }) : ctx.t("unsendexempt.empty"));
+      }
+      if (!args.user) throw new UsageError(ctx.t("args.user"));
+
+      if (args.action === "add") {
+        if (!exempt.includes(args.user)) exempt.push(args.user);
+        ctx.store.updateThread(threadID, { unsendExempt: exempt });
+        ctx.messageCache.forget({ threadID, senderID: args.user });
+        return ctx.reply(ctx.t("unsendexempt.added", { user: args.user }));
+      }
+      if (!exempt.includes(args.user)) return ctx.reply(ctx.t("exempt.notExempt", { user: args.user }));
+      ctx.store.updateThread(threadID, { unsendExempt: exempt.filter(id => id !== args.user) });
+      return ctx.reply(ctx.t("unsendexempt.removed", { user: args.user }));
+    }
+  },
+
+  {
+    name: "unsendretention",
+    description: "How long deleted-message content is kept (minutes, 0 = default)",
+    role: "coadmin",
+    args: [{ name: "minutes", type: "number", required: true, description: "1-1440, or 0 for the default" }],
+    handler: (ctx) => {
+      const minutes = ctx.args.minutes;
+      try {
+        ctx.store.updateThread(ctx.threadID, { unsendRetentionMin: minutes === 0 ? null : minutes });
+      } catch (e) {
+        throw new UsageError(e.message);
+      }
+      return ctx.reply(minutes === 0 ? ctx.t("unsendretention.reset") : ctx.t("unsendretention.set", { minutes }));
+    }
+  },
+
+  {
+    name: "forgetme",
+    description: "Delete every message of yours the bot has cached",
+    handler: (ctx) => {
+      const purged = ctx.messageCache.forget({ senderID: ctx.senderID });
+      return ctx.reply(ctx.t("forgetme.done", { count: purged }));
+    }
+  }
+];
+
+module.exports = { commands };
@@ -0,0 +1,138 @@
+// Five-field cron expressions and timezone math for lib/scheduler.js, without a
+// dependency. Fields: minute hour day-of-month month day-of-week (0 or 7 = Sunday),
+// each "*", "5", "1-5", "*/15", "1-30/2" or a comma list of those. As in classic
+// cron, when both day fields are restricted a day matching either one counts.
+// Times are wall-clock times in an IANA zone ("Asia/Manila"), via Intl. Around DST
+// changes a time the clocks skip doesn't run that day, and one they repeat runs once
+// (jobs with "*" hours keep running through the repeated hour).
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "weekday", min: 0, max: 7 }
+];
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const MAX_STEPS = 50000;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const m = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`Bad cron ${name} "${part}"`);
+    const from = m[1] === "*" ? min : Number(m[2]);
+    const to = m[1] === "*" ? max : m[3] !== undefined ? Number(m[3]) : m[4] ? max : from;
+    const step = m[4] ? Number(m[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) throw new Error(`Cron ${name} "${part}" is out of range ${min}-${max}`);
+    for (let v = from; v <= to; v += step) values.add(name === "weekday" && v === 7 ? 0 : v);
+  }
+  return values;
+}
+
+// "0 9 * * 1-5" → { minute: Set, hour: Set, day: Set, month: Set, weekday: Set, anyHour, anyDay, anyWeekday }
+function parseCron(expr) {
+  const parts = String(expr || "").trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error("Cron needs 5 fields: minute hour day month weekday");
+  const cron = {};
+  FIELDS.forEach((field, i) => { cron[field.name] = parseField(parts[i], field); });
+  cron.anyHour = parts[1] === "*";
+  cron.anyDay = parts[2] === "*";
+  cron.anyWeekday = parts[4] === "*";
+  return cron;
+}
+
+const formatters = new Map();
+
+function formatterFor(tz) {
+  if (!formatters.has(tz)) {
+    formatters.set(tz, new Intl.DateTimeFormat("en-US", {
+      timeZone: tz,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      weekday: "short"
+    }));
+  }
+  return formatters.get(tz);
+}
+
+function isValidTimeZone(tz) {
+  try {
+    formatterFor(tz);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Wall-clock fields of a timestamp in tz
+function zonedParts(ms, tz) {
+  const parts = {};
+  for (const p of formatterFor(tz).formatToParts(new Date(ms))) parts[p.type] = p.value;
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+// Timestamp of a wall-clock time in tz (the first one when a DST change repeats it)
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, tz) {
+  const wanted = Date.UTC(year, month - 1, day, hour, minute);
+  let guess = wanted;
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(guess, tz);
+    guess += wanted - Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  }
+  return guess;
+}
+
+function dayMatches(cron, p) {
+  const day = cron.day.has(p.day);
+  const weekday = cron.weekday.has(p.weekday);
+  if (cron.anyDay || cron.anyWeekday) return day && weekday;
+  return day || weekday;
+}
+
+// The second pass over a wall-clock time after clocks went back an hour
+function repeatsWallClock(t, p, tz) {
+  const before = zonedParts(t - 60 * 60000, tz);
+  return before.day === p.day && before.hour === p.hour && before.minute === p.minute;
+}
+
+// First minute strictly after `after` (ms) that matches, or null if none within ~100 years
+function nextRun(cron, after, tz) {
+  let t = Math.floor(after / 60000) * 60000 + 60000;
+  for (let i = 0; i < MAX_STEPS; i++) {
+    const p = zonedParts(t, tz);
+    if (!cron.month.has(p.month) || !dayMatches(cron, p)) {
+      t += ((23 - p.hour) * 60 + (60 - p.minute)) * 60000;
+    } else if (!cron.hour.has(p.hour)) {
+      t += (60 - p.minute) * 60000;
+    } else if (!cron.minute.has(p.minute)) {
+      t += 60000;
+    } else if (!cron.anyHour && repeatsWallClock(t, p, tz)) {
+      t += 60000;
+    } else {
+      return t;
+    }
+  }
+  return null;
+}
+
+// "Mon 2026-10-19 09:00" in tz
+function formatZoned(ms, tz) {
+  const p = zonedParts(ms, tz);
+  const pad = (n) => String(n).padStart(2, "0");
+  const weekday = Object.keys(WEEKDAYS)[p.weekday];
+  return `${weekday} ${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+module.exports = { parseCron, nextRun, zonedParts, zonedTimeToUtc, isValidTimeZone, formatZoned };
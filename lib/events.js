@@ -0,0 +1,107 @@
+// Maps raw client events (the fca family's many field shapes) into one internal
+// schema, so bot.js never probes logMessageData itself. Every normalized event:
+//
+//   { type, threadID, actorID, ts, raw }
+//
+// plus, per type:
+//
+//   message   messageID, senderID (= actorID), body, attachments[], mentions { uid: tag },
+//             replyTo { messageID, senderID } | null, isGroup
+//   rename    name                      actorID renamed the group ("" = name removed)
+//   nickname  targetID, nickname        actorID changed targetID's nickname ("" = cleared)
+//   left      targetID                  targetID left on their own (actorID === targetID)
+//   removed   targetID                  actorID removed targetID (actorID null when unknown)
+//   added     targetIDs[], names        actorID added these members; names { uid: name } when the client sent them
+//   unsend    messageID                 actorID deleted one of their messages (messageID may be null)
+//   other     kind                      anything else; kind is the raw type / logMessageType
+//
+// IDs are always strings (or null). New client quirks belong here, with a
+// fixture in test/fixtures/events so the replay suite covers them.
+
+const LEAVE_TYPES = ["log:unsubscribe", "log:remove", "log:remove-participant", "log:user-left"];
+const NICK_TYPES = ["log:user-nickname", "log:user-nick"];
+const UNSEND_TYPES = ["log:thread-message-deleted", "log:message_unsend"];
+
+function id(value) {
+  return value === undefined || value === null || value === "" ? null : String(value);
+}
+
+function messageIdOf(raw) {
+  const data = raw.logMessageData || {};
+  return id(
+    raw.messageID ||
+    raw.message_id ||
+    (raw.message && (raw.message.mid || raw.message.messageID || raw.message.message_id)) ||
+    data.messageID ||
+    data.message_id
+  );
+}
+
+// Who performed a log event
+function actorOf(raw) {
+  const data = raw.logMessageData || {};
+  return id(raw.author || data.actorFbId || data.authorId || data.adminId);
+}
+
+function normalizeMessage(raw, base) {
+  const reply = raw.messageReply;
+  return Object.assign(base, {
+    type: "message",
+    actorID: id(raw.senderID),
+    senderID: id(raw.senderID),
+    messageID: messageIdOf(raw),
+    body: typeof raw.body === "string" ? raw.body : "",
+    attachments: Array.isArray(raw.attachments) ? raw.attachments : [],
+    mentions: raw.mentions && typeof raw.mentions === "object" ? raw.mentions : {},
+    replyTo: reply ? { messageID: id(reply.messageID), senderID: id(reply.senderID) } : null,
+    isGroup: raw.isGroup !== undefined ? !!raw.isGroup : null
+  });
+}
+
+function normalizeEvent(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const data = raw.logMessageData || {};
+  const type = raw.logMessageType || raw.type;
+  const base = { type: "other", threadID: id(raw.threadID) || "", actorID: null, ts: Number(raw.timestamp) || Date.now(), raw };
+
+  if (raw.type === "message" || raw.type === "message_reply") return normalizeMessage(raw, base);
+
+  if (raw.type === "message_unsend" || UNSEND_TYPES.includes(type)) {
+    return Object.assign(base, { type: "unsend", actorID: id(raw.senderID) || actorOf(raw), messageID: messageIdOf(raw) });
+  }
+
+  if (type === "log:thread-name") {
+    return Object.assign(base, { type: "rename", actorID: actorOf(raw), name: data.name || "" });
+  }
+
+  if (NICK_TYPES.includes(type)) {
+    return Object.assign(base, {
+      type: "nickname",
+      actorID: actorOf(raw),
+      targetID: id(data.participant_id || data.participantID),
+      nickname: data.nickname || ""
+    });
+  }
+
+  if (type === "log:subscribe") {
+    const targetIDs = [];
+    const names = {};
+    for (const p of data.addedParticipants || []) {
+      const uid = id(p.userFbId || p.userId || p.id);
+      if (!uid) continue;
+      targetIDs.push(uid);
+      if (p.fullName || p.name) names[uid] = p.fullName || p.name;
+    }
+    return Object.assign(base, { type: "added", actorID: actorOf(raw), targetIDs, names });
+  }
+
+  if (LEAVE_TYPES.includes(type) || (typeof type === "string" && type.startsWith("log:") && type.includes("remove"))) {
+    const targetID = id(data.leftParticipantFbId || data.leftParticipantId || data.participantId || data.user_id);
+    const actorID = actorOf(raw);
+    return Object.assign(base, { type: targetID && actorID === targetID ? "left" : "removed", actorID, targetID });
+  }
+
+  return Object.assign(base, { kind: type || null });
+}
+
+module.exports = { normalizeEvent };
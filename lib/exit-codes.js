@@ -0,0 +1,7 @@
+// Exit codes bot.js uses so the supervisor can tell a bad config, a rejected
+// login or an ended session (don't loop) from an ordinary crash (restart with backoff).
+module.exports = {
+  CONFIG_ERROR: 2,
+  LOGIN_FAILED: 3,
+  SESSION_EXPIRED: 4
+};
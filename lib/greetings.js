@@ -0,0 +1,92 @@
+// Welcome / farewell / rules messages for membership changes.
+//
+// Templates come from thread settings and may use {name}, {group} and {count}
+// (member count). After a message is sent, further joins (or leaves) in that
+// thread within the cooldown are collected and sent as one message when it ends,
+// so a mass join produces a single "Welcome A, B, C" instead of a flood.
+
+const DEFAULT_COOLDOWN_SEC = Number(process.env.GREETING_COOLDOWN_SEC || 60);
+
+function renderTemplate(template, vars) {
+  return String(template).replace(/\{(name|group|count)\}/gi, (match, key) => {
+    const value = vars[key.toLowerCase()];
+    return value === undefined || value === null ? match : String(value);
+  });
+}
+
+// deps: { send(text, threadID), getThreadInfo(threadID), getUserInfo(ids), thread(threadID) → settings, logger }
+function createGreeter(deps) {
+  const batches = new Map(); // threadID|kind -> { lastSentAt, pending: [names], timer }
+
+  async function namesFor(ids, known = {}) {
+    const names = Object.assign({}, known);
+    const missing = ids.filter(id => !names[id]);
+    if (missing.length) {
+      try {
+        const info = await deps.getUserInfo(missing);
+        for (const id of missing) if (info && info[id] && info[id].name) names[id] = info[id].name;
+      } catch (e) { /* fall back to UIDs */ }
+    }
+    return ids.map(id => names[id] || id);
+  }
+
+  async function deliver(kind, threadID, settings, names) {
+    const template = kind === "welcome" ? settings.welcomeMessage : settings.farewellMessage;
+    if (!template) return;
+    let info = {};
+    try {
+      info = (await deps.getThreadInfo(threadID)) || {};
+    } catch (e) { /* placeholders stay empty */ }
+    const vars = {
+      name: names.join(", "),
+      group: info.threadName || info.name || "",
+      count: Array.isArray(info.participantIDs) ? info.participantIDs.length : ""
+    };
+    await deps.send(renderTemplate(template, vars), threadID);
+    if (kind === "welcome" && settings.rulesMessage) await deps.send(renderTemplate(settings.rulesMessage, vars), threadID);
+    deps.logger.info("greeting", `👋 Sent ${kind} for ${names.join(", ")}`, { threadID });
+  }
+
+  function schedule(kind, threadID, settings, names) {
+    const key = `${threadID}|${kind}`;
+    const cooldownMs = (settings.greetingCooldownSec ?? DEFAULT_COOLDOWN_SEC) * 1000;
+    const batch = batches.get(key) || { lastSentAt: 0, pending: [], timer: null };
+    batches.set(key, batch);
+
+    const wait = batch.lastSentAt + cooldownMs - Date.now();
+    if (wait <= 0 && !batch.timer) {
+      batch.lastSentAt = Date.now();
+      return deliver(kind, threadID, settings, names);
+    }
+    batch.pending.push(...names);
+    if (!batch.timer) {
+      batch.timer = setTimeout(() => {
+        const pending = batch.pending.splice(0);
+        batch.timer = null;
+        batch.lastSentAt = Date.now();
+        deliver(kind, threadID, deps.thread(threadID), pending).catch(e => deps.logger.error("greeting", `❌ ${kind} failed: ${e}`, { threadID }));
+      }, wait);
+    }
+  }
+
+  return {
+    // members joined: welcome (+ rules)
+    async joined(threadID, settings, ids, knownNames) {
+      if (!settings.welcomeMessage || !ids.length) return;
+      return schedule("welcome", threadID, settings, await namesFor(ids, knownNames));
+    },
+
+    // a member left or was removed (and not added back)
+    async left(threadID, settings, id) {
+      if (!settings.farewellMessage || !id) return;
+      return schedule("farewell", threadID, settings, await namesFor([id]));
+    },
+
+    // preview for /welcome test etc. (id = whoever asked) — no cooldown
+    async preview(kind, threadID, settings, id) {
+      return deliver(kind, threadID, settings, await namesFor([id]));
+    }
+  };
+}
+
+module.exports = { createGreeter, renderTemplate, DEFAULT_COOLDOWN_SEC };
@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+
+// Per-bot history of enforcement actions (protection and revert-storm events from the bot),
+// one JSON object per line in users/<uid>/history.jsonl. The file is trimmed
+// back to MAX_ENTRIES when it grows past twice that.
+
+const MAX_ENTRIES = 2000;
+
+function historyFile(userDir) {
+  return path.join(userDir, 'history.jsonl');
+}
+
+function readAll(userDir) {
+  try {
+    return fs.readFileSync(historyFile(userDir), 'utf-8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        try { return JSON.parse(line); } catch (e) { return null; }
+      })
+      .filter(Boolean);
+  } catch (e) {
+    return [];
+  }
+}
+
+function appendHistory(userDir, entry) {
+  try {
+    const file = historyFile(userDir);
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+    if (fs.statSync(file).size > MAX_ENTRIES * 2 * 200) {
+      const keep = readAll(userDir).slice(-MAX_ENTRIES);
+      fs.writeFileSync(file + '.tmp', keep.map(e => JSON.stringify(e)).join('\n') + '\n');
+      fs.renameSync(file + '.tmp', file);
+    }
+  } catch (e) {
+    console.error('Failed writing history:', e);
+  }
+}
+
+// Newest first, optionally for one thread
+function readHistory(userDir, { threadID, limit = 50 } = {}) {
+  let entries = readAll(userDir);
+  if (threadID) entries = entries.filter(e => String(e.threadID) === String(threadID));
+  return entries.slice(-limit).reverse();
+}
+
+module.exports = { appendHistory, readHistory };
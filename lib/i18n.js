@@ -0,0 +1,122 @@
+const fs = require("fs");
+const path = require("path");
+
+// Chat response catalog. Every reply the bot sends has a key; lib/locales/<lang>.json
+// holds one bundle per language ({ "language": "English", "messages": { key: template } })
+// and templates fill in {placeholders}. A thread picks its language with /lang
+// (`language` in its settings; null = BOT_LANGUAGE, default English).
+// Owners can override any template per language from the panel, saved in
+// users/<uid>/messages.json as { "overrides": { "hi": { "gclock.locked": "..." } } }.
+//
+// Lookup: the override, then the bundle, for the thread's language, then the same
+// for English, then the caller's fallback (plugin command descriptions), then the key.
+
+const LOCALES_DIR = path.join(__dirname, "locales");
+const FALLBACK_LANG = "en";
+const MAX_TEMPLATE = 2000;
+
+function loadBundles(dir = LOCALES_DIR) {
+  const bundles = {};
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith(".json")).sort()) {
+    const data = JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8"));
+    bundles[path.basename(file, ".json")] = { language: data.language, messages: data.messages || {} };
+  }
+  return bundles;
+}
+
+const BUNDLES = loadBundles();
+const LANGUAGES = Object.keys(BUNDLES);
+const DEFAULT_LANG = LANGUAGES.includes(process.env.BOT_LANGUAGE) ? process.env.BOT_LANGUAGE : FALLBACK_LANG;
+
+// "Hi {name}" + { name: "Ana" } → "Hi Ana"; unknown placeholders stay as written
+function format(template, vars = {}) {
+  return template.replace(/\{(\w+)\}/g, (m, name) => (vars[name] === undefined || vars[name] === null ? m : String(vars[name])));
+}
+
+function placeholdersOf(template) {
+  return [...new Set((template.match(/\{\w+\}/g) || []).map(p => p.slice(1, -1)))];
+}
+
+// The English template (or any bundle's) a key starts from; null for unknown keys
+function baseTemplate(key) {
+  for (const lang of [FALLBACK_LANG, ...LANGUAGES]) {
+    const template = BUNDLES[lang] && BUNDLES[lang].messages[key];
+    if (typeof template === "string") return template;
+  }
+  return null;
+}
+
+function readOverrides(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, "utf-8"));
+    return data.overrides && typeof data.overrides === "object" ? data.overrides : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// Panel input → overrides to save; an empty or null template drops the override
+function sanitizeOverrides(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) throw new Error("Overrides must map languages to { key: template }");
+  const clean = {};
+  for (const [lang, templates] of Object.entries(input)) {
+    if (!LANGUAGES.includes(lang)) throw new Error(`Unknown language "${lang}" (use ${LANGUAGES.join(", ")})`);
+    if (!templates || typeof templates !== "object" || Array.isArray(templates)) throw new Error(`${lang}: templates must be an object`);
+    for (const [key, template] of Object.entries(templates)) {
+      if (template === null || template === "") continue;
+      const base = baseTemplate(key);
+      if (base === null) throw new Error(`Unknown message key "${key}"`);
+      if (typeof template !== "string" || template.length > MAX_TEMPLATE) throw new Error(`${lang} ${key}: must be text of at most ${MAX_TEMPLATE} characters`);
+      const allowed = placeholdersOf(base);
+      const unknown = placeholdersOf(template).filter(p => !allowed.includes(p));
+      if (unknown.length) {
+        throw new Error(`${lang} ${key}: unknown placeholder {${unknown[0]}} (available: ${allowed.map(p => `{${p}}`).join(" ") || "none"})`);
+      }
+      (clean[lang] = clean[lang] || {})[key] = template;
+    }
+  }
+  return clean;
+}
+
+function createCatalog(overrides = {}) {
+  let current = overrides;
+
+  function lookup(lang, key) {
+    for (const l of lang === FALLBACK_LANG ? [lang] : [lang, FALLBACK_LANG]) {
+      const override = current[l] && current[l][key];
+      if (typeof override === "string") return override;
+      const template = BUNDLES[l] && BUNDLES[l].messages[key];
+      if (typeof template === "string") return template;
+    }
+    return null;
+  }
+
+  function t(lang, key, vars, fallback) {
+    const template = lookup(LANGUAGES.includes(lang) ? lang : DEFAULT_LANG, key);
+    return format(template !== null ? template : fallback !== undefined ? fallback : key, vars);
+  }
+
+  return {
+    t,
+    // (key, vars, fallback) → text in one language, for ctx.t
+    translator: (lang) => (key, vars, fallback) => t(lang, key, vars, fallback),
+    setOverrides(next) {
+      current = next || {};
+    }
+  };
+}
+
+// Default-language translator for code that has no thread context
+const translate = createCatalog().translator(null);
+
+module.exports = {
+  createCatalog,
+  translate,
+  format,
+  placeholdersOf,
+  readOverrides,
+  sanitizeOverrides,
+  BUNDLES,
+  LANGUAGES,
+  DEFAULT_LANG
+};
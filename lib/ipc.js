@@ -0,0 +1,111 @@
+// Typed messages over the fork() IPC channel between the panel (index.js) and
+// each bot process. Every message is { type, id?, payload? }.
+//
+// Panel → bot requests carry an `id` and are answered with
+//   { type: "reply", id, ok: true, result } or { type: "reply", id, ok: false, error }
+// Bot → panel events carry no id.
+
+const MSG = {
+  // requests (panel → bot)
+  GET_STATUS: "status:get",
+  SET_THREAD: "thread:set",
+  REPLACE_STATE: "state:replace",
+  RELOAD_CONFIG: "config:reload",
+  SEND_MESSAGE: "message:send",
+  SET_PLUGIN: "plugin:set",
+  SHUTDOWN: "shutdown",
+
+  // events (bot → panel)
+  HEARTBEAT: "heartbeat",
+  STARTED: "started",
+  LOGGED_IN: "loggedIn",
+  PROTECTION: "protection",
+  THREAD_UPDATED: "thread:updated",
+  ACTION_STORM: "action:storm",
+  SESSION_HEALTH: "session:health",
+  // activity for outbound webhooks (lib/webhooks.js); not shown on the dashboard
+  MESSAGE: "message:received",
+  COMMAND: "command:executed",
+  MEMBER_LEFT: "member:left",
+  ERROR: "error",
+  REPLY: "reply"
+};
+
+const REQUEST_TYPES = [MSG.GET_STATUS, MSG.SET_THREAD, MSG.REPLACE_STATE, MSG.SET_PLUGIN, MSG.RELOAD_CONFIG, MSG.SEND_MESSAGE, MSG.SHUTDOWN];
+
+// --- panel side ---
+
+// Wraps a child process so requests resolve with the bot's reply
+function createRequester(child, defaultTimeoutMs = 10000) {
+  const pending = new Map();
+  let seq = 0;
+
+  function onMessage(msg) {
+    if (!msg || msg.type !== MSG.REPLY || !pending.has(msg.id)) return;
+    const { resolve, reject, timer } = pending.get(msg.id);
+    pending.delete(msg.id);
+    clearTimeout(timer);
+    if (msg.ok) resolve(msg.result);
+    else reject(new Error(msg.error || "bot request failed"));
+  }
+
+  function failAll(reason) {
+    for (const { reject, timer } of pending.values()) {
+      clearTimeout(timer);
+      reject(new Error(reason));
+    }
+    pending.clear();
+  }
+
+  child.on("message", onMessage);
+  child.on("exit", () => failAll("bot process exited"));
+
+  function request(type, payload, timeoutMs = defaultTimeoutMs) {
+    if (!REQUEST_TYPES.includes(type)) return Promise.reject(new Error(`Unknown request type "${type}"`));
+    if (!child.connected) return Promise.reject(new Error("bot process is not connected"));
+    const id = ++seq;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(new Error(`${type} timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+      pending.set(id, { resolve, reject, timer });
+      child.send({ type, id, payload });
+    });
+  }
+
+  return { request };
+}
+
+// --- bot side ---
+
+// Register request handlers: { [MSG.GET_STATUS]: async (payload) => result, ... }
+function serveRequests(handlers) {
+  if (!process.send) return;
+  process.on("message", async (msg) => {
+    if (!msg || !REQUEST_TYPES.includes(msg.type)) return;
+    const handler = handlers[msg.type];
+    try {
+      if (!handler) throw new Error(`${msg.type} not supported`);
+      const result = await handler(msg.payload || {});
+      reply(msg.id, true, result);
+    } catch (e) {
+      reply(msg.id, false, null, e.message || String(e));
+    }
+  });
+}
+
+function reply(id, ok, result, error) {
+  if (!process.send || !process.connected) return;
+  process.send(ok ? { type: MSG.REPLY, id, ok, result } : { type: MSG.REPLY, id, ok, error });
+}
+
+// Fire-and-forget event to the panel (no-op when run outside the panel)
+function emitEvent(type, payload = {}) {
+  if (!process.send || !process.connected) return;
+  try {
+    process.send({ type, payload: Object.assign({ ts: Date.now() }, payload) });
+  } catch (e) { /* channel closing */ }
+}
+
+module.exports = { MSG, REQUEST_TYPES, createRequester, serveRequests, emitEvent };
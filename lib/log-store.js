@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const { levelIndex } = require('./logger');
+
+// Per-bot structured log storage: users/<uid>/logs.jsonl plus rotated
+// logs.1.jsonl ... logs.N.jsonl (1 = newest). logs.jsonl rotates when it grows
+// past LOG_MAX_BYTES or its first record is older than LOG_MAX_AGE_DAYS; rotated
+// files whose last write is older than that are deleted, along with every older one.
+// The panel runs enforceRetention() at boot and hourly so idle bots are pruned too.
+
+const MAX_BYTES = Number(process.env.LOG_MAX_BYTES || 5 * 1024 * 1024);
+const MAX_FILES = Number(process.env.LOG_MAX_FILES || 5);
+const MAX_AGE_MS = Number(process.env.LOG_MAX_AGE_DAYS || 14) * 24 * 60 * 60 * 1000;
+
+function logFile(userDir, n = 0) {
+  return path.join(userDir, n ? `logs.${n}.jsonl` : 'logs.jsonl');
+}
+
+// userDir -> time of the first record in logs.jsonl, so appends don't re-read it
+const firstRecordAt = new Map();
+
+function firstRecordTime(file) {
+  let fd;
+  try {
+    fd = fs.openSync(file, 'r');
+    const buf = Buffer.alloc(64 * 1024);
+    const line = buf.toString('utf-8', 0, fs.readSync(fd, buf, 0, buf.length, 0)).split('\n')[0];
+    const ts = Date.parse(JSON.parse(line).ts);
+    return Number.isNaN(ts) ? fs.statSync(file).mtimeMs : ts;
+  } catch (e) {
+    // missing, empty or a first line too long to parse: go by the last write
+    try { return fs.statSync(file).mtimeMs; } catch (err) { return null; }
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+function rotate(userDir) {
+  firstRecordAt.delete(userDir);
+  const oldest = logFile(userDir, MAX_FILES);
+  if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+  for (let n = MAX_FILES - 1; n >= 0; n--) {
+    const from = logFile(userDir, n);
+    if (fs.existsSync(from)) fs.renameSync(from, logFile(userDir, n + 1));
+  }
+  pruneOld(userDir);
+}
+
+// Once one rotated file has expired, everything older than it goes too
+function pruneOld(userDir) {
+  let expired = false;
+  for (let n = 1; n <= MAX_FILES; n++) {
+    const file = logFile(userDir, n);
+    try {
+      expired = expired || Date.now() - fs.statSync(file).mtimeMs > MAX_AGE_MS;
+      if (expired) fs.unlinkSync(file);
+    } catch (e) { /* missing */ }
+  }
+}
+
+function appendRecord(userDir, record) {
+  try {
+    if (!fs.existsSync(userDir)) return;
+    const file = logFile(userDir);
+    if (!firstRecordAt.has(userDir)) firstRecordAt.set(userDir, firstRecordTime(file));
+    const first = firstRecordAt.get(userDir);
+    if (first !== null && Date.now() - first > MAX_AGE_MS) rotate(userDir);
+    fs.appendFileSync(file, JSON.stringify(record) + '\n');
+    if (firstRecordAt.get(userDir) == null) firstRecordAt.set(userDir, Date.parse(record.ts) || Date.now());
+    if (fs.statSync(file).size > MAX_BYTES) rotate(userDir);
+  } catch (e) {
+    console.error('Failed writing logs:', e);
+  }
+}
+
+// Age-based rotation and pruning for a bot that may not be logging anything
+function enforceRetention(userDir) {
+  try {
+    const first = firstRecordTime(logFile(userDir));
+    if (first !== null && Date.now() - first > MAX_AGE_MS) rotate(userDir);
+    else pruneOld(userDir);
+  } catch (e) {
+    console.error('Failed pruning logs:', e);
+  }
+}
+
+function toTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const t = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  return Number.isNaN(t) ? null : t;
+}
+
+// Filters: level (minimum), threadID, event, since, until, offset, limit. Newest first.
+function queryLogs(userDir, filters = {}) {
+  const minLevel = filters.level ? levelIndex(filters.level) : 0;
+  const since = toTime(filters.since);
+  const until = toTime(filters.until);
+  const offset = Math.max(0, Number(filters.offset) || 0);
+  const limit = Math.min(1000, Math.max(1, Number(filters.limit) || 200));
+
+  const matches = [];
+  for (let n = 0; n <= MAX_FILES; n++) {
+    let lines;
+    try {
+      lines = fs.readFileSync(logFile(userDir, n), 'utf-8').split('\n');
+    } catch (e) {
+      continue;
+    }
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (!lines[i]) continue;
+      let r;
+      try { r = JSON.parse(lines[i]); } catch (e) { continue; }
+      if (levelIndex(r.level) < minLevel) continue;
+      if (filters.threadID && String(r.threadID) !== String(filters.threadID)) continue;
+      if (filters.event && r.event !== filters.event) continue;
+      const ts = Date.parse(r.ts);
+      if (since !== null && ts < since) continue;
+      if (until !== null && ts > until) continue;
+      matches.push(r);
+    }
+  }
+  return { total: matches.length, offset, limit, records: matches.slice(offset, offset + limit) };
+}
+
+function formatRecord(r) {
+  const where = [r.threadID && `thread=${r.threadID}`, r.actor && `actor=${r.actor}`].filter(Boolean).join(' ');
+  return `[${r.ts}] ${String(r.level).toUpperCase()} ${r.event}${where ? ' ' + where : ''} — ${r.msg}`;
+}
+
+module.exports = { appendRecord, queryLogs, formatRecord, pruneOld, enforceRetention };
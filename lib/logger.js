@@ -0,0 +1,33 @@
+// Structured logger for bot.js. Every record is one JSON line on stdout:
+//   {"ts":"...","level":"info","event":"protection","threadID":"123","actor":"456","msg":"🔒 GC name reverted"}
+// The panel's supervisor parses these lines, stores them (lib/log-store.js) and
+// streams them to the dashboard. LOG_LEVEL=debug|info|warn|error sets the minimum.
+
+const LEVELS = ["debug", "info", "warn", "error"];
+
+function levelIndex(level) {
+  const i = LEVELS.indexOf(level);
+  return i === -1 ? 1 : i;
+}
+
+function createLogger(base = {}, opts = {}) {
+  const min = levelIndex(opts.level || process.env.LOG_LEVEL || "info");
+  const write = opts.write || (line => process.stdout.write(line + "\n"));
+
+  function emit(level, event, msg, fields) {
+    if (levelIndex(level) < min) return;
+    const record = Object.assign({ ts: new Date().toISOString(), level, event }, base, fields, { msg: String(msg) });
+    for (const key of Object.keys(record)) if (record[key] === undefined || record[key] === null) delete record[key];
+    write(JSON.stringify(record));
+  }
+
+  const logger = {};
+  for (const level of LEVELS) {
+    logger[level] = (event, msg, fields = {}) => emit(level, event, msg, fields);
+  }
+  // same logger with extra fields on every record (e.g. { threadID })
+  logger.child = (extra) => createLogger(Object.assign({}, base, extra), opts);
+  return logger;
+}
+
+module.exports = { LEVELS, levelIndex, createLogger };
@@ -0,0 +1,172 @@
+const fs = require("fs");
+const { writeJsonAtomic } = require("./state");
+
+// Recent incoming messages, kept so a deleted (unsent) message can be recovered.
+//
+//  - bounded by count (MESSAGE_CACHE_MAX) and age (MESSAGE_CACHE_TTL_MIN, or a
+//    shorter per-entry ttlMs such as a thread's retention limit); oldest go first
+//  - indexed by message ID and by thread + sender (for unsend events without an ID)
+//  - keeps attachment metadata (type, name, url), not just the body
+//  - optional snapshot to disk (MESSAGE_CACHE_PERSIST=1) so recovery survives a restart
+
+const MAX_ENTRIES = Number(process.env.MESSAGE_CACHE_MAX || 5000);
+const TTL_MS = Number(process.env.MESSAGE_CACHE_TTL_MIN || 30) * 60 * 1000;
+const SWEEP_MS = 60 * 1000;
+
+// Only what is needed to describe or re-share an attachment
+function attachmentMeta(att) {
+  if (!att || typeof att !== "object") return null;
+  return {
+    type: att.type || null,
+    id: att.ID || att.id || null,
+    name: att.filename || att.name || null,
+    url: att.url || att.largePreviewUrl || att.previewUrl || att.playableUrl || att.facebookUrl || null
+  };
+}
+
+function senderKey(threadID, senderID) {
+  return `${threadID}|${senderID}`;
+}
+
+function createMessageCache(opts = {}) {
+  const maxEntries = opts.maxEntries || MAX_ENTRIES;
+  const ttlMs = opts.ttlMs || TTL_MS;
+  const file = opts.file || null;
+
+  const byID = new Map(); // insertion order == age
+  const bySender = new Map(); // senderKey -> [messageID, ...] oldest first
+  let dirty = false;
+
+  function unindex(entry) {
+    const key = senderKey(entry.threadID, entry.senderID);
+    const ids = bySender.get(key);
+    if (!ids) return;
+    const i = ids.indexOf(entry.messageID);
+    if (i !== -1) ids.splice(i, 1);
+    if (!ids.length) bySender.delete(key);
+  }
+
+  function remove(messageID) {
+    const entry = byID.get(String(messageID));
+    if (!entry) return null;
+    byID.delete(entry.messageID);
+    unindex(entry);
+    dirty = true;
+    return entry;
+  }
+
+  function insert(entry) {
+    if (byID.has(entry.messageID)) remove(entry.messageID);
+    byID.set(entry.messageID, entry);
+    const key = senderKey(entry.threadID, entry.senderID);
+    if (!bySender.has(key)) bySender.set(key, []);
+    bySender.get(key).push(entry.messageID);
+    while (byID.size > maxEntries) remove(byID.keys().next().value);
+    dirty = true;
+  }
+
+  function expired(entry, now = Date.now()) {
+    return now > (entry.expiresAt || entry.ts + ttlMs);
+  }
+
+  // entry: { messageID, threadID, senderID, body, attachments, ttlMs? }
+  function add(entry) {
+    if (!entry || !entry.messageID) return null;
+    const clean = {
+      messageID: String(entry.messageID),
+      threadID: String(entry.threadID || ""),
+      senderID: String(entry.senderID || ""),
+      body: entry.body || "",
+      attachments: (entry.attachments || []).map(attachmentMeta).filter(Boolean),
+      ts: entry.ts || Date.now()
+    };
+    clean.expiresAt = clean.ts + Math.min(ttlMs, entry.ttlMs || ttlMs);
+    insert(clean);
+    return clean;
+  }
+
+  function get(messageID) {
+    const entry = byID.get(String(messageID));
+    return entry && !expired(entry) ? entry : null;
+  }
+
+  // Newest live message from a sender in a thread (unsend events that carry no message ID)
+  function latestBy(threadID, senderID) {
+    const ids = bySender.get(senderKey(threadID, senderID)) || [];
+    for (let i = ids.length - 1; i >= 0; i--) {
+      const entry = get(ids[i]);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  // Drop expired entries (per-entry TTLs differ, so check them all)
+  function sweep() {
+    const now = Date.now();
+    for (const entry of [...byID.values()]) {
+      if (expired(entry, now)) remove(entry.messageID);
+    }
+  }
+
+  // Purge everything matching { threadID?, senderID? } (e.g. /forgetme) and persist right away
+  function forget(filter = {}) {
+    let count = 0;
+    for (const entry of [...byID.values()]) {
+      if (filter.threadID && entry.threadID !== String(filter.threadID)) continue;
+      if (filter.senderID && entry.senderID !== String(filter.senderID)) continue;
+      remove(entry.messageID);
+      count++;
+    }
+    if (count) save();
+    return count;
+  }
+
+  function save() {
+    if (!file || !dirty) return;
+    try {
+      writeJsonAtomic(file, { savedAt: Date.now(), messages: [...byID.values()] });
+      dirty = false;
+    } catch (e) {
+      if (opts.onError) opts.onError(e);
+    }
+  }
+
+  function load() {
+    if (!file || !fs.existsSync(file)) return 0;
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, "utf-8"));
+      for (const entry of saved.messages || []) {
+        if (entry && entry.messageID && !expired(entry)) insert(entry);
+      }
+    } catch (e) {
+      if (opts.onError) opts.onError(e);
+    }
+    dirty = false;
+    return byID.size;
+  }
+
+  const restored = load();
+  const timer = setInterval(() => {
+    sweep();
+    save();
+  }, SWEEP_MS);
+  timer.unref();
+
+  return {
+    restored,
+    add,
+    get,
+    latestBy,
+    remove,
+    forget,
+    sweep,
+    save,
+    stats: () => ({ size: byID.size, maxEntries, ttlMs, persisted: !!file }),
+    stop() {
+      clearInterval(timer);
+      save();
+    }
+  };
+}
+
+module.exports = { createMessageCache, attachmentMeta };
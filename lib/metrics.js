@@ -0,0 +1,114 @@
+// Counters for the Prometheus /metrics endpoint. Each bot keeps labelled counters
+// (createCounters) and ships a snapshot with every heartbeat (lib/ipc.js); the
+// panel turns the latest snapshots plus the supervisor's view into metric
+// families (botFamilies) and the text exposition format (formatMetrics).
+// Labels stay low-cardinality: event types, command names, enforcement kinds,
+// action kinds — never thread IDs or message text.
+
+// counters.inc("commands", { command: "help", result: "ok" })
+function createCounters() {
+  const families = {};
+
+  function keyOf(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(k => [k, String(labels[k])]));
+  }
+
+  return {
+    inc(name, labels = {}, by = 1) {
+      const family = families[name] = families[name] || {};
+      const key = keyOf(labels);
+      if (!family[key]) family[key] = { labels: Object.assign({}, labels), value: 0 };
+      family[key].value += by;
+    },
+
+    // { name: [{ labels, value }] }
+    snapshot() {
+      const out = {};
+      for (const [name, family] of Object.entries(families)) {
+        out[name] = Object.values(family).map(s => ({ labels: Object.assign({}, s.labels), value: s.value }));
+      }
+      return out;
+    }
+  };
+}
+
+// What a bot reports about itself: counters plus process memory and CPU
+function processSnapshot(counters) {
+  const mem = process.memoryUsage();
+  const cpu = process.cpuUsage();
+  return {
+    memory: { rss: mem.rss, heapUsed: mem.heapUsed },
+    cpuSeconds: { user: cpu.user / 1e6, system: cpu.system / 1e6 },
+    counters: counters.snapshot()
+  };
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+// families: [{ name, help, type: "counter"|"gauge", samples: [{ labels, value }] }] → exposition text
+function formatMetrics(families) {
+  const lines = [];
+  for (const f of families) {
+    lines.push(`# HELP ${f.name} ${f.help}`);
+    lines.push(`# TYPE ${f.name} ${f.type}`);
+    for (const s of f.samples) {
+      const labels = Object.entries(s.labels || {}).map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",");
+      lines.push(`${f.name}${labels ? `{${labels}}` : ""} ${Number.isFinite(s.value) ? s.value : 0}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+const BOT_STATES = ["stopped", "starting", "running", "backoff", "stopping", "failed"];
+
+// bot counter name → [metric, help]
+const COUNTER_FAMILIES = {
+  events: ["bot_events_total", "Messenger events received, by normalized type"],
+  commands: ["bot_commands_total", "Chat commands dispatched, by command and result (ok, denied, usage, error)"],
+  enforcement: ["bot_enforcement_total", "Protection and moderation actions taken, by kind"],
+  outboundRetries: ["bot_outbound_retries_total", "Failed attempts of retried client calls, by action"],
+  outboundFailures: ["bot_outbound_failures_total", "Client calls that failed after every retry, by action"],
+  pluginErrors: ["bot_plugin_errors_total", "Errors thrown by plugin commands, hooks and jobs, by plugin"]
+};
+
+// Supervisor bots ({ uid, state, restarts, loginFailures, lastHeartbeat, metrics }) → metric families
+function botFamilies(bots, now = Date.now()) {
+  const family = (name, type, help) => ({ name, type, help, samples: [] });
+  const byState = family("bots", "gauge", "Bots known to the supervisor, by state");
+  const up = family("bot_up", "gauge", "1 when the supervisor has the bot in the running state");
+  const restarts = family("bot_restarts_total", "counter", "Automatic restarts since the panel started");
+  const loginFailures = family("bot_login_failures", "gauge", "Login failures in a row");
+  const heartbeat = family("bot_heartbeat_age_seconds", "gauge", "Seconds since the last heartbeat");
+  const memory = family("bot_memory_bytes", "gauge", "Bot process memory, by type (rss, heapUsed)");
+  const cpu = family("bot_cpu_seconds_total", "counter", "Bot process CPU time, by mode (user, system)");
+  const queueDepth = family("bot_queue_depth", "gauge", "Actions waiting in the outgoing queue");
+  const queueDropped = family("bot_queue_dropped_total", "counter", "Queued actions dropped, by reason");
+  const counters = {};
+  for (const [key, [name, help]] of Object.entries(COUNTER_FAMILIES)) counters[key] = family(name, "counter", help);
+
+  for (const state of BOT_STATES) byState.samples.push({ labels: { state }, value: bots.filter(b => b.state === state).length });
+  for (const bot of bots) {
+    const uid = bot.uid;
+    up.samples.push({ labels: { uid }, value: bot.state === "running" ? 1 : 0 });
+    restarts.samples.push({ labels: { uid }, value: bot.restarts || 0 });
+    loginFailures.samples.push({ labels: { uid }, value: bot.loginFailures || 0 });
+    const m = bot.metrics;
+    if (!m) continue;
+    if (bot.lastHeartbeat) heartbeat.samples.push({ labels: { uid }, value: Math.round((now - bot.lastHeartbeat) / 1000) });
+    for (const type of ["rss", "heapUsed"]) memory.samples.push({ labels: { uid, type }, value: m.memory[type] });
+    for (const mode of ["user", "system"]) cpu.samples.push({ labels: { uid, mode }, value: m.cpuSeconds[mode] });
+    if (m.queue) {
+      queueDepth.samples.push({ labels: { uid }, value: m.queue.depth });
+      for (const [reason, n] of Object.entries(m.queue.dropped || {})) queueDropped.samples.push({ labels: { uid, reason }, value: n });
+    }
+    for (const [key, samples] of Object.entries(m.counters || {})) {
+      if (!counters[key]) continue;
+      for (const s of samples) counters[key].samples.push({ labels: Object.assign({ uid }, s.labels), value: s.value });
+    }
+  }
+  return [byState, up, restarts, loginFailures, heartbeat, memory, cpu, queueDepth, queueDropped, ...Object.values(counters)];
+}
+
+module.exports = { createCounters, processSnapshot, formatMetrics, botFamilies };
@@ -0,0 +1,125 @@
+const { regexProblem, testRegex } = require("./safe-regex");
+
+// Chat moderation: banned words, flood and repeated-message detection, plus the
+// escalation ladder. Per-thread settings (lib/state.js):
+//
+//   moderationEnabled     master switch
+//   bannedWords           ["spam", "/free\s+money/"] — plain words match whole words, /.../ is a regex
+//                         (checked by lib/safe-regex.js and run with its time limit; a stored
+//                         unsafe one matches as a word)
+//   floodMessages/floodWindowSec   N messages in T seconds (default 6 in 10; floodMessages 0 = off)
+//   repeatLimit           same message N times in a row (default 3; 0 = off)
+//   moderationSteps       what each active warning leads to (default warn, warn, notice, remove;
+//                         the last step repeats)
+//   warningDecayHours     warnings older than this stop counting (default 24; lib/warnings.js)
+//
+// bot.js decides who is exempt (the bot, group admins, bot staff) and carries out the step.
+
+const STEPS = ["warn", "notice", "remove"];
+const DEFAULT_STEPS = ["warn", "warn", "notice", "remove"];
+const DEFAULTS = { floodMessages: 6, floodWindowSec: 10, repeatLimit: 3 };
+const MAX_BANNED = 100;
+const MAX_BODY = 1000;
+const MAX_TRACKED = 5000;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// "/.../" → regex; anything else matches as a whole word, ignoring case
+function compilePattern(entry) {
+  const m = String(entry).match(/^\/(.+)\/$/);
+  if (m && !regexProblem(m[1])) return new RegExp(m[1], "iu");
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(String(entry))}(?![\\p{L}\\p{N}])`, "iu");
+}
+
+// Validation for the bannedWords setting; throws on bad input
+function checkBannedWords(list) {
+  if (!Array.isArray(list) || list.length > MAX_BANNED) throw new Error(`bannedWords must be a list of at most ${MAX_BANNED} words`);
+  for (const entry of list) {
+    if (typeof entry !== "string" || !entry.trim() || entry.length > 200) throw new Error("Banned words must be 1-200 characters");
+    const m = entry.match(/^\/(.+)\/$/);
+    const problem = m && regexProblem(m[1]);
+    if (problem) throw new Error(`Unsafe banned-word regex ${entry}: ${problem}`);
+    try {
+      compilePattern(entry);
+    } catch (e) {
+      throw new Error(`Bad banned-word regex ${entry}: ${e.message}`);
+    }
+  }
+}
+
+// Step for the nth active warning (1-based)
+function stepFor(count, steps) {
+  const ladder = steps && steps.length ? steps : DEFAULT_STEPS;
+  return ladder[Math.min(count, ladder.length) - 1];
+}
+
+// opts.onSlowPattern(threadID, entry): a banned-word regex hit the time limit and is matched as a word from now on
+function createModerator(opts = {}) {
+  const recent = new Map(); // threadID|uid -> { times: [ms], last: body, repeats: n }
+  const compiled = new Map(); // pattern -> RegExp
+
+  function patternOf(entry) {
+    if (!compiled.has(entry)) compiled.set(entry, compilePattern(entry));
+    return compiled.get(entry);
+  }
+
+  // owner regexes run with the time limit; whole-word patterns are our own and safe
+  function bannedIn(threadID, entry, text) {
+    if (!/^\/(.+)\/$/.test(entry)) return patternOf(entry).test(text);
+    const hit = testRegex(patternOf(entry), text);
+    if (hit !== null) return hit;
+    compiled.delete(entry);
+    if (opts.onSlowPattern) opts.onSlowPattern(threadID, entry);
+    return false;
+  }
+
+  // drop trackers nobody has touched within the longest window
+  function prune(now) {
+    if (recent.size < MAX_TRACKED) return;
+    for (const [key, t] of recent) if (now - t.times[t.times.length - 1] > 3600 * 1000) recent.delete(key);
+  }
+
+  return {
+    // Offence reason for this message, or null. Always updates flood / repeat tracking.
+    check(threadID, uid, body, settings) {
+      const now = Date.now();
+      const text = String(body || "").trim().slice(0, MAX_BODY);
+      const key = `${threadID}|${uid}`;
+      const t = recent.get(key) || { times: [], last: null, repeats: 0 };
+      recent.set(key, t);
+      prune(now);
+
+      const floodMessages = settings.floodMessages ?? DEFAULTS.floodMessages;
+      const windowMs = (settings.floodWindowSec ?? DEFAULTS.floodWindowSec) * 1000;
+      t.times = t.times.filter(ts => now - ts < windowMs);
+      t.times.push(now);
+
+      const repeatLimit = settings.repeatLimit ?? DEFAULTS.repeatLimit;
+      const normalized = text.toLowerCase().replace(/\s+/g, " ");
+      t.repeats = normalized && normalized === t.last ? t.repeats + 1 : 1;
+      t.last = normalized;
+
+      const banned = (settings.bannedWords || []).find(entry => bannedIn(threadID, entry, text));
+      if (banned) return `banned word (${banned})`;
+      if (floodMessages && t.times.length >= floodMessages) {
+        t.times = [];
+        return `flooding (${floodMessages} messages in ${windowMs / 1000}s)`;
+      }
+      if (repeatLimit && normalized && t.repeats >= repeatLimit) {
+        t.repeats = 0;
+        t.last = null;
+        return `repeating the same message ${repeatLimit} times`;
+      }
+      return null;
+    },
+
+    // forget flood / repeat history (after a pardon or removal)
+    reset(threadID, uid) {
+      recent.delete(`${threadID}|${uid}`);
+    }
+  };
+}
+
+module.exports = { STEPS, DEFAULT_STEPS, DEFAULTS, compilePattern, checkBannedWords, stepFor, createModerator };
@@ -0,0 +1,335 @@
+const fs = require("fs");
+const path = require("path");
+const { UsageError } = require("./commands");
+const { writeJsonAtomic } = require("./state");
+const { parseCron, nextRun } = require("./cron");
+const { translate } = require("./i18n");
+
+// Custom bot features loaded from plugins/ (PLUGINS_DIR). A plugin is a file
+// (plugins/dice.js) or a folder with an index.js; its name is the file name.
+//
+//   module.exports = {
+//     description: "Dice rolls",
+//     settings: { sides: { type: "number", default: 6 } },   // per thread: string | number | boolean
+//     commands: [{ name: "roll", description: "...", handler: async (ctx) => ctx.reply(...) }],
+//     hooks: { message: async (ctx) => {}, added, left, removed, rename, nickname, unsend },
+//     jobs: [{ cron: "0 9 * * 1-5", tz: "Asia/Manila", run: async (ctx) => {} }, { every: "30m", run }]
+//   };
+//
+// Commands use the lib/commands format; hooks get the normalized event (lib/events.js)
+// for every thread the plugin is on in, after the built-in features had their turn.
+// Both see ctx.config (this plugin's settings for the thread, defaults filled in),
+// ctx.setConfig(patch), ctx.reply/send/react, ctx.getThreadInfo/getUserInfo and a
+// logger. Jobs run per bot: ctx.threads() lists the threads the plugin is on in.
+//
+// A plugin is on in a thread when the thread's settings say so
+// (`plugins: { dice: { enabled: true, sides: 20 } }`) and it isn't disabled for
+// the whole bot (users/<uid>/plugins.json: { "disabled": ["dice"] }).
+// Errors are caught and logged per plugin; PLUGIN_MAX_ERRORS failures in a row
+// suspend it until it is switched on again from the panel or the bot restarts.
+
+const HOOKS = ["message", "rename", "nickname", "added", "left", "removed", "unsend"];
+const SETTING_TYPES = ["string", "number", "boolean"];
+const NAME_RE = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const MAX_ERRORS = Number(process.env.PLUGIN_MAX_ERRORS || 5);
+const HOOK_TIMEOUT_MS = 10 * 1000;
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// Plugin names in dir, without loading them (the panel uses this while a bot is stopped)
+function listPluginFiles(dir) {
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (e) {
+    return [];
+  }
+  return entries
+    .filter(e => (e.isFile() && e.name.endsWith(".js")) || (e.isDirectory() && fs.existsSync(path.join(dir, e.name, "index.js"))))
+    .map(e => e.name.replace(/\.js$/, ""))
+    .filter(name => NAME_RE.test(name))
+    .sort();
+}
+
+function readPluginConfig(file) {
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, "utf-8"));
+    return { disabled: Array.isArray(saved.disabled) ? saved.disabled.map(String) : [] };
+  } catch (e) {
+    return { disabled: [] };
+  }
+}
+
+// "90s" / "30m" / "2h" → ms
+function parseEvery(text) {
+  const m = String(text || "").match(/^(\d+)\s*([smh])$/);
+  if (!m || Number(m[1]) < 1) throw new Error(`"every" must look like 90s, 30m or 2h`);
+  return Number(m[1]) * UNITS[m[2]];
+}
+
+// Check a module's exports and fill in defaults; throws on a bad shape
+function definePlugin(name, def) {
+  if (!def || typeof def !== "object") throw new Error("must export an object");
+  const settings = {};
+  for (const [key, spec] of Object.entries(def.settings || {})) {
+    if (key === "enabled" || !/^[A-Za-z]\w{0,39}$/.test(key)) throw new Error(`bad setting name "${key}"`);
+    if (!spec || !SETTING_TYPES.includes(spec.type)) throw new Error(`setting "${key}" needs a type (${SETTING_TYPES.join(", ")})`);
+    const fallback = spec.type === "boolean" ? false : null;
+    settings[key] = { type: spec.type, default: spec.default === undefined ? fallback : spec.default, description: spec.description || "" };
+  }
+  const hooks = {};
+  for (const [hook, fn] of Object.entries(def.hooks || {})) {
+    if (!HOOKS.includes(hook)) throw new Error(`unknown hook "${hook}" (use ${HOOKS.join(", ")})`);
+    if (typeof fn !== "function") throw new Error(`hook "${hook}" must be a function`);
+    hooks[hook] = fn;
+  }
+  const commands = [].concat(def.commands || []);
+  for (const cmd of commands) {
+    if (!cmd || !cmd.name || typeof cmd.handler !== "function") throw new Error("every command needs a name and a handler");
+  }
+  const jobs = [].concat(def.jobs || []).map((job, i) => {
+    if (!job || typeof job.run !== "function") throw new Error(`job #${i + 1} needs a run function`);
+    if (job.cron) return { name: job.name || `job${i + 1}`, cron: parseCron(job.cron), spec: job.cron, tz: job.tz || null, run: job.run };
+    return { name: job.name || `job${i + 1}`, everyMs: parseEvery(job.every), spec: `every ${job.every}`, run: job.run };
+  });
+  return { name, description: def.description || "", settings, hooks, commands, jobs };
+}
+
+// Check a thread's `plugins` patch against the loaded plugins (lib/state.js
+// already checked the shape): known names, declared settings, right types
+function checkPluginSettings(value, plugins) {
+  for (const [name, conf] of Object.entries(value)) {
+    const plugin = plugins.get(name);
+    if (!plugin) throw new Error(`Unknown plugin "${name}"`);
+    for (const [key, v] of Object.entries(conf || {})) {
+      if (key === "enabled") continue;
+      const spec = plugin.settings[key];
+      if (!spec) throw new Error(`Plugin ${name} has no setting "${key}"`);
+      if (v !== null && typeof v !== spec.type) throw new Error(`Plugin ${name}: "${key}" must be a ${spec.type} or null`);
+    }
+  }
+}
+
+// Plugin settings check for thread patches outside the bot (the panel while a bot
+// is stopped): reads the definitions of the plugins a patch names, never starts them
+function pluginSettingsValidator(dir) {
+  return (patch) => {
+    if (!patch.plugins) return;
+    const files = listPluginFiles(dir);
+    const plugins = new Map();
+    for (const name of Object.keys(patch.plugins).filter(n => files.includes(n))) {
+      try {
+        plugins.set(name, definePlugin(name, require(path.resolve(dir, name))));
+      } catch (e) { /* the bot doesn't load it either: unknown */ }
+    }
+    checkPluginSettings(patch.plugins, plugins);
+  };
+}
+
+// opts: { dir, configFile, logger, send(text, threadID), react(reaction, messageID, threadID),
+//         getThreadInfo, getUserInfo, store, botID(), defaultTz, onError(name, what, err) }
+function createPluginManager(opts) {
+  const logger = opts.logger;
+  const plugins = new Map();
+  const runtime = new Map();
+  const failed = [];
+  const timers = [];
+  const config = readPluginConfig(opts.configFile);
+
+  for (const name of listPluginFiles(opts.dir)) {
+    try {
+      plugins.set(name, definePlugin(name, require(path.resolve(opts.dir, name))));
+      runtime.set(name, { errors: 0, totalErrors: 0, lastError: null, suspended: false });
+    } catch (e) {
+      failed.push({ name, error: e.message });
+      logger.error("plugin", `❌ Plugin ${name} not loaded: ${e.message}`);
+    }
+  }
+
+  function saveConfig() {
+    try {
+      writeJsonAtomic(opts.configFile, config);
+    } catch (e) {
+      logger.warn("plugin", "⚠️ Saving plugins.json failed: " + e.message);
+    }
+  }
+
+  // on for the whole bot (not disabled, not suspended)
+  function active(name) {
+    return plugins.has(name) && !config.disabled.includes(name) && !runtime.get(name).suspended;
+  }
+
+  function enabledIn(name, settings) {
+    const conf = settings.plugins && settings.plugins[name];
+    return active(name) && !!(conf && conf.enabled);
+  }
+
+  function configOf(plugin, settings) {
+    const out = {};
+    for (const [key, spec] of Object.entries(plugin.settings)) out[key] = spec.default;
+    const saved = (settings.plugins && settings.plugins[plugin.name]) || {};
+    for (const key of Object.keys(plugin.settings)) if (saved[key] !== undefined && saved[key] !== null) out[key] = saved[key];
+    return out;
+  }
+
+  // Run plugin code; errors are logged and counted, never thrown. Command handlers
+  // (usage = true) pass UsageError on so the registry answers with the usage line;
+  // from a hook or a job it is just another plugin error.
+  async function guard(plugin, what, fn, threadID, usage = false) {
+    const state = runtime.get(plugin.name);
+    let timer;
+    try {
+      await Promise.race([
+        Promise.resolve().then(fn),
+        new Promise((resolve, reject) => { timer = setTimeout(() => reject(new Error(`timed out after ${HOOK_TIMEOUT_MS / 1000}s`)), HOOK_TIMEOUT_MS); })
+      ]);
+      state.errors = 0;
+    } catch (e) {
+      if (usage && e instanceof UsageError) throw e;
+      state.errors++;
+      state.totalErrors++;
+      state.lastError = { what, message: String(e && e.message || e), at: Date.now() };
+      logger.error("plugin", `❌ Plugin ${plugin.name} ${what} failed: ${e}`, { threadID, plugin: plugin.name });
+      if (opts.onError) opts.onError(plugin.name, what, e);
+      if (state.errors >= MAX_ERRORS && !state.suspended) {
+        state.suspended = true;
+        logger.error("plugin", `⛔ Plugin ${plugin.name} suspended after ${state.errors} errors in a row; switch it on again from the panel`, { plugin: plugin.name });
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  function contextFor(plugin, threadID, settings, event) {
+    return {
+      plugin: plugin.name,
+      threadID,
+      config: configOf(plugin, settings),
+      setConfig: (patch) => opts.store.updateThread(threadID, { plugins: { [plugin.name]: patch } }).plugins[plugin.name],
+      send: (text, toThreadID = threadID) => opts.send(text, toThreadID),
+      reply: (text) => opts.send(text, threadID),
+      react: (reaction, messageID = event && event.messageID) => opts.react(reaction, messageID, threadID),
+      getThreadInfo: (id = threadID) => opts.getThreadInfo(id),
+      getUserInfo: (ids) => opts.getUserInfo(ids),
+      logger: logger.child({ plugin: plugin.name }),
+      UsageError
+    };
+  }
+
+  // Plugin commands for the registry; they answer with a hint where the plugin is off
+  function commands(reserved) {
+    const out = [];
+    for (const plugin of plugins.values()) {
+      for (const cmd of plugin.commands) {
+        const taken = [cmd.name, ...(cmd.aliases || [])].find(n => reserved(n.toLowerCase()));
+        if (taken) {
+          logger.error("plugin", `❌ Plugin ${plugin.name}: command "${taken}" already exists, skipped`);
+          continue;
+        }
+        out.push(Object.assign({}, cmd, {
+          plugin: plugin.name,
+          handler: async (ctx) => {
+            if (!enabledIn(plugin.name, ctx.settings)) {
+              return ctx.reply((ctx.t || translate)("plugin.offHere", { command: ctx.prefix + cmd.name, name: plugin.name, enable: `${ctx.prefix}plugin on ${plugin.name}` }));
+            }
+            const pctx = Object.assign({}, ctx, contextFor(plugin, ctx.threadID, ctx.settings, ctx.event), { reply: ctx.reply });
+            await guard(plugin, `command ${cmd.name}`, () => cmd.handler(pctx), ctx.threadID, true);
+          }
+        }));
+      }
+    }
+    return out;
+  }
+
+  // Hand a normalized event to every plugin that is on in its thread; never throws
+  async function dispatch(event, settings, role) {
+    if (event.type === "message" && event.senderID === String(opts.botID())) return;
+    for (const plugin of plugins.values()) {
+      const hook = plugin.hooks[event.type];
+      if (!hook || !enabledIn(plugin.name, settings)) continue;
+      const ctx = Object.assign(contextFor(plugin, event.threadID, settings, event), { event, senderID: event.senderID, settings, role });
+      await guard(plugin, `${event.type} hook`, () => hook(ctx), event.threadID);
+    }
+  }
+
+  function jobContext(plugin) {
+    return Object.assign(contextFor(plugin, null, {}), {
+      threads: () => opts.store.threadIDs().filter(id => enabledIn(plugin.name, opts.store.thread(id))),
+      configFor: (threadID) => configOf(plugin, opts.store.thread(threadID))
+    });
+  }
+
+  function scheduleJob(plugin, job) {
+    // guard() doesn't throw here; the catch keeps a timer from ever leaving a rejection behind
+    const run = () => (active(plugin.name) ? guard(plugin, `job ${job.name}`, () => job.run(jobContext(plugin))) : Promise.resolve())
+      .catch(e => logger.error("plugin", `❌ Plugin ${plugin.name} job ${job.name} failed: ${e}`, { plugin: plugin.name }));
+    if (job.everyMs) {
+      timers.push(setInterval(run, job.everyMs));
+      return;
+    }
+    const next = () => {
+      const at = nextRun(job.cron, Date.now(), job.tz || opts.defaultTz || "UTC");
+      if (!at) return;
+      const timer = setTimeout(() => {
+        timers.splice(timers.indexOf(timer), 1);
+        run().then(next);
+      }, Math.min(at - Date.now(), 2 ** 31 - 1));
+      timers.push(timer);
+    };
+    next();
+  }
+
+  return {
+    plugins,
+    failed,
+    HOOKS,
+    commands,
+    dispatch,
+    enabledIn,
+    configOf,
+
+    // validator for store.updateThread: the thread's `plugins` patch against the loaded plugins
+    validate(patch) {
+      if (patch.plugins) checkPluginSettings(patch.plugins, plugins);
+    },
+
+    start() {
+      for (const plugin of plugins.values()) for (const job of plugin.jobs) scheduleJob(plugin, job);
+      if (plugins.size) logger.info("plugin", `🧩 ${plugins.size} plugin(s) loaded: ${[...plugins.keys()].join(", ")}`);
+    },
+
+    stop() {
+      for (const timer of timers.splice(0)) {
+        clearTimeout(timer);
+        clearInterval(timer);
+      }
+    },
+
+    // bot-wide switch from the panel; switching on also lifts a suspension
+    setEnabled(name, enabled) {
+      if (!plugins.has(name) && !failed.some(f => f.name === name)) throw new Error(`Unknown plugin "${name}"`);
+      config.disabled = config.disabled.filter(n => n !== name);
+      if (!enabled) config.disabled.push(name);
+      else if (runtime.has(name)) Object.assign(runtime.get(name), { errors: 0, suspended: false });
+      saveConfig();
+      logger.info("plugin", `🧩 Plugin ${name} ${enabled ? "enabled" : "disabled"} for this bot`);
+      return list().find(p => p.name === name);
+    },
+
+    list
+  };
+
+  // what the panel shows
+  function list() {
+    return [...plugins.values()].map(p => Object.assign({
+        name: p.name,
+        description: p.description,
+        enabled: !config.disabled.includes(p.name),
+        settings: p.settings,
+        commands: p.commands.map(c => c.name),
+        hooks: Object.keys(p.hooks),
+        jobs: p.jobs.map(j => j.spec)
+    }, runtime.get(p.name))).concat(failed.map(f => ({ name: f.name, enabled: !config.disabled.includes(f.name), loadError: f.error })));
+  }
+}
+
+module.exports = { createPluginManager, definePlugin, pluginSettingsValidator, listPluginFiles, readPluginConfig, HOOKS };
@@ -0,0 +1,25 @@
+// Scrub anything that looks like a Facebook session cookie before it reaches
+// the stored logs or the live Socket.IO stream.
+
+const COOKIE_NAMES = ['c_user', 'i_user', 'xs', 'fr', 'datr', 'sb', 'spin', 'presence', 'wd', 'dpr', 'locale', 'ps_l', 'ps_n'];
+
+const PATTERNS = [
+  // cookie header style: xs=abc; c_user=123
+  [new RegExp(`\\b(${COOKIE_NAMES.join('|')})=([^;\\s"',]+)`, 'g'), '$1=[REDACTED]'],
+  // appstate JSON entries: "value": "..."
+  [/("value"\s*:\s*")[^"]*(")/g, '$1[REDACTED]$2'],
+  // util.inspect style: value: '...'
+  [/(\bvalue\s*:\s*')[^']*(')/g, '$1[REDACTED]$2'],
+  // Cookie / Set-Cookie headers
+  [/((?:set-)?cookie\s*[:=]\s*)[^\n]+/gi, '$1[REDACTED]'],
+  // Graph API access tokens
+  [/\bEAA[A-Za-z0-9]{20,}/g, '[REDACTED]']
+];
+
+function redact(text) {
+  let out = String(text);
+  for (const [re, replacement] of PATTERNS) out = out.replace(re, replacement);
+  return out;
+}
+
+module.exports = { redact };
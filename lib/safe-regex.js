@@ -0,0 +1,199 @@
+const vm = require("vm");
+
+// Guard for regexes that owners and co-admins type in (auto-reply triggers, banned
+// words). They are tested against every incoming message in every managed thread,
+// synchronously on the bot's event loop, so one pattern that backtracks
+// catastrophically would freeze the bot for all of its threads.
+//
+// regexProblem() rejects the usual shapes when a pattern is saved:
+//   - patterns longer than MAX_PATTERN, back-references (\1, \k<name>)
+//   - a repeated group that itself contains a repeat: (a+)+, (\w*\s?)*, (x{2,})*
+//   - a repeated group whose alternatives can start with the same character: (a|a)*, (a|aa)+, (\w|b?_)+
+//   - adjacent repeats that can match the same characters: a*a*b, .*.*x, \w+\d+
+// That is a heuristic, so testRegex() also runs every match with a hard time limit;
+// a pattern that hits it is reported once and never run again in this process.
+
+const MAX_PATTERN = 200;
+const MATCH_TIMEOUT_MS = Number(process.env.REGEX_TIMEOUT_MS || 50);
+const blocked = new Set(); // sources that hit the time limit
+
+// ASCII sample used to decide whether two atoms can match the same character
+const SAMPLE = Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)).concat(["\t", "\n"]);
+
+// Length of the quantifier at source[i], whether it repeats a variable number of
+// times (?, {0,1} and fixed counts like {4} don't) and whether it can match nothing
+function quantifierAt(source, i) {
+  const c = source[i];
+  if (c === "*" || c === "+") return { length: source[i + 1] === "?" ? 2 : 1, repeats: true, optional: c === "*" };
+  if (c === "?") return { length: 1, repeats: false, optional: true };
+  if (c !== "{") return null;
+  const m = source.slice(i).match(/^\{(\d+)(,(\d*))?\}\??/);
+  if (!m) return null;
+  const min = Number(m[1]);
+  const max = m[2] === undefined ? min : m[3] === "" ? Infinity : Number(m[3]);
+  return { length: m[0].length, repeats: max > 1 && max !== min, optional: min === 0 };
+}
+
+// Source text of the atom at source[i]: an escape, a [class], "." or one character
+function atomAt(source, i) {
+  if (source[i] === "[") {
+    let j = i + 1;
+    if (source[j] === "^") j++;
+    if (source[j] === "]") j++;
+    while (j < source.length && source[j] !== "]") j += source[j] === "\\" ? 2 : 1;
+    return source.slice(i, j + 1);
+  }
+  if (source[i] !== "\\") return source[i];
+  const m = source.slice(i).match(/^\\(?:[pP]\{[^}]*\}|u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|c[A-Za-z]|0|.)/);
+  return m ? m[0] : source.slice(i, i + 2);
+}
+
+// source -> tree of { atom } / { branches: [[node]] } nodes with their quantifier's `repeats` / `optional`
+function parse(source) {
+  const root = { branches: [[]] };
+  const stack = [root];
+  for (let i = 0; i < source.length;) {
+    const group = stack[stack.length - 1];
+    const c = source[i];
+    let node;
+    if (c === "(") {
+      const prefix = source.slice(i + 1).match(/^\?(<[=!]|<[^>]*>|[:=!])/);
+      node = { branches: [[]], lookaround: !!prefix && /^\?<?[=!]/.test(prefix[0]) };
+      group.branches[group.branches.length - 1].push(node);
+      stack.push(node);
+      i += 1 + (prefix ? prefix[0].length : 0);
+      continue;
+    }
+    if (c === "|") {
+      group.branches.push([]);
+      i++;
+      continue;
+    }
+    if (c === ")" && stack.length > 1) {
+      node = stack.pop();
+      i++;
+    } else {
+      const atom = atomAt(source, i);
+      node = { atom };
+      if (!/^(\^|\$|\\[bB])$/.test(atom)) group.branches[group.branches.length - 1].push(node);
+      i += atom.length;
+    }
+    const q = quantifierAt(source, i);
+    if (q) {
+      node.repeats = q.repeats;
+      node.optional = q.optional;
+      i += q.length;
+    }
+  }
+  return root;
+}
+
+// Characters of SAMPLE (plus a literal itself) the atom can match; null = unknown, assume any
+function sampleOf(atom) {
+  let re;
+  try {
+    re = new RegExp(`^(?:${atom})$`, "iu");
+  } catch (e) {
+    try {
+      re = new RegExp(`^(?:${atom})$`, "i");
+    } catch (err) {
+      return null;
+    }
+  }
+  const chars = SAMPLE.filter(ch => re.test(ch));
+  if (atom.length === 1 || (atom.length === 2 && atom[0] === "\\" && !/\w/.test(atom[1]))) chars.push(atom.toLowerCase());
+  return new Set(chars);
+}
+
+function overlap(a, b) {
+  if (a === null || b === null) return true;
+  for (const ch of a) if (b.has(ch)) return true;
+  return false;
+}
+
+// Characters a branch can start with; null = unknown (anything, or it can be empty)
+function firstChars(branch) {
+  const nodes = branch.filter(n => !n.lookaround);
+  if (!nodes.length) return null;
+  const [node] = nodes;
+  let chars;
+  if (node.atom !== undefined) {
+    chars = sampleOf(node.atom);
+  } else {
+    chars = new Set();
+    for (const b of node.branches) {
+      const more = firstChars(b);
+      if (more === null) return null;
+      for (const ch of more) chars.add(ch);
+    }
+  }
+  // b?a can start with a too
+  if (chars === null || !node.optional) return chars;
+  const rest = firstChars(nodes.slice(1));
+  if (rest === null) return null;
+  for (const ch of rest) chars.add(ch);
+  return chars;
+}
+
+function containsRepeat(node) {
+  return node.branches.some(b => b.some(n => n.repeats || (n.branches && containsRepeat(n))));
+}
+
+function check(group) {
+  for (const branch of group.branches) {
+    for (let i = 0; i < branch.length; i++) {
+      const node = branch[i];
+      const next = branch[i + 1];
+      if (node.branches) {
+        if (node.repeats && containsRepeat(node)) return "nested quantifiers like (a+)+ can freeze the bot";
+        if (node.repeats && node.branches.length > 1) {
+          const starts = node.branches.map(firstChars);
+          for (let a = 0; a < starts.length; a++) {
+            for (let b = a + 1; b < starts.length; b++) {
+              if (overlap(starts[a], starts[b])) return "a repeated group with alternatives that start alike, like (a|aa)+, can freeze the bot";
+            }
+          }
+        }
+        const problem = check(node);
+        if (problem) return problem;
+      }
+      if (node.repeats && next && next.repeats && overlap(firstChars([node]), firstChars([next]))) {
+        return "back-to-back repeats of the same characters, like a*a*, can freeze the bot";
+      }
+    }
+  }
+  return null;
+}
+
+// Why a regex source is unsafe to run on chat messages, or null when it's fine
+function regexProblem(source) {
+  source = String(source);
+  if (source.length > MAX_PATTERN) return `longer than ${MAX_PATTERN} characters`;
+  if (/\\[1-9]|\\k</.test(source)) return "back-references are not allowed";
+  const problem = check(parse(source));
+  if (problem) return problem;
+  return blocked.has(source) ? "it took too long on a message before" : null;
+}
+
+const context = vm.createContext({});
+const script = new vm.Script("re.test(text)");
+
+// re.test(text) with a time limit: true / false, or null the one time a pattern runs
+// out of time (callers log it); after that it is never run again and regexProblem()
+// reports it, so callers fall back to their plain-text matching
+function testRegex(re, text) {
+  if (blocked.has(re.source)) return false;
+  context.re = re;
+  context.text = text;
+  try {
+    return script.runInContext(context, { timeout: MATCH_TIMEOUT_MS });
+  } catch (e) {
+    if (e.code !== "ERR_SCRIPT_EXECUTION_TIMEOUT") throw e;
+    blocked.add(re.source);
+    return null;
+  } finally {
+    context.re = context.text = null;
+  }
+}
+
+module.exports = { MAX_PATTERN, MATCH_TIMEOUT_MS, regexProblem, testRegex };
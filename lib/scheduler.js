@@ -0,0 +1,190 @@
+const fs = require("fs");
+const { writeJsonAtomic } = require("./state");
+const { parseCron, nextRun, isValidTimeZone } = require("./cron");
+
+// Scheduled messages per thread, persisted to users/<uid>/schedules.json:
+//
+//   { id, threadID, message, tz, createdBy, createdAt, lastRunAt, nextRunAt,
+//     at (one-off, ms) | cron ("0 9 * * 1-5", wall-clock time in tz) }
+//
+// A tick every few seconds sends whatever is due. Runs missed while the bot was
+// down are sent late if they are less than SCHEDULE_GRACE_MIN (default 60) overdue
+// and skipped otherwise; a recurring job catches up at most once. The panel reads
+// the same file (readSchedules / upcoming) to show what is coming. Saved jobs that
+// can't run (a hand-edited file with a bad cron or timezone) are left out on load
+// and reported once; the next save drops them.
+
+const DEFAULT_TZ = process.env.SCHEDULE_TZ || Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+const GRACE_MS = Number(process.env.SCHEDULE_GRACE_MIN || 60) * 60 * 1000;
+const TICK_MS = 15 * 1000;
+const MAX_PER_THREAD = 50;
+const MAX_MESSAGE = 2000;
+
+// Why a saved job can't run, or null
+function jobProblem(job) {
+  if (!job || typeof job !== "object") return "not an object";
+  if (!Number.isInteger(job.id) || !job.threadID) return "missing id or threadID";
+  if (typeof job.message !== "string" || !job.message.trim()) return "empty message";
+  if (typeof job.tz !== "string" || !isValidTimeZone(job.tz)) return `unknown timezone "${job.tz}"`;
+  if (job.nextRunAt !== null && !Number.isFinite(job.nextRunAt)) return "bad nextRunAt";
+  if (job.cron) {
+    try {
+      parseCron(job.cron);
+    } catch (e) {
+      return e.message;
+    }
+  } else if (!Number.isFinite(job.at)) {
+    return "needs a cron expression or an at time";
+  }
+  return null;
+}
+
+// onInvalid(job, problem) hears about each job that was left out
+function readSchedules(file, onInvalid = () => {}) {
+  let saved;
+  try {
+    saved = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    return { nextID: 1, jobs: [] };
+  }
+  const jobs = (Array.isArray(saved.jobs) ? saved.jobs : []).filter(job => {
+    const problem = jobProblem(job);
+    if (problem) onInvalid(job, problem);
+    return !problem;
+  });
+  return { nextID: saved.nextID || 1, jobs };
+}
+
+// Next run after `after` (ms); null when the job is done
+function nextRunOf(job, after) {
+  if (job.cron) return nextRun(parseCron(job.cron), after, job.tz);
+  return job.at > after ? job.at : null;
+}
+
+// Occurrences within the next `days` days, soonest first: [{ id, threadID, message, at, cron, tz }]
+function upcoming(jobs, { from = Date.now(), days = 14, limit = 200 } = {}) {
+  const until = from + days * 24 * 60 * 60 * 1000;
+  const out = [];
+  for (const job of jobs) {
+    let at = job.nextRunAt;
+    while (at && at <= until && out.length < limit * 2) {
+      out.push({ id: job.id, threadID: job.threadID, message: job.message, at, cron: job.cron || null, tz: job.tz });
+      at = job.cron ? nextRunOf(job, at) : null;
+    }
+  }
+  return out.sort((a, b) => a.at - b.at).slice(0, limit);
+}
+
+// opts: { file, send(job) → Promise, logger, tickMs }
+function createScheduler(opts) {
+  const logger = opts.logger;
+  const data = readSchedules(opts.file, (job, problem) => {
+    logger.error("schedule", `❌ Skipped a saved schedule that can't run (${problem}): ${JSON.stringify(job)}`, { threadID: job && job.threadID });
+  });
+  let timer = null;
+
+  function save() {
+    try {
+      writeJsonAtomic(opts.file, data);
+    } catch (e) {
+      logger.warn("schedule", "⚠️ Saving schedules failed: " + e.message);
+    }
+  }
+
+  // Runs missed while the bot was down: keep them due within the grace period, skip the rest
+  function recoverMissed(now) {
+    for (const job of data.jobs.slice()) {
+      if (!job.nextRunAt || job.nextRunAt > now) continue;
+      const late = now - job.nextRunAt;
+      if (late <= GRACE_MS) {
+        logger.info("schedule", `⏰ Schedule #${job.id} missed its run by ${Math.round(late / 60000)}m; sending it late`, { threadID: job.threadID });
+        continue;
+      }
+      logger.warn("schedule", `⏭️ Schedule #${job.id} missed its run at ${new Date(job.nextRunAt).toISOString()}; skipped`, { threadID: job.threadID });
+      job.nextRunAt = nextRunOf(job, now);
+      if (!job.nextRunAt) data.jobs.splice(data.jobs.indexOf(job), 1);
+    }
+    save();
+  }
+
+  async function tick() {
+    const now = Date.now();
+    const due = data.jobs.filter(j => j.nextRunAt && j.nextRunAt <= now).sort((a, b) => a.nextRunAt - b.nextRunAt);
+    if (!due.length) return;
+    // advance before sending so a crash mid-send never repeats a message
+    for (const job of due) {
+      job.lastRunAt = now;
+      job.nextRunAt = nextRunOf(job, now);
+      if (!job.nextRunAt) data.jobs.splice(data.jobs.indexOf(job), 1);
+    }
+    save();
+    for (const job of due) {
+      try {
+        await opts.send(job);
+        logger.info("schedule", `📅 Sent schedule #${job.id}`, { threadID: job.threadID });
+      } catch (e) {
+        logger.error("schedule", `❌ Schedule #${job.id} failed: ${e}`, { threadID: job.threadID });
+      }
+    }
+  }
+
+  return {
+    // job: { threadID, message, tz, createdBy, at | cron } → saved job; throws on bad input
+    add(job) {
+      const message = String(job.message || "").trim();
+      if (!message || message.length > MAX_MESSAGE) throw new Error(`Message must be 1-${MAX_MESSAGE} characters`);
+      if (data.jobs.filter(j => j.threadID === job.threadID).length >= MAX_PER_THREAD) {
+        throw new Error(`At most ${MAX_PER_THREAD} scheduled messages per thread`);
+      }
+      const entry = {
+        id: data.nextID,
+        threadID: String(job.threadID),
+        message,
+        tz: job.tz,
+        createdBy: job.createdBy || null,
+        createdAt: Date.now(),
+        lastRunAt: null
+      };
+      if (job.cron) entry.cron = job.cron;
+      else entry.at = job.at;
+      entry.nextRunAt = nextRunOf(entry, Date.now());
+      if (!entry.nextRunAt) throw new Error(job.cron ? "That cron expression never runs" : "That time is in the past");
+      data.nextID++;
+      data.jobs.push(entry);
+      save();
+      return entry;
+    },
+
+    remove(id, threadID) {
+      const i = data.jobs.findIndex(j => j.id === Number(id) && (!threadID || j.threadID === threadID));
+      if (i === -1) return null;
+      const [job] = data.jobs.splice(i, 1);
+      save();
+      return job;
+    },
+
+    list(threadID) {
+      return data.jobs.filter(j => !threadID || j.threadID === threadID).sort((a, b) => a.nextRunAt - b.nextRunAt);
+    },
+
+    start() {
+      if (timer) return;
+      recoverMissed(Date.now());
+      const run = () => tick().catch(e => logger.error("schedule", `❌ Schedule tick failed: ${e}`));
+      timer = setInterval(run, opts.tickMs || TICK_MS);
+      run();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    stats() {
+      const next = data.jobs.reduce((min, j) => (j.nextRunAt && (!min || j.nextRunAt < min) ? j.nextRunAt : min), null);
+      return { jobs: data.jobs.length, nextRunAt: next };
+    }
+  };
+}
+
+module.exports = { createScheduler, readSchedules, upcoming, DEFAULT_TZ, GRACE_MS };
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Per-user AppState files hold full account cookies, so they are stored through a
+// pluggable backend. The default "aes" backend writes an AES-256-GCM envelope:
+//   { "enc": "aes-256-gcm", "kid": "<key id>", "iv": "...", "tag": "...", "data": "..." }
+// Plaintext files (written before encryption existed) are still readable so they
+// can be migrated with `npm run secrets:migrate`.
+
+const DEFAULT_KEYFILE = path.join(__dirname, '..', 'data', 'appstate.key');
+const ALGO = 'aes-256-gcm';
+
+const backends = {};
+
+function registerBackend(name, factory) {
+  backends[name] = factory;
+}
+
+// Accepts a 64-char hex key, a base64 32-byte key or any passphrase
+function parseKey(raw) {
+  raw = String(raw).trim();
+  if (/^[0-9a-fA-F]{64}$/.test(raw)) return Buffer.from(raw, 'hex');
+  const b64 = Buffer.from(raw, 'base64');
+  if (b64.length === 32 && /^[A-Za-z0-9+/=]+$/.test(raw)) return b64;
+  return crypto.scryptSync(raw, 'appstate-store', 32);
+}
+
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+function readKeyfile(file) {
+  try {
+    return fs.readFileSync(file, 'utf-8').split('\n').map(l => l.trim()).filter(Boolean);
+  } catch (e) {
+    return [];
+  }
+}
+
+function writeKeyfile(file, lines) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, lines.join('\n') + '\n', { mode: 0o600 });
+}
+
+// Keys come from APPSTATE_KEY (+ APPSTATE_OLD_KEYS for rotation) or from a keyfile
+// whose first line is the current key and remaining lines are retired keys.
+// Without either, a random keyfile is generated on first use.
+function loadKeys(opts = {}) {
+  let lines;
+  if (opts.key || process.env.APPSTATE_KEY) {
+    const old = opts.oldKeys || (process.env.APPSTATE_OLD_KEYS || '').split(',');
+    lines = [opts.key || process.env.APPSTATE_KEY, ...old].filter(Boolean);
+  } else {
+    const file = opts.keyfile || process.env.APPSTATE_KEYFILE || DEFAULT_KEYFILE;
+    lines = readKeyfile(file);
+    if (!lines.length) {
+      lines = [crypto.randomBytes(32).toString('hex')];
+      writeKeyfile(file, lines);
+    }
+  }
+  const keys = lines.map(parseKey);
+  return { current: keys[0], byId: new Map(keys.map(k => [keyId(k), k])) };
+}
+
+function isEnvelope(obj) {
+  return !!obj && !Array.isArray(obj) && typeof obj === 'object' && typeof obj.enc === 'string' && typeof obj.data === 'string';
+}
+
+function atomicWrite(file, text) {
+  const tmp = file + '.tmp';
+  fs.writeFileSync(tmp, text, { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+registerBackend('plain', () => ({
+  name: 'plain',
+  decode(obj) {
+    if (isEnvelope(obj)) throw new Error('File is encrypted but SECRET_STORE=plain');
+    return obj;
+  },
+  encode(value) {
+    return value;
+  }
+}));
+
+registerBackend('aes', (opts) => {
+  const keys = loadKeys(opts);
+  return {
+    name: 'aes',
+    decode(obj) {
+      if (!isEnvelope(obj)) return obj; // legacy plaintext
+      if (obj.enc !== ALGO) throw new Error(`Unsupported encryption "${obj.enc}"`);
+      const key = keys.byId.get(obj.kid);
+      if (!key) throw new Error(`No key available for key id ${obj.kid}`);
+      const decipher = crypto.createDecipheriv(ALGO, key, Buffer.from(obj.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(obj.tag, 'base64'));
+      const plain = Buffer.concat([decipher.update(Buffer.from(obj.data, 'base64')), decipher.final()]);
+      return JSON.parse(plain.toString('utf-8'));
+    },
+    encode(value) {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv(ALGO, keys.current, iv);
+      const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf-8'), cipher.final()]);
+      return {
+        enc: ALGO,
+        kid: keyId(keys.current),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+      };
+    }
+  };
+});
+
+function createSecretStore(opts = {}) {
+  const name = opts.backend || process.env.SECRET_STORE || 'aes';
+  const factory = backends[name];
+  if (!factory) throw new Error(`Unknown secret store backend "${name}"`);
+  const backend = factory(opts);
+
+  return {
+    backend: backend.name,
+    read(file) {
+      return backend.decode(JSON.parse(fs.readFileSync(file, 'utf-8')));
+    },
+    write(file, value) {
+      atomicWrite(file, JSON.stringify(backend.encode(value), null, 2));
+    },
+    isEncrypted(file) {
+      try {
+        return isEnvelope(JSON.parse(fs.readFileSync(file, 'utf-8')));
+      } catch (e) {
+        return false;
+      }
+    }
+  };
+}
+
+// Generate a fresh key at the front of the keyfile; old keys stay for decryption
+function addKeyfileKey(keyfile = process.env.APPSTATE_KEYFILE || DEFAULT_KEYFILE) {
+  const lines = readKeyfile(keyfile);
+  const fresh = crypto.randomBytes(32).toString('hex');
+  writeKeyfile(keyfile, [fresh, ...lines]);
+  return keyId(parseKey(fresh));
+}
+
+module.exports = {
+  DEFAULT_KEYFILE,
+  registerBackend,
+  createSecretStore,
+  addKeyfileKey,
+  isEnvelope
+};
@@ -0,0 +1,283 @@
+const fs = require("fs");
+const { ROLES } = require("./commands");
+const { sanitizeTriggers } = require("./auto-reply");
+const { STEPS, checkBannedWords } = require("./moderation");
+const { isValidTimeZone } = require("./cron");
+const { LANGUAGES } = require("./i18n");
+
+// Bot protection state persisted to users/<uid>/state.json so locks survive a
+// crash or a restart from the panel. Writes go to a temp file first and are
+// renamed into place, so a crash mid-write never leaves a half-written file.
+//
+// Every group the bot manages has its own settings:
+//   { "threads": { "<threadID>": { lockedGroupName, lockedNick, nickLockEnabled, ... } } }
+// `roles` maps UIDs to a chat role (moderator, coadmin, owner) for that thread.
+// Deleted-message reposting is opt-in per thread: `unsendDestination` is the
+// thread itself or a DM to the bot owner, `unsendExempt` lists UIDs whose
+// messages are never cached and `unsendRetentionMin` caps how long they are kept.
+// Welcome / farewell / rules templates (lib/greetings.js) are null when off.
+// `autoReplies` holds the thread's keyword triggers (lib/auto-reply.js).
+// Moderation settings (bannedWords, flood / repeat limits, escalation steps,
+// warning decay) are described in lib/moderation.js; null means the default.
+// `timezone` (IANA name) is used for the thread's scheduled messages (lib/scheduler.js).
+// `language` picks the reply bundle (lib/i18n.js); null means the bot default.
+// `plugins` maps plugin names to { enabled, ...settings } (lib/plugins.js); a
+// patch merges per plugin and null drops a plugin's settings.
+// Anti-out skips `antiOutExempt` UIDs and re-adds a user at most
+// `antiOutMaxPerDay` times a day (null = ANTI_OUT_MAX_PER_DAY, default 3).
+
+const DEFAULT_THREAD = {
+  lockedGroupName: null,
+  lockedNick: null,
+  nickLockEnabled: false,
+  nickRemoveEnabled: false,
+  gcAutoRemoveEnabled: false,
+  antiOutEnabled: false,
+  antiOutExempt: [],
+  antiOutMaxPerDay: null,
+  unsendRepostEnabled: false,
+  unsendDestination: "thread",
+  unsendExempt: [],
+  unsendRetentionMin: null,
+  welcomeMessage: null,
+  farewellMessage: null,
+  rulesMessage: null,
+  greetingCooldownSec: null,
+  autoReplies: [],
+  moderationEnabled: false,
+  bannedWords: [],
+  floodMessages: null,
+  floodWindowSec: null,
+  repeatLimit: null,
+  moderationSteps: null,
+  warningDecayHours: null,
+  timezone: null,
+  language: null,
+  plugins: {},
+  prefix: null,
+  roles: {}
+};
+
+// key -> accepted type ("string" and "number" fields also accept null; arrays list the allowed values)
+const SCHEMA = {
+  lockedGroupName: "string",
+  lockedNick: "string",
+  nickLockEnabled: "boolean",
+  nickRemoveEnabled: "boolean",
+  gcAutoRemoveEnabled: "boolean",
+  antiOutEnabled: "boolean",
+  antiOutExempt: "uids",
+  antiOutMaxPerDay: "number",
+  unsendRepostEnabled: "boolean",
+  unsendDestination: ["thread", "admin"],
+  unsendExempt: "uids",
+  unsendRetentionMin: "number",
+  welcomeMessage: "string",
+  farewellMessage: "string",
+  rulesMessage: "string",
+  greetingCooldownSec: "number",
+  autoReplies: "triggers",
+  moderationEnabled: "boolean",
+  bannedWords: "patterns",
+  floodMessages: "number",
+  floodWindowSec: "number",
+  repeatLimit: "number",
+  moderationSteps: "steps",
+  warningDecayHours: "number",
+  timezone: "string",
+  language: "string",
+  plugins: "plugins",
+  prefix: "string",
+  roles: "roles"
+};
+
+// fresh copy so nobody mutates the shared defaults
+function defaultThread() {
+  return Object.assign({}, DEFAULT_THREAD, { roles: {}, antiOutExempt: [], unsendExempt: [], autoReplies: [], bannedWords: [], plugins: {} });
+}
+
+function writeJsonAtomic(file, value) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// { name: { enabled: bool, setting: string | number | boolean | null } | null }
+function checkPluginMap(key, value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) throw new Error(`"${key}" must map plugin names to settings`);
+  for (const [name, conf] of Object.entries(value)) {
+    if (!/^[a-z0-9][a-z0-9-]{0,39}$/.test(name)) throw new Error(`Bad plugin name "${name}"`);
+    if (conf === null) continue;
+    if (typeof conf !== "object" || Array.isArray(conf)) throw new Error(`Plugin ${name}: settings must be an object`);
+    for (const [setting, v] of Object.entries(conf)) {
+      if (setting === "enabled" ? typeof v !== "boolean" : v !== null && !["string", "number", "boolean"].includes(typeof v)) {
+        throw new Error(`Plugin ${name}: bad value for "${setting}"`);
+      }
+    }
+  }
+}
+
+// Current settings plus a sanitized patch; `plugins` merges per plugin
+function mergeThread(current, clean) {
+  const next = Object.assign(defaultThread(), current, clean);
+  if (clean.plugins) {
+    next.plugins = Object.assign({}, current && current.plugins);
+    for (const [name, conf] of Object.entries(clean.plugins)) {
+      if (conf === null) delete next.plugins[name];
+      else next.plugins[name] = Object.assign({}, next.plugins[name], conf);
+    }
+  }
+  return next;
+}
+
+// Validate a partial thread update (from chat commands or the panel); throws on bad input
+function sanitizePatch(patch) {
+  if (!patch || typeof patch !== "object" || Array.isArray(patch)) throw new Error("Thread settings must be an object");
+  const clean = {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (key === "updatedAt") continue;
+    const type = SCHEMA[key];
+    if (!type) throw new Error(`Unknown setting "${key}"`);
+    if (type === "string" && value !== null && typeof value !== "string") throw new Error(`"${key}" must be a string or null`);
+    if (type === "boolean" && typeof value !== "boolean") throw new Error(`"${key}" must be true or false`);
+    if (type === "number" && value !== null && !Number.isFinite(value)) throw new Error(`"${key}" must be a number or null`);
+    if (Array.isArray(type) && !type.includes(value)) throw new Error(`"${key}" must be one of ${type.join(", ")}`);
+    if (type === "uids" && (!Array.isArray(value) || !value.every(id => /^\d+$/.test(id)))) throw new Error(`"${key}" must be a list of numeric UIDs`);
+    if (type === "patterns") checkBannedWords(value);
+    if (type === "steps" && value !== null && (!Array.isArray(value) || !value.length || value.length > 10 || !value.every(v => STEPS.includes(v)))) {
+      throw new Error(`"${key}" must be a list of up to 10 of: ${STEPS.join(", ")}`);
+    }
+    if (type === "plugins") checkPluginMap(key, value);
+    if (type === "roles") {
+      if (!value || typeof value !== "object" || Array.isArray(value)) throw new Error(`"${key}" must map UIDs to roles`);
+      for (const [uid, role] of Object.entries(value)) {
+        if (!/^\d+$/.test(uid) || !ROLES.includes(role) || role === "member") throw new Error(`Bad role "${role}" for ${uid}`);
+      }
+    }
+    if (key === "prefix" && value !== null && !/^\S{1,3}$/.test(value)) throw new Error("prefix must be 1-3 non-space characters");
+    if (key === "antiOutMaxPerDay" && value !== null && (!Number.isInteger(value) || value < 1 || value > 50)) throw new Error("antiOutMaxPerDay must be a whole number from 1 to 50");
+    if (/^(welcome|farewell|rules)Message$/.test(key) && value !== null && value.length > 2000) throw new Error(`${key} must be at most 2000 characters`);
+    if (key === "greetingCooldownSec" && value !== null && (value < 0 || value > 3600)) throw new Error("greetingCooldownSec must be 0-3600 seconds");
+    if (key === "floodMessages" && value !== null && value !== 0 && (!Number.isInteger(value) || value < 2 || value > 100)) throw new Error("floodMessages must be 0 (off) or 2-100");
+    if (key === "floodWindowSec" && value !== null && (value < 1 || value > 3600)) throw new Error("floodWindowSec must be 1-3600 seconds");
+    if (key === "repeatLimit" && value !== null && value !== 0 && (!Number.isInteger(value) || value < 2 || value > 50)) throw new Error("repeatLimit must be 0 (off) or 2-50");
+    if (key === "warningDecayHours" && value !== null && (value < 1 || value > 720)) throw new Error("warningDecayHours must be 1-720 hours");
+    if (key === "timezone" && value !== null && !isValidTimeZone(value)) throw new Error(`Unknown timezone "${value}" (use a name like Asia/Manila)`);
+    if (key === "language" && value !== null && !LANGUAGES.includes(value)) throw new Error(`Unknown language "${value}" (use ${LANGUAGES.join(", ")})`);
+    if (key === "unsendRetentionMin" && value !== null && (value < 1 || value > 1440)) throw new Error("unsendRetentionMin must be 1-1440 minutes");
+    clean[key] = type === "triggers" ? sanitizeTriggers(value) : value;
+  }
+  return clean;
+}
+
+// Validate a { threads: { id: patch } } document from the panel; validate(patch) as in createStateStore
+function sanitizeState(doc, validate) {
+  if (!doc || typeof doc !== "object" || !doc.threads || typeof doc.threads !== "object") {
+    throw new Error("State must look like { \"threads\": { \"<threadID>\": { ... } } }");
+  }
+  const threads = {};
+  for (const [threadID, patch] of Object.entries(doc.threads)) {
+    if (!/^[\w.-]+$/.test(threadID)) throw new Error(`Bad thread ID "${threadID}"`);
+    try {
+      threads[threadID] = sanitizePatch(patch);
+      if (validate) validate(threads[threadID]);
+    } catch (e) {
+      throw new Error(`Thread ${threadID}: ${e.message}`);
+    }
+  }
+  return { threads };
+}
+
+function readState(file) {
+  let saved = {};
+  try {
+    saved = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) { /* fresh state */ }
+
+  const threads = {};
+  for (const [threadID, settings] of Object.entries(saved.threads || {})) {
+    threads[threadID] = Object.assign(defaultThread(), settings);
+  }
+  return { threads, updatedAt: saved.updatedAt || null };
+}
+
+// A thread stays in the registry only while something is switched on
+function isManaged(settings) {
+  return Object.keys(DEFAULT_THREAD).some(key => JSON.stringify(settings[key]) !== JSON.stringify(DEFAULT_THREAD[key]));
+}
+
+// opts.onChange(threadID, settings) fires after every thread update;
+// opts.validate(patch) may throw to reject a sanitized patch (plugin settings)
+function createStateStore(file, opts = {}) {
+  const onChange = opts.onChange || (() => {});
+  const data = readState(file);
+  const restored = fs.existsSync(file);
+
+  function save() {
+    data.updatedAt = new Date().toISOString();
+    writeJsonAtomic(file, data);
+  }
+
+  return {
+    file,
+    restored,
+    data,
+
+    // Settings for a thread; unmanaged threads get read-only defaults
+    thread(threadID) {
+      return data.threads[String(threadID)] || defaultThread();
+    },
+
+    threadIDs() {
+      return Object.keys(data.threads);
+    },
+
+    updateThread(threadID, patch) {
+      threadID = String(threadID);
+      const clean = sanitizePatch(patch);
+      if (opts.validate) opts.validate(clean);
+      const next = mergeThread(data.threads[threadID], clean);
+      next.updatedAt = new Date().toISOString();
+      if (isManaged(next)) data.threads[threadID] = next;
+      else delete data.threads[threadID];
+      save();
+      onChange(threadID, next);
+      return next;
+    },
+
+    // Replace every thread's settings with a { threads } document; threads missing from it are unmanaged
+    replaceThreads(doc) {
+      const { threads } = sanitizeState(doc, opts.validate);
+      const now = new Date().toISOString();
+      const previous = Object.keys(data.threads);
+      data.threads = {};
+      for (const [threadID, clean] of Object.entries(threads)) {
+        const next = Object.assign(mergeThread(null, clean), { updatedAt: now });
+        if (isManaged(next)) data.threads[threadID] = next;
+      }
+      save();
+      for (const threadID of new Set(previous.concat(Object.keys(threads)))) onChange(threadID, this.thread(threadID));
+      return data;
+    },
+
+    // refresh in place so callers holding `data` see the new values
+    reload() {
+      const next = readState(file);
+      for (const key of Object.keys(data)) delete data[key];
+      Object.assign(data, next);
+      return data;
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_THREAD,
+  defaultThread,
+  createStateStore,
+  readState,
+  sanitizePatch,
+  sanitizeState,
+  mergeThread,
+  isManaged,
+  writeJsonAtomic
+};
@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { fork } = require('child_process');
+const EXIT = require('./exit-codes');
+const { MSG, createRequester } = require('./ipc');
+
+// Keeps one bot.js child per UID alive:
+//  - crashes are restarted with exponential backoff (2s, 4s, 8s ... capped at 5m)
+//  - repeated login failures, a bad config or an ended session mark the bot "failed" instead of looping
+//  - children send heartbeat events over IPC (lib/ipc.js); a silent child is killed and restarted.
+//    Heartbeats carry the child's counters, memory and CPU for /metrics
+//  - stop() asks the child to shut down gracefully (final AppState save) before killing it
+//  - bots that should be running are remembered in data/supervisor.json and
+//    restored when the panel server restarts
+//  - child stdout is parsed as JSON log records (lib/logger.js); onLog(uid, record)
+//    gets those plus the supervisor's own records (event "supervisor")
+
+const BACKOFF_BASE_MS = 2000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+const STABLE_AFTER_MS = 10 * 60 * 1000;
+const MAX_LOGIN_FAILURES = 3;
+const HEARTBEAT_TIMEOUT_MS = Number(process.env.BOT_HEARTBEAT_TIMEOUT_MS || 60 * 1000);
+const HEARTBEAT_CHECK_MS = 15 * 1000;
+const SHUTDOWN_GRACE_MS = 8000;
+
+function createSupervisor(opts) {
+  const { botScript, onLog = () => {}, onState = () => {}, onMessage = () => {} } = opts;
+  const stateFile = opts.stateFile || path.join(__dirname, '..', 'data', 'supervisor.json');
+  const bots = new Map();
+
+  function log(uid, level, msg) {
+    onLog(uid, { ts: new Date().toISOString(), level, event: 'supervisor', msg });
+  }
+
+  // Non-JSON output (crash traces, library noise) is kept as plain records
+  function pipeLines(uid, stream, fallbackLevel, fallbackEvent) {
+    readline.createInterface({ input: stream }).on('line', (line) => {
+      if (!line.trim()) return;
+      let record = null;
+      try { record = JSON.parse(line); } catch (e) { /* plain text */ }
+      if (!record || typeof record !== 'object' || !record.event) {
+        record = { ts: new Date().toISOString(), level: fallbackLevel, event: fallbackEvent, msg: line };
+      }
+      onLog(uid, record);
+    });
+  }
+
+  function saveDesired() {
+    try {
+      const running = [...bots.values()].filter(b => b.desired === 'running').map(b => b.uid);
+      fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+      fs.writeFileSync(stateFile + '.tmp', JSON.stringify({ running }, null, 2));
+      fs.renameSync(stateFile + '.tmp', stateFile);
+    } catch (e) {
+      console.error('Failed saving supervisor state:', e);
+    }
+  }
+
+  function setState(bot, state, reason) {
+    bot.state = state;
+    bot.stateReason = reason || null;
+    bot.stateChangedAt = Date.now();
+    onState(bot.uid, summary(bot));
+  }
+
+  function summary(bot) {
+    return {
+      uid: bot.uid,
+      state: bot.state,
+      reason: bot.stateReason,
+      pid: bot.child ? bot.child.pid : null,
+      restarts: bot.restarts,
+      loginFailures: bot.loginFailures,
+      startedAt: bot.startedAt,
+      lastHeartbeat: bot.lastHeartbeat,
+      lastExit: bot.lastExit,
+      nextRestartAt: bot.nextRestartAt,
+      session: bot.session || null
+    };
+  }
+
+  function spawn(bot) {
+    clearTimeout(bot.timer);
+    bot.timer = null;
+    bot.nextRestartAt = null;
+    bot.startedAt = Date.now();
+    bot.lastHeartbeat = Date.now();
+
+    const child = fork(botScript, [bot.uid], { silent: true });
+    bot.child = child;
+    bot.requester = createRequester(child);
+    setState(bot, 'starting');
+
+    pipeLines(bot.uid, child.stdout, 'info', 'stdout');
+    pipeLines(bot.uid, child.stderr, 'error', 'stderr');
+
+    // a replaced child's late messages must not touch the new one's state
+    child.on('message', (msg) => {
+      if (bot.child !== child || !msg || typeof msg !== 'object') return;
+      if (msg.type === MSG.HEARTBEAT) {
+        bot.lastHeartbeat = Date.now();
+        if (msg.payload && msg.payload.counters) bot.metrics = msg.payload;
+      } else if (msg.type === MSG.LOGGED_IN) {
+        bot.loginFailures = 0;
+        setState(bot, 'running');
+      } else if (msg.type === MSG.SESSION_HEALTH) {
+        bot.session = msg.payload;
+      }
+      if (msg.type !== MSG.REPLY && msg.type !== MSG.HEARTBEAT) onMessage(bot.uid, msg);
+    });
+
+    bot.onExit = (code, signal) => {
+      if (bot.child !== child) return;
+      bot.child = null;
+      bot.metrics = null;
+      bot.lastExit = { code, signal, at: Date.now() };
+      log(bot.uid, code ? 'error' : 'info', `🔴 Bot exited with code ${code}${signal ? ` (${signal})` : ''}`);
+
+      if (bot.desired !== 'running') return setState(bot, 'stopped');
+
+      if (code === EXIT.CONFIG_ERROR) {
+        return markFailed(bot, 'invalid appstate or admin config');
+      }
+      if (code === EXIT.SESSION_EXPIRED) {
+        return markFailed(bot, 'session expired or logged out, upload a fresh AppState');
+      }
+      if (code === EXIT.LOGIN_FAILED) {
+        bot.loginFailures++;
+        if (bot.loginFailures >= MAX_LOGIN_FAILURES) {
+          return markFailed(bot, `login failed ${bot.loginFailures} times in a row`);
+        }
+      }
+
+      // a child that ran for a while starts the backoff over
+      if (Date.now() - bot.startedAt > STABLE_AFTER_MS) bot.backoffStep = 0;
+      const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** bot.backoffStep);
+      bot.backoffStep++;
+      bot.restarts++;
+      bot.nextRestartAt = Date.now() + delay;
+      setState(bot, 'backoff', `restarting in ${Math.round(delay / 1000)}s`);
+      log(bot.uid, 'warn', `🔁 Restarting in ${Math.round(delay / 1000)}s (restart #${bot.restarts})`);
+      bot.timer = setTimeout(() => spawn(bot), delay);
+    };
+    child.on('exit', bot.onExit);
+  }
+
+  function markFailed(bot, reason) {
+    bot.desired = 'stopped';
+    saveDesired();
+    setState(bot, 'failed', reason);
+    log(bot.uid, 'error', `⛔ Bot marked failed: ${reason}. Fix it and start again from the panel.`);
+  }
+
+  function getBot(uid) {
+    uid = String(uid);
+    if (!bots.has(uid)) {
+      bots.set(uid, {
+        uid,
+        child: null,
+        desired: 'stopped',
+        state: 'stopped',
+        stateReason: null,
+        restarts: 0,
+        backoffStep: 0,
+        loginFailures: 0,
+        timer: null
+      });
+    }
+    return bots.get(uid);
+  }
+
+  // (Re)start a bot; resets failure counters because the owner asked for it
+  function start(uid) {
+    const bot = getBot(uid);
+    bot.desired = 'running';
+    bot.backoffStep = 0;
+    bot.loginFailures = 0;
+    bot.session = null;
+    clearTimeout(bot.timer);
+    saveDesired();
+    if (bot.child) {
+      const old = bot.child;
+      bot.child = null;
+      // only our own handler: the requester still has to fail the old child's pending requests
+      old.removeListener('exit', bot.onExit);
+      try { old.kill(); } catch (e) {}
+    }
+    spawn(bot);
+  }
+
+  // Graceful stop: the bot saves its AppState and exits; killed if it doesn't within the grace period
+  function stop(uid) {
+    const bot = bots.get(String(uid));
+    if (!bot || bot.desired !== 'running') return false;
+    bot.desired = 'stopped';
+    clearTimeout(bot.timer);
+    saveDesired();
+    if (!bot.child) {
+      setState(bot, 'stopped');
+      return true;
+    }
+    const child = bot.child;
+    setState(bot, 'stopping');
+    const force = setTimeout(() => {
+      try { child.kill('SIGKILL'); } catch (e) {}
+    }, SHUTDOWN_GRACE_MS);
+    child.once('exit', () => clearTimeout(force));
+    bot.requester.request(MSG.SHUTDOWN, {}, SHUTDOWN_GRACE_MS).catch(() => {
+      try { child.kill(); } catch (e) {}
+    });
+    return true;
+  }
+
+  function request(uid, type, payload, timeoutMs) {
+    const bot = bots.get(String(uid));
+    if (!bot || !bot.child) return Promise.reject(new Error('Bot not running'));
+    return bot.requester.request(type, payload, timeoutMs);
+  }
+
+  function isRunning(uid) {
+    const bot = bots.get(String(uid));
+    return !!bot && !!bot.child;
+  }
+
+  function get(uid) {
+    const bot = bots.get(String(uid));
+    return bot ? summary(bot) : { uid: String(uid), state: 'stopped', restarts: 0, loginFailures: 0 };
+  }
+
+  function list() {
+    return [...bots.values()].map(summary);
+  }
+
+  // list() plus each running child's latest heartbeat snapshot (lib/metrics.js)
+  function metrics() {
+    return [...bots.values()].map(bot => Object.assign(summary(bot), { metrics: bot.child ? bot.metrics || null : null }));
+  }
+
+  // Start every bot that was running before the server went down
+  function restore(exists = () => true) {
+    let saved = { running: [] };
+    try {
+      saved = JSON.parse(fs.readFileSync(stateFile, 'utf-8'));
+    } catch (e) { /* first boot */ }
+    const uids = (saved.running || []).filter(exists);
+    for (const uid of uids) start(uid);
+    return uids;
+  }
+
+  // Kill children that stopped sending heartbeats; exit handler schedules the restart
+  const watchdog = setInterval(() => {
+    for (const bot of bots.values()) {
+      if (!bot.child || Date.now() - bot.lastHeartbeat < HEARTBEAT_TIMEOUT_MS) continue;
+      log(bot.uid, 'error', `💔 No heartbeat for ${Math.round((Date.now() - bot.lastHeartbeat) / 1000)}s, killing bot`);
+      bot.lastHeartbeat = Date.now();
+      try { bot.child.kill('SIGKILL'); } catch (e) {}
+    }
+  }, HEARTBEAT_CHECK_MS);
+  watchdog.unref();
+
+  return { start, stop, request, get, list, metrics, isRunning, restore };
+}
+
+module.exports = { createSupervisor };
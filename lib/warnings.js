@@ -0,0 +1,71 @@
+const fs = require("fs");
+const { writeJsonAtomic } = require("./state");
+
+// Moderation warnings per thread and user, persisted to users/<uid>/warnings.json
+// so a restart doesn't wipe anyone's record. A warning counts while it is younger
+// than the thread's warningDecayHours (default WARNING_DECAY_HOURS, 24).
+
+const DECAY_HOURS = Number(process.env.WARNING_DECAY_HOURS || 24);
+
+function createWarningStore(opts = {}) {
+  const file = opts.file || null;
+  let data = {}; // threadID -> { uid -> [{ ts, reason }] }
+
+  if (file) {
+    try {
+      data = JSON.parse(fs.readFileSync(file, "utf-8")).threads || {};
+    } catch (e) { /* fresh store */ }
+  }
+
+  function save() {
+    if (!file) return;
+    try {
+      writeJsonAtomic(file, { threads: data });
+    } catch (e) {
+      if (opts.onError) opts.onError(e);
+    }
+  }
+
+  function decayMs(settings) {
+    return (settings && settings.warningDecayHours ? settings.warningDecayHours : DECAY_HOURS) * 3600 * 1000;
+  }
+
+  // active warnings, dropping decayed ones as a side effect
+  function active(threadID, uid, settings) {
+    const thread = data[threadID];
+    const list = ((thread && thread[uid]) || []).filter(w => Date.now() - w.ts < decayMs(settings));
+    if (list.length) thread[uid] = list;
+    else if (thread) {
+      delete thread[uid];
+      if (!Object.keys(thread).length) delete data[threadID];
+    }
+    return list;
+  }
+
+  return {
+    active,
+
+    // → number of active warnings including this one
+    add(threadID, uid, reason, settings) {
+      const list = active(threadID, uid, settings);
+      list.push({ ts: Date.now(), reason });
+      data[threadID] = data[threadID] || {};
+      data[threadID][uid] = list;
+      save();
+      return list.length;
+    },
+
+    // → how many warnings were cleared
+    clear(threadID, uid) {
+      const count = data[threadID] && data[threadID][uid] ? data[threadID][uid].length : 0;
+      if (count) {
+        delete data[threadID][uid];
+        if (!Object.keys(data[threadID]).length) delete data[threadID];
+        save();
+      }
+      return count;
+    }
+  };
+}
+
+module.exports = { createWarningStore, DECAY_HOURS };
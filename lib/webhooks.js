@@ -0,0 +1,344 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { writeJsonAtomic } = require('./state');
+
+// Outbound webhooks: bot activity and lifecycle events POSTed as JSON to the
+// owner's own endpoints. Per bot (users/<uid>/):
+//   webhooks.json            { hooks: [{ id, url, events, secret, enabled, createdAt }] }
+//   webhook-outbox.json      deliveries not yet accepted, kept across panel restarts
+//   webhook-deliveries.jsonl one line per attempt, trimmed like history.jsonl
+//
+// Every request carries
+//   X-Webhook-Event, X-Webhook-Delivery (stable across retries), X-Webhook-Timestamp (unix seconds)
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the hook's secret>
+// and a body of { id, event, uid, ts, data }. Anything but a 2xx answer is retried
+// with backoff until WEBHOOK_MAX_ATTEMPTS, then recorded as failed and dropped.
+//
+// Each hook delivers its events in order, one request at a time; up to
+// WEBHOOK_CONCURRENCY hooks (of any bot) are being delivered to at once, so a slow
+// endpoint only holds up its own queue. Outbox changes are written at most once per
+// OUTBOX_SAVE_MS per bot, and right away on stop().
+
+const EVENTS = ['message.received', 'command.executed', 'enforcement', 'member.left', 'bot.started', 'bot.stopped', 'bot.crashed'];
+const MAX_HOOKS = 10;
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 5000);
+const CONCURRENCY = Number(process.env.WEBHOOK_CONCURRENCY || 4);
+const OUTBOX_SAVE_MS = 1000;
+const RETRY_DELAYS_MS = [10, 30, 120, 600, 1800, 3600].map(s => s * 1000);
+const OUTBOX_MAX = 1000;
+const HISTORY_MAX = 500;
+
+function hooksFile(userDir) {
+  return path.join(userDir, 'webhooks.json');
+}
+
+function outboxFile(userDir) {
+  return path.join(userDir, 'webhook-outbox.json');
+}
+
+function deliveriesFile(userDir) {
+  return path.join(userDir, 'webhook-deliveries.jsonl');
+}
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function readWebhooks(userDir) {
+  const data = readJson(hooksFile(userDir), {});
+  return Array.isArray(data.hooks) ? data.hooks : [];
+}
+
+// Panel input → stored hook; `existing` keeps the id, secret and creation time on edits
+function sanitizeWebhook(input, existing) {
+  if (!input || typeof input !== 'object') throw new Error('Webhook must be an object');
+  const hook = Object.assign({ enabled: true, events: [] }, existing);
+
+  if (input.url !== undefined || !existing) {
+    let url;
+    try {
+      url = new URL(String(input.url || ''));
+    } catch (e) {
+      throw new Error('url must be an absolute http(s) URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('url must be an absolute http(s) URL');
+    hook.url = url.toString();
+  }
+  if (input.events !== undefined || !existing) {
+    if (!Array.isArray(input.events) || !input.events.length) throw new Error(`events must list at least one of: ${EVENTS.join(', ')}`);
+    const unknown = input.events.filter(e => !EVENTS.includes(e));
+    if (unknown.length) throw new Error(`Unknown event ${unknown.join(', ')} (use ${EVENTS.join(', ')})`);
+    hook.events = EVENTS.filter(e => input.events.includes(e));
+  }
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') throw new Error('enabled must be true or false');
+    hook.enabled = input.enabled;
+  }
+  if (!hook.id) hook.id = crypto.randomBytes(6).toString('hex');
+  if (!hook.secret || input.rotateSecret === true) hook.secret = crypto.randomBytes(24).toString('hex');
+  if (!hook.createdAt) hook.createdAt = new Date().toISOString();
+  return hook;
+}
+
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Resolves with the status code; rejects on network errors and timeouts
+function postJson(url, body, headers, timeoutMs = TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const req = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: Object.assign({ 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }, headers),
+      timeout: timeoutMs
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('timeout', () => req.destroy(new Error(`timed out after ${timeoutMs}ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function appendDelivery(userDir, entry) {
+  try {
+    const file = deliveriesFile(userDir);
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+    if (fs.statSync(file).size > HISTORY_MAX * 2 * 300) {
+      const keep = readDeliveries(userDir, { limit: HISTORY_MAX }).reverse();
+      fs.writeFileSync(file + '.tmp', keep.map(e => JSON.stringify(e)).join('\n') + '\n');
+      fs.renameSync(file + '.tmp', file);
+    }
+  } catch (e) {
+    console.error('Failed writing webhook deliveries:', e);
+  }
+}
+
+// Newest first, optionally for one hook
+function readDeliveries(userDir, { hookID, limit = 50 } = {}) {
+  let entries;
+  try {
+    entries = fs.readFileSync(deliveriesFile(userDir), 'utf-8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        try { return JSON.parse(line); } catch (e) { return null; }
+      })
+      .filter(Boolean);
+  } catch (e) {
+    return [];
+  }
+  if (hookID) entries = entries.filter(e => e.hookID === hookID);
+  return entries.slice(-limit).reverse();
+}
+
+// opts: { usersDir, post(url, body, headers), now(), retryDelaysMs, maxAttempts, concurrency }
+function createWebhookDispatcher(opts) {
+  const { usersDir } = opts;
+  const post = opts.post || postJson;
+  const now = opts.now || Date.now;
+  const retryDelays = opts.retryDelaysMs || RETRY_DELAYS_MS;
+  const maxAttempts = opts.maxAttempts || MAX_ATTEMPTS;
+  const concurrency = opts.concurrency || CONCURRENCY;
+  const hookCache = new Map();
+  const outboxes = new Map();
+  const lanes = new Map(); // "<uid>|<hookID>" -> promise of that hook's running deliveries
+  const unsaved = new Set(); // uids whose outbox changed since the last write
+  let timer = null;
+  let saveTimer = null;
+
+  const dirOf = (uid) => path.join(usersDir, String(uid));
+
+  function hooks(uid) {
+    uid = String(uid);
+    if (!hookCache.has(uid)) hookCache.set(uid, readWebhooks(dirOf(uid)));
+    return hookCache.get(uid);
+  }
+
+  function setHooks(uid, list) {
+    if (list.length > MAX_HOOKS) throw new Error(`At most ${MAX_HOOKS} webhooks per bot`);
+    writeJsonAtomic(hooksFile(dirOf(uid)), { hooks: list });
+    hookCache.set(String(uid), list);
+    return list;
+  }
+
+  function outbox(uid) {
+    uid = String(uid);
+    if (!outboxes.has(uid)) {
+      const data = readJson(outboxFile(dirOf(uid)), {});
+      outboxes.set(uid, Array.isArray(data.deliveries) ? data.deliveries : []);
+    }
+    return outboxes.get(uid);
+  }
+
+  function saveOutboxes() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    for (const uid of unsaved) {
+      try {
+        writeJsonAtomic(outboxFile(dirOf(uid)), { deliveries: outbox(uid) });
+      } catch (e) {
+        console.error('Failed saving webhook outbox:', e);
+      }
+    }
+    unsaved.clear();
+  }
+
+  function saveOutbox(uid) {
+    unsaved.add(String(uid));
+    if (saveTimer) return;
+    saveTimer = setTimeout(saveOutboxes, OUTBOX_SAVE_MS);
+    saveTimer.unref();
+  }
+
+  function enqueue(uid, hook, event, data) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const body = JSON.stringify({ id, event, uid: String(uid), ts: new Date(now()).toISOString(), data });
+    const list = outbox(uid);
+    list.push({ id, hookID: hook.id, event, body, attempts: 0, nextAttemptAt: now(), createdAt: now() });
+    // a dead endpoint must not grow the outbox forever: the oldest deliveries go first
+    while (list.length > OUTBOX_MAX) {
+      const dropped = list.shift();
+      appendDelivery(dirOf(uid), { at: new Date(now()).toISOString(), id: dropped.id, hookID: dropped.hookID, event: dropped.event, status: 'dropped', attempts: dropped.attempts, error: 'outbox full' });
+    }
+    return id;
+  }
+
+  // Queue `event` for every enabled hook of the bot that subscribed to it
+  function emit(uid, event, data = {}) {
+    if (!fs.existsSync(dirOf(uid))) return 0;
+    const targets = hooks(uid).filter(h => h.enabled && h.events.includes(event));
+    if (!targets.length) return 0;
+    for (const hook of targets) enqueue(uid, hook, event, data);
+    saveOutbox(uid);
+    schedule(0);
+    return targets.length;
+  }
+
+  // One ping to a single hook, whatever its event filter says
+  function test(uid, hookID) {
+    const hook = hooks(uid).find(h => h.id === hookID);
+    if (!hook) throw new Error('Unknown webhook');
+    const id = enqueue(uid, hook, 'ping', { message: 'Test delivery from the panel' });
+    saveOutbox(uid);
+    schedule(0);
+    return id;
+  }
+
+  async function attempt(uid, delivery) {
+    const hook = hooks(uid).find(h => h.id === delivery.hookID);
+    const entry = { id: delivery.id, hookID: delivery.hookID, event: delivery.event };
+    if (!hook || !hook.enabled) return Object.assign(entry, { status: 'cancelled', attempts: delivery.attempts, error: hook ? 'webhook disabled' : 'webhook deleted' });
+
+    const timestamp = Math.floor(now() / 1000);
+    const started = Date.now();
+    delivery.attempts++;
+    let status = null;
+    let error = null;
+    try {
+      status = await post(hook.url, delivery.body, {
+        'User-Agent': 'bot-panel-webhooks',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': sign(hook.secret, timestamp, delivery.body)
+      });
+      if (status < 200 || status >= 300) error = `HTTP ${status}`;
+    } catch (e) {
+      error = e.message || String(e);
+    }
+    Object.assign(entry, { url: hook.url, attempts: delivery.attempts, httpStatus: status, durationMs: Date.now() - started });
+    if (!error) return Object.assign(entry, { status: 'delivered' });
+    if (delivery.attempts >= maxAttempts) return Object.assign(entry, { status: 'failed', error });
+    delivery.nextAttemptAt = now() + retryDelays[Math.min(delivery.attempts - 1, retryDelays.length - 1)];
+    return Object.assign(entry, { status: 'retrying', error, nextAttemptAt: new Date(delivery.nextAttemptAt).toISOString() });
+  }
+
+  // One hook's due deliveries, oldest first; a failed one waits for its retry and
+  // doesn't hold up the ones behind it
+  async function drain(uid, hookID) {
+    const list = outbox(uid);
+    const tried = new Set();
+    for (;;) {
+      const delivery = list.find(d => d.hookID === hookID && d.nextAttemptAt <= now() && !tried.has(d));
+      if (!delivery) return;
+      tried.add(delivery);
+      const entry = await attempt(uid, delivery);
+      appendDelivery(dirOf(uid), Object.assign({ at: new Date(now()).toISOString() }, entry));
+      if (entry.status !== 'retrying') list.splice(list.indexOf(delivery), 1);
+      saveOutbox(uid);
+    }
+  }
+
+  // Start a lane for every hook with due deliveries, up to `concurrency` at once
+  function pump() {
+    for (const [uid, list] of outboxes) {
+      for (const delivery of list) {
+        const key = `${uid}|${delivery.hookID}`;
+        if (lanes.size >= concurrency) return;
+        if (lanes.has(key) || delivery.nextAttemptAt > now()) continue;
+        lanes.set(key, drain(uid, delivery.hookID)
+          .catch(e => console.error('Webhook delivery failed:', e))
+          .finally(() => {
+            lanes.delete(key);
+            pump();
+            schedule();
+          }));
+      }
+    }
+  }
+
+  // Resolves once every due delivery had its attempt
+  async function flush() {
+    pump();
+    while (lanes.size) {
+      await Promise.all(lanes.values());
+    }
+  }
+
+  // Wake up for the next due delivery (or right away)
+  function schedule(delayMs) {
+    if (delayMs === undefined) {
+      const next = Math.min(...[...outboxes.values()].flat().map(d => d.nextAttemptAt));
+      if (!Number.isFinite(next)) return;
+      delayMs = Math.max(0, next - now());
+    }
+    clearTimeout(timer);
+    timer = setTimeout(pump, Math.min(delayMs, 60 * 60 * 1000));
+    timer.unref();
+  }
+
+  // Pick up outboxes left by the previous panel run
+  function restore() {
+    let uids = [];
+    try {
+      uids = fs.readdirSync(usersDir).filter(uid => fs.existsSync(outboxFile(dirOf(uid))));
+    } catch (e) { /* no users yet */ }
+    for (const uid of uids) outbox(uid);
+    schedule();
+    return uids.filter(uid => outbox(uid).length);
+  }
+
+  function pending(uid) {
+    return outbox(uid).map(d => ({ id: d.id, hookID: d.hookID, event: d.event, attempts: d.attempts, nextAttemptAt: new Date(d.nextAttemptAt).toISOString() }));
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    saveOutboxes();
+  }
+
+  return { hooks, setHooks, emit, test, flush, restore, pending, stop };
+}
+
+module.exports = { createWebhookDispatcher, sanitizeWebhook, readDeliveries, sign, EVENTS };
@@ -0,0 +1,22 @@
+// Example plugin (see lib/plugins.js): /roll in threads that switch it on
+//   /plugin on dice · /plugin set dice sides 20
+module.exports = {
+  description: "Dice rolls",
+  settings: {
+    sides: { type: "number", default: 6, description: "Sides per die" }
+  },
+  commands: [{
+    name: "roll",
+    description: "Roll one or more dice",
+    args: [{ name: "count", type: "number", description: "How many dice (1-10)" }],
+    handler: async (ctx) => {
+      const count = ctx.args.count || 1;
+      const sides = Math.floor(ctx.config.sides);
+      if (count < 1 || count > 10) throw new ctx.UsageError("Roll between 1 and 10 dice");
+      if (sides < 2) throw new ctx.UsageError("The sides setting must be at least 2");
+      const rolls = Array.from({ length: count }, () => 1 + Math.floor(Math.random() * sides));
+      const total = count > 1 ? ` = ${rolls.reduce((a, b) => a + b, 0)}` : "";
+      return ctx.reply(`🎲 ${rolls.join(" + ")}${total} (d${sides})`);
+    }
+  }]
+};
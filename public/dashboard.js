@@ -0,0 +1,620 @@
+// Feature-control dashboard: live bot status, per-thread settings, enforcement
+// history, webhooks and reply templates. Uses api(), socket and adminInput from index.html.
+
+const botStatusDiv = document.getElementById('botStatus');
+const threadsDiv = document.getElementById('threads');
+const newThreadInput = document.getElementById('newThread');
+const webhooksDiv = document.getElementById('webhooks');
+const messagesDiv = document.getElementById('messages');
+
+let dash = { uid: null, status: null, threads: {}, history: {}, upcoming: [], plugins: [], languages: [] };
+
+const TOGGLES = [
+  ['gcAutoRemoveEnabled', '🧹 GC auto-remove'],
+  ['nickLockEnabled', '🔐 Nick lock'],
+  ['nickRemoveEnabled', '💥 Nick remove'],
+  ['antiOutEnabled', '🚨 Anti-out'],
+  ['unsendRepostEnabled', '🗑️ Unsend repost'],
+  ['moderationEnabled', '🛡️ Moderation']
+];
+
+function el(tag, props = {}, children = []) {
+  const node = Object.assign(document.createElement(tag), props);
+  for (const child of [].concat(children)) node.append(child);
+  return node;
+}
+
+function formatDuration(ms) {
+  const diff = Math.floor(ms / 1000);
+  return `${Math.floor(diff / 3600)}h ${Math.floor((diff % 3600) / 60)}m ${diff % 60}s`;
+}
+
+function botPath(suffix) {
+  return '/bots/' + encodeURIComponent(dash.uid) + suffix;
+}
+
+async function loadDashboard() {
+  const uid = adminInput.value.trim();
+  if (!uid || !token) return;
+  dash.uid = uid;
+
+  const res = await api(botPath('/status'));
+  if (!res.ok) {
+    botStatusDiv.textContent = '⚠️ ' + await res.text();
+    threadsDiv.textContent = '';
+    return;
+  }
+  dash.status = await res.json();
+
+  // live settings come from the bot; fall back to the saved file when it's stopped
+  if (dash.status.bot) {
+    dash.threads = dash.status.bot.threads || {};
+  } else {
+    const stateRes = await api(botPath('/state'));
+    dash.threads = stateRes.ok ? (await stateRes.json()).threads : {};
+  }
+
+  const histRes = await api(botPath('/history?limit=200'));
+  dash.history = {};
+  if (histRes.ok) {
+    for (const entry of await histRes.json()) {
+      (dash.history[entry.threadID] = dash.history[entry.threadID] || []).push(entry);
+    }
+  }
+  const schedRes = await api(botPath('/schedules?days=14'));
+  dash.upcoming = schedRes.ok ? (await schedRes.json()).upcoming : [];
+  // a running bot reports its plugins with their settings; a stopped one only by name
+  if (dash.status.bot) {
+    dash.plugins = dash.status.bot.plugins || [];
+  } else {
+    const pluginRes = await api(botPath('/plugins'));
+    dash.plugins = pluginRes.ok ? await pluginRes.json() : [];
+  }
+  const messagesRes = await api(botPath('/messages'));
+  const messages = messagesRes.ok ? await messagesRes.json() : null;
+  dash.languages = messages ? messages.languages : [];
+  renderStatus();
+  renderThreads();
+  loadWebhooks();
+  renderMessages(messages);
+}
+
+// Reply templates (lib/i18n.js): override any bundled template per language; empty = bundled text
+function renderMessages(data) {
+  messagesDiv.textContent = '';
+  if (!data) {
+    messagesDiv.textContent = '⚠️ Could not load the reply templates';
+    return;
+  }
+  const overrides = data.overrides;
+  const langSelect = el('select', {}, data.languages.map(l => el('option', { value: l.code, textContent: `${l.name} (${l.code})` })));
+  const filterInput = el('input', { placeholder: 'Filter keys or text', style: 'flex:3' });
+  const list = el('div');
+  const inputs = {};
+
+  const draw = () => {
+    const lang = langSelect.value;
+    const defaults = Object.assign({}, data.defaults.en, data.defaults[lang]);
+    const mine = overrides[lang] || {};
+    const filter = filterInput.value.trim().toLowerCase();
+    list.textContent = '';
+    for (const key of Object.keys(defaults).sort()) {
+      const text = mine[key] || '';
+      if (filter && !key.toLowerCase().includes(filter) && !defaults[key].toLowerCase().includes(filter) && !text.toLowerCase().includes(filter)) continue;
+      const input = inputs[lang + ' ' + key] || el('textarea', { rows: defaults[key].includes('\n') ? 3 : 1, value: text, placeholder: defaults[key] });
+      inputs[lang + ' ' + key] = input;
+      list.append(el('label', { textContent: `${key}${mine[key] ? ' ✏️' : ''}` }), input);
+    }
+    if (!list.childNodes.length) list.append(el('div', { className: 'stats', textContent: 'No matching templates' }));
+  };
+
+  const save = async () => {
+    const next = JSON.parse(JSON.stringify(overrides));
+    for (const [id, input] of Object.entries(inputs)) {
+      const [lang, key] = id.split(' ');
+      (next[lang] = next[lang] || {})[key] = input.value.trim() || null;
+    }
+    const res = await api(botPath('/messages'), {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ overrides: next })
+    });
+    if (!res.ok) return alert(await res.text());
+    const saved = await res.json();
+    renderMessages(Object.assign({}, data, saved));
+  };
+
+  langSelect.onchange = draw;
+  filterInput.oninput = draw;
+  messagesDiv.append(
+    el('div', { className: 'stats', textContent: 'Placeholders like {name} are filled in by the bot; only the ones in the bundled text are allowed.' }),
+    el('div', { className: 'row' }, [langSelect, filterInput, el('button', { textContent: 'Save templates', onclick: save })]),
+    list
+  );
+  draw();
+}
+
+// Outbound webhooks (lib/webhooks.js): endpoints with their event filter, plus recent deliveries
+async function loadWebhooks() {
+  const [hooksRes, deliveriesRes] = await Promise.all([api(botPath('/webhooks')), api(botPath('/webhooks/deliveries?limit=30'))]);
+  if (!hooksRes.ok) {
+    webhooksDiv.textContent = '⚠️ ' + await hooksRes.text();
+    return;
+  }
+  const { events, hooks, pending } = await hooksRes.json();
+  const deliveries = deliveriesRes.ok ? await deliveriesRes.json() : [];
+  const hookAction = async (url, method, body) => {
+    const res = await api(botPath('/webhooks' + url), {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    if (!res.ok) alert(await res.text());
+    loadWebhooks();
+  };
+
+  const urlInput = el('input', { placeholder: 'http://127.0.0.1:8080/hook', style: 'flex:3' });
+  const checks = events.map(e => el('input', { type: 'checkbox', value: e, checked: true }));
+  webhooksDiv.textContent = '';
+  webhooksDiv.append(
+    ...hooks.map(h => el('div', { className: 'thread-card' }, [
+      el('div', { className: 'stats', textContent: `${h.enabled ? '🟢' : '⚪'} ${h.url} — ${h.events.join(', ')}` }),
+      el('div', { className: 'stats', textContent: `Secret: ${h.secret} · ${pending.filter(p => p.hookID === h.id).length} waiting to retry` }),
+      el('div', { className: 'row' }, [
+        el('button', { className: h.enabled ? 'on' : '', textContent: h.enabled ? 'Enabled' : 'Disabled', onclick: () => hookAction('/' + h.id, 'PATCH', { enabled: !h.enabled }) }),
+        el('button', { textContent: 'Send test', onclick: () => hookAction('/' + h.id + '/test', 'POST') }),
+        el('button', { textContent: 'New secret', onclick: () => confirm('Receivers using the old secret will reject deliveries. Continue?') && hookAction('/' + h.id, 'PATCH', { rotateSecret: true }) }),
+        el('button', { textContent: 'Delete', onclick: () => confirm(`Delete the webhook to ${h.url}?`) && hookAction('/' + h.id, 'DELETE') })
+      ])
+    ])),
+    el('div', { className: 'row' }, [
+      urlInput,
+      el('button', {
+        textContent: 'Add webhook',
+        onclick: () => hookAction('', 'POST', { url: urlInput.value.trim(), events: checks.filter(c => c.checked).map(c => c.value) })
+      })
+    ]),
+    el('div', { className: 'row' }, checks.map(c => el('label', {}, [c, ' ' + c.value]))),
+    el('details', {}, [
+      el('summary', { textContent: `📨 Recent deliveries (${deliveries.length})` }),
+      el('ul', {}, deliveries.length ? deliveries.map(d => el('li', {
+        textContent: `${new Date(d.at).toLocaleString()} ${d.status === 'delivered' ? '✅' : d.status === 'retrying' ? '🔁' : '❌'} ${d.event} → ${d.url || d.hookID} ` +
+          `${d.status}${d.httpStatus ? ' (HTTP ' + d.httpStatus + ')' : ''}, attempt ${d.attempts}${d.error ? ' — ' + d.error : ''}`
+      })) : [el('li', { textContent: 'Nothing delivered yet' })])
+    ])
+  );
+}
+
+function renderStatus() {
+  const s = dash.status;
+  if (!s) return;
+  const bot = s.bot;
+  const login = bot ? (bot.loggedIn ? '🟢 logged in' : '🟡 logging in') : s.state === 'failed' ? '⛔ failed' : '🔴 offline';
+  const lines = [
+    `Bot ${s.uid}: ${login} — ${s.state}${s.reason ? ' (' + s.reason + ')' : ''}`,
+    `⏱ Uptime: ${bot && bot.loggedInAt ? formatDuration(Date.now() - bot.loggedInAt) : '—'}`,
+    `🔁 Restarts: ${s.restarts || 0}${bot ? ` · 🧠 ${Math.round(bot.memory / 1048576)} MB · client ${bot.client}` : ''}`
+  ];
+  if (bot && bot.queue) lines.push(queueLine(bot.queue));
+  if (bot && bot.messageCache) lines.push(`💬 Message cache: ${bot.messageCache.size}/${bot.messageCache.maxEntries}${bot.messageCache.persisted ? ' (saved to disk)' : ''}`);
+  if (bot && bot.schedules) lines.push(`📅 Scheduled: ${bot.schedules.jobs}${bot.schedules.nextRunAt ? `, next ${new Date(bot.schedules.nextRunAt).toLocaleString()}` : ''}`);
+  const session = (bot && bot.session) || s.session;
+  if (session) lines.push(sessionLine(session));
+  botStatusDiv.textContent = '';
+  lines.forEach((line, i) => {
+    if (i) botStatusDiv.append(el('br'));
+    botStatusDiv.append(line);
+  });
+  if (dash.plugins.length) botStatusDiv.append(el('div', { className: 'row' }, ['🧩 Plugins:', ...dash.plugins.map(pluginButton)]));
+}
+
+// bot-wide plugin switch (lib/plugins.js); switching on also lifts a suspension
+function pluginButton(p) {
+  const note = p.loadError ? ' ⚠️ failed to load' : p.suspended ? ' ⛔ suspended' : '';
+  return el('button', {
+    className: p.enabled ? 'on' : '',
+    title: p.loadError || (p.lastError ? `Last error: ${p.lastError.what}: ${p.lastError.message}` : p.description || ''),
+    textContent: `${p.name}: ${p.enabled ? 'ON' : 'OFF'}${note}`,
+    onclick: async () => {
+      const res = await api(botPath('/plugins/' + encodeURIComponent(p.name)), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled: !p.enabled || !!p.suspended })
+      });
+      if (!res.ok) return alert(await res.text());
+      loadDashboard();
+    }
+  });
+}
+
+// session health from the bot's periodic AppState check (see lib/appstate.js)
+function sessionLine(session) {
+  const icon = { ok: '🔑', expiring: '⏳', loggedOut: '🔒', invalid: '❌' }[session.status] || '🔑';
+  const expires = session.expiresAt ? ` · expires ${new Date(session.expiresAt).toLocaleString()}` : '';
+  const problems = session.problems && session.problems.length ? ' — ' + session.problems.join('; ') : '';
+  return `${icon} Session: ${session.status}${expires}${problems}`;
+}
+
+function queueLine(q) {
+  const dropped = Object.entries(q.dropped).map(([reason, n]) => `${reason} ${n}`).join(', ');
+  const storms = q.storms.length ? ` · ⚠️ ${q.storms.length} paused (revert storm)` : '';
+  return `📤 Queue: ${q.depth} waiting · ${q.processed} sent · dropped: ${dropped || 'none'}${storms}`;
+}
+
+async function updateThread(threadID, patch) {
+  const res = await api(botPath('/threads/' + encodeURIComponent(threadID)), {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(patch)
+  });
+  if (!res.ok) return alert(await res.text());
+  const settings = await res.json();
+  applyThreadSettings(threadID, settings);
+}
+
+function applyThreadSettings(threadID, settings) {
+  const managed = TOGGLES.some(([key]) => settings[key]) || settings.lockedGroupName || Object.keys(settings.roles || {}).length || settings.prefix ||
+    settings.welcomeMessage || settings.farewellMessage || settings.rulesMessage || (settings.autoReplies || []).length ||
+    Object.keys(settings.plugins || {}).length || settings.language;
+  if (managed) dash.threads[threadID] = settings;
+  else delete dash.threads[threadID];
+  renderThreads();
+}
+
+function historyLine(entry) {
+  const when = new Date(entry.ts).toLocaleString();
+  const what = {
+    gcLock: `name reverted "${entry.from}" → "${entry.to}"`,
+    gcRemove: `name "${entry.from}" removed`,
+    nickLock: `nick of ${entry.target} reverted to "${entry.to}"`,
+    nickRemove: `nick of ${entry.target} removed`,
+    antiOut: `${entry.target} added back${entry.by ? ` (kicked by ${entry.by})` : ''}`,
+    moderation: `${entry.step} for ${entry.target}: ${entry.reason} (${entry.warnings} warnings)`,
+    storm: `⚠️ ${entry.action}${entry.target ? ' on ' + entry.target : ''} paused for ${Math.round(entry.pausedForMs / 60000)}m after ${entry.count} reverts`
+  }[entry.kind] || entry.kind;
+  return `${when} — ${what}`;
+}
+
+// one-line summary of an auto-reply trigger (see lib/auto-reply.js)
+function triggerLine(r) {
+  const parts = [`#${r.id} ${r.match} "${r.pattern}"`];
+  if (r.replies && r.replies.length) parts.push('→ ' + r.replies.join(' | '));
+  if (r.reaction) parts.push(r.reaction);
+  if (r.attachment) parts.push('📎 ' + r.attachment);
+  if (r.cooldownSec) parts.push(`⏱️ ${r.cooldownSec}s`);
+  if (r.role) parts.push(`🔑 ${r.role}+`);
+  return parts.join(' ');
+}
+
+function renderAutoReplies(threadID, t) {
+  const list = t.autoReplies || [];
+  const matchSelect = el('select', {}, ['contains', 'exact', 'regex'].map(m => el('option', { value: m, textContent: m })));
+  const patternInput = el('input', { placeholder: 'Trigger text or regex' });
+  const repliesInput = el('textarea', { rows: 2, placeholder: 'Replies, one per line (one is picked at random)' });
+  const reactionInput = el('input', { placeholder: 'Reaction emoji' });
+  const fileInput = el('input', { placeholder: 'File in users/<uid>/media' });
+  const cooldownInput = el('input', { type: 'number', min: 0, max: 86400, placeholder: 'Cooldown (s)' });
+  const roleSelect = el('select', {}, [
+    el('option', { value: '', textContent: 'Anyone' }),
+    ...['moderator', 'coadmin', 'owner'].map(r => el('option', { value: r, textContent: `${r}+` }))
+  ]);
+
+  return el('details', {}, [
+    el('summary', { textContent: `💬 Auto-replies (${list.length})` }),
+    el('ul', {}, list.length ? list.map(r => el('li', {}, [
+      triggerLine(r) + ' ',
+      el('button', { textContent: 'Delete', onclick: () => updateThread(threadID, { autoReplies: list.filter(x => x.id !== r.id) }) })
+    ])) : [el('li', { textContent: 'None yet' })]),
+    el('div', { className: 'row' }, [matchSelect, patternInput, reactionInput, fileInput, cooldownInput, roleSelect]),
+    repliesInput,
+    el('button', {
+      textContent: 'Add auto-reply',
+      onclick: () => updateThread(threadID, {
+        autoReplies: list.concat({
+          match: matchSelect.value,
+          pattern: patternInput.value.trim(),
+          replies: repliesInput.value.split('\n').map(r => r.trim()).filter(Boolean),
+          reaction: reactionInput.value.trim() || null,
+          attachment: fileInput.value.trim() || null,
+          cooldownSec: cooldownInput.value === '' ? null : Number(cooldownInput.value),
+          role: roleSelect.value || null
+        })
+      })
+    })
+  ]);
+}
+
+// Per-thread plugin switches and settings; settings need the bot running to know their types
+function renderPlugins(threadID, t) {
+  const saved = t.plugins || {};
+  const on = dash.plugins.filter(p => saved[p.name] && saved[p.name].enabled).length;
+  return el('details', {}, [
+    el('summary', { textContent: `🧩 Plugins (${on} on)` }),
+    dash.plugins.length ? el('div', {}, dash.plugins.filter(p => !p.loadError).map(p => {
+      const conf = saved[p.name] || {};
+      const inputs = Object.entries(p.settings || {}).map(([key, spec]) => {
+        const input = spec.type === 'boolean'
+          ? el('select', {}, ['', 'true', 'false'].map(v => el('option', { value: v, textContent: v || `${key} (default ${spec.default})`, selected: String(conf[key] ?? '') === v })))
+          : el('input', { type: spec.type === 'number' ? 'number' : 'text', value: conf[key] ?? '', placeholder: `${key} (${spec.default ?? 'none'})`, title: spec.description });
+        return [key, spec, input];
+      });
+      return el('div', { className: 'row' }, [
+        el('button', {
+          className: conf.enabled ? 'on' : '',
+          title: p.description || '',
+          textContent: `${p.name}: ${conf.enabled ? 'ON' : 'OFF'}${p.enabled ? '' : ' (off for this bot)'}`,
+          onclick: () => updateThread(threadID, { plugins: { [p.name]: { enabled: !conf.enabled } } })
+        }),
+        ...inputs.map(([, , input]) => input),
+        inputs.length ? el('button', {
+          textContent: 'Save',
+          onclick: () => {
+            const patch = {};
+            for (const [key, spec, input] of inputs) {
+              const v = input.value;
+              patch[key] = v === '' ? null : spec.type === 'number' ? Number(v) : spec.type === 'boolean' ? v === 'true' : v;
+            }
+            updateThread(threadID, { plugins: { [p.name]: patch } });
+          }
+        }) : ''
+      ]);
+    })) : el('div', { className: 'stats', textContent: 'No plugins installed in plugins/' })
+  ]);
+}
+
+// Upcoming scheduled messages for a thread, grouped by day (times in the job's timezone)
+function renderUpcoming(threadID) {
+  const items = dash.upcoming.filter(u => u.threadID === threadID);
+  const days = new Map();
+  for (const u of items) {
+    const day = new Date(u.at).toLocaleDateString(undefined, { timeZone: u.tz, weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+    if (!days.has(day)) days.set(day, []);
+    days.get(day).push(u);
+  }
+  return el('details', {}, [
+    el('summary', { textContent: `📅 Upcoming messages, next 14 days (${items.length})` }),
+    items.length ? el('div', {}, [...days].map(([day, list]) => el('div', {}, [
+      el('strong', { textContent: day }),
+      el('ul', {}, list.map(u => el('li', {
+        textContent: `${new Date(u.at).toLocaleTimeString(undefined, { timeZone: u.tz, hour: '2-digit', minute: '2-digit' })} (${u.tz}) ${u.cron ? '🔁' : ''} #${u.id} — ${u.message}`
+      })))
+    ]))) : el('div', { className: 'stats', textContent: 'Nothing scheduled — use /schedule add in the group' })
+  ]);
+}
+
+// Simple bar chart: [{ label, value }] → flex row of bars scaled to the largest value
+function barChart(title, items) {
+  const max = Math.max(1, ...items.map(i => i.value));
+  return el('div', {}, [
+    el('div', { className: 'stats', textContent: title }),
+    el('div', { className: 'bars' }, items.map(i => el('div', {
+      className: 'bar',
+      title: `${i.label}: ${i.value}`,
+      style: `height:${Math.round((i.value / max) * 100)}%`
+    })))
+  ]);
+}
+
+// Save an authenticated export (api() adds the session token, so plain links won't do)
+async function download(url, filename) {
+  const res = await api(url);
+  if (!res.ok) return alert(await res.text());
+  const link = el('a', { href: URL.createObjectURL(await res.blob()), download: filename });
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// Activity charts (lib/analytics.js), loaded when the section is opened
+function renderActivity(threadID) {
+  const body = el('div', { className: 'stats', textContent: 'Loading…' });
+  const query = '?threadID=' + encodeURIComponent(threadID);
+  const section = el('details', {}, [el('summary', { textContent: '📊 Activity (last 14 days)' }), body]);
+  section.addEventListener('toggle', async () => {
+    if (!section.open) return;
+    const res = await api(botPath('/stats' + query + '&days=14'));
+    if (!res.ok) {
+      body.textContent = '⚠️ ' + await res.text();
+      return;
+    }
+    const r = await res.json();
+    const enforcement = Object.entries(r.enforcement).map(([kind, n]) => `${kind} ${n}`).join(', ');
+    body.replaceWith(el('div', {}, [
+      el('div', { className: 'stats', textContent: `${r.messages} messages from ${r.activeMembers} members · ${r.joins} joins · ${r.leaves + r.removals} left · ${r.renames} renames · enforcement: ${enforcement || 'none'}` }),
+      barChart('Messages per day', r.daily.map(d => ({ label: d.date, value: d.messages }))),
+      barChart('Active hours', r.hours.map((n, h) => ({ label: `${h}:00`, value: n }))),
+      el('ul', {}, r.top.slice(0, 10).map(m => el('li', { textContent: `${m.uid} — ${m.messages}` }))),
+      el('div', { className: 'row' }, [
+        el('button', { textContent: 'CSV (daily)', onclick: () => download(botPath('/stats/export' + query + '&format=csv'), `stats-${threadID}-daily.csv`) }),
+        el('button', { textContent: 'CSV (members)', onclick: () => download(botPath('/stats/export' + query + '&format=csv&type=members'), `stats-${threadID}-members.csv`) }),
+        el('button', { textContent: 'JSON', onclick: () => download(botPath('/stats/export' + query), `stats-${threadID}.json`) })
+      ])
+    ]));
+  });
+  return section;
+}
+
+function renderThread(threadID, t) {
+  const nameInput = el('input', { value: t.lockedGroupName || '', placeholder: 'Locked group name' });
+  const nickInput = el('input', { value: t.lockedNick || '', placeholder: 'Locked nickname' });
+  const antiExemptInput = el('input', { value: (t.antiOutExempt || []).join(', '), placeholder: 'Exempt UIDs (comma separated)' });
+  const antiLimitInput = el('input', { type: 'number', min: 1, max: 50, value: t.antiOutMaxPerDay || '', placeholder: 'Re-adds/day' });
+  const destSelect = el('select', {}, [
+    el('option', { value: 'thread', textContent: 'Repost in thread', selected: t.unsendDestination !== 'admin' }),
+    el('option', { value: 'admin', textContent: 'DM the bot owner', selected: t.unsendDestination === 'admin' })
+  ]);
+  const exemptInput = el('input', { value: (t.unsendExempt || []).join(', '), placeholder: 'Exempt UIDs (comma separated)' });
+  const retentionInput = el('input', { type: 'number', min: 1, max: 1440, value: t.unsendRetentionMin || '', placeholder: 'Keep (min)' });
+  const bannedInput = el('textarea', { rows: 2, value: (t.bannedWords || []).join('\n'), placeholder: 'Banned words, one per line (/regex/ for patterns)' });
+  const floodInput = el('input', { type: 'number', min: 0, max: 100, value: t.floodMessages ?? '', placeholder: 'Flood: messages (6)' });
+  const floodWindowInput = el('input', { type: 'number', min: 1, max: 3600, value: t.floodWindowSec ?? '', placeholder: 'in seconds (10)' });
+  const repeatInput = el('input', { type: 'number', min: 0, max: 50, value: t.repeatLimit ?? '', placeholder: 'Repeats (3)' });
+  const stepsInput = el('input', { value: (t.moderationSteps || []).join(', '), placeholder: 'Steps: warn, warn, notice, remove' });
+  const decayInput = el('input', { type: 'number', min: 1, max: 720, value: t.warningDecayHours || '', placeholder: 'Warnings last (h)' });
+  const welcomeInput = el('textarea', { rows: 2, value: t.welcomeMessage || '', placeholder: 'Welcome message — {name}, {group}, {count}' });
+  const farewellInput = el('textarea', { rows: 2, value: t.farewellMessage || '', placeholder: 'Farewell message — {name}, {group}, {count}' });
+  const rulesInput = el('textarea', { rows: 2, value: t.rulesMessage || '', placeholder: 'Rules sent to new members after the welcome' });
+  const cooldownInput = el('input', { type: 'number', min: 0, max: 3600, value: t.greetingCooldownSec ?? '', placeholder: 'Batch joins for (s)' });
+  const languageSelect = el('select', { onchange: () => updateThread(threadID, { language: languageSelect.value || null }) }, [
+    el('option', { value: '', textContent: 'Bot default language', selected: !t.language }),
+    ...dash.languages.map(l => el('option', { value: l.code, textContent: `${l.name} (${l.code})`, selected: t.language === l.code }))
+  ]);
+
+  const toggles = TOGGLES.map(([key, label]) => el('button', {
+    className: t[key] ? 'on' : '',
+    textContent: `${label}: ${t[key] ? 'ON' : 'OFF'}`,
+    onclick: () => {
+      if (key === 'nickLockEnabled' && !t[key] && !nickInput.value.trim()) return alert('Enter a nickname to lock first');
+      const patch = { [key]: !t[key] };
+      if (key === 'nickLockEnabled') patch.lockedNick = patch[key] ? nickInput.value.trim() : null;
+      if (key === 'gcAutoRemoveEnabled' && patch[key]) patch.lockedGroupName = null;
+      updateThread(threadID, patch);
+    }
+  }));
+
+  const history = dash.history[threadID] || [];
+  return el('div', { className: 'thread-card' }, [
+    el('strong', { textContent: `🧵 Thread ${threadID}` }),
+    el('label', { textContent: 'Reply language' }),
+    languageSelect,
+    el('label', { textContent: 'Group name lock' }),
+    el('div', { className: 'row' }, [
+      nameInput,
+      el('button', {
+        textContent: 'Lock',
+        onclick: () => nameInput.value.trim()
+          ? updateThread(threadID, { lockedGroupName: nameInput.value.trim(), gcAutoRemoveEnabled: false })
+          : alert('Enter a group name')
+      }),
+      el('button', { textContent: 'Unlock', onclick: () => updateThread(threadID, { lockedGroupName: null }) })
+    ]),
+    el('label', { textContent: 'Nickname lock' }),
+    el('div', { className: 'row' }, [
+      nickInput,
+      el('button', {
+        textContent: 'Save nick',
+        onclick: () => nickInput.value.trim()
+          ? updateThread(threadID, { lockedNick: nickInput.value.trim(), nickLockEnabled: true })
+          : alert('Enter a nickname')
+      })
+    ]),
+    el('label', { textContent: 'Anti-out (only kicks by non-admins are undone)' }),
+    el('div', { className: 'row' }, [
+      antiExemptInput,
+      antiLimitInput,
+      el('button', {
+        textContent: 'Save',
+        onclick: () => updateThread(threadID, {
+          antiOutExempt: antiExemptInput.value.split(/[\s,]+/).filter(Boolean),
+          antiOutMaxPerDay: antiLimitInput.value ? Number(antiLimitInput.value) : null
+        })
+      })
+    ]),
+    el('label', { textContent: 'Deleted messages' }),
+    el('div', { className: 'row' }, [
+      destSelect,
+      exemptInput,
+      retentionInput,
+      el('button', {
+        textContent: 'Save',
+        onclick: () => updateThread(threadID, {
+          unsendDestination: destSelect.value,
+          unsendExempt: exemptInput.value.split(/[\s,]+/).filter(Boolean),
+          unsendRetentionMin: retentionInput.value ? Number(retentionInput.value) : null
+        })
+      })
+    ]),
+    el('label', { textContent: 'Moderation (empty = default; flood / repeats 0 = off)' }),
+    bannedInput,
+    el('div', { className: 'row' }, [
+      floodInput,
+      floodWindowInput,
+      repeatInput,
+      stepsInput,
+      decayInput,
+      el('button', {
+        textContent: 'Save',
+        onclick: () => {
+          const num = (input) => (input.value === '' ? null : Number(input.value));
+          const steps = stepsInput.value.split(/[\s,]+/).filter(Boolean);
+          updateThread(threadID, {
+            bannedWords: bannedInput.value.split('\n').map(w => w.trim()).filter(Boolean),
+            floodMessages: num(floodInput),
+            floodWindowSec: num(floodWindowInput),
+            repeatLimit: num(repeatInput),
+            moderationSteps: steps.length ? steps : null,
+            warningDecayHours: num(decayInput)
+          });
+        }
+      })
+    ]),
+    el('label', { textContent: 'Welcome / farewell / rules (empty = off)' }),
+    welcomeInput,
+    farewellInput,
+    rulesInput,
+    el('div', { className: 'row' }, [
+      cooldownInput,
+      el('button', {
+        textContent: 'Save',
+        onclick: () => updateThread(threadID, {
+          welcomeMessage: welcomeInput.value.trim() || null,
+          farewellMessage: farewellInput.value.trim() || null,
+          rulesMessage: rulesInput.value.trim() || null,
+          greetingCooldownSec: cooldownInput.value === '' ? null : Number(cooldownInput.value)
+        })
+      })
+    ]),
+    renderAutoReplies(threadID, t),
+    renderPlugins(threadID, t),
+    renderUpcoming(threadID),
+    renderActivity(threadID),
+    el('div', { className: 'row' }, toggles),
+    el('details', {}, [
+      el('summary', { textContent: `📜 Enforcement history (${history.length})` }),
+      el('ul', {}, history.length ? history.map(e => el('li', { textContent: historyLine(e) })) : [el('li', { textContent: 'Nothing yet' })])
+    ])
+  ]);
+}
+
+function renderThreads() {
+  threadsDiv.textContent = '';
+  const ids = Object.keys(dash.threads);
+  if (!ids.length) {
+    threadsDiv.append(el('div', { className: 'stats', textContent: 'No managed threads yet — add one above or use chat commands' }));
+    return;
+  }
+  for (const id of ids) threadsDiv.append(renderThread(id, dash.threads[id]));
+}
+
+// Socket.IO events from the bot (see lib/ipc.js)
+function onBotEvent(msg) {
+  if (!msg || !msg.payload || !dash.uid) return;
+  if (msg.type === 'thread:updated') {
+    applyThreadSettings(msg.payload.threadID, msg.payload.settings);
+  } else if (msg.type === 'protection' || msg.type === 'action:storm') {
+    const list = dash.history[msg.payload.threadID] = dash.history[msg.payload.threadID] || [];
+    list.unshift(msg.payload);
+    renderThreads();
+  } else if (msg.type === 'session:health') {
+    if (dash.status) {
+      dash.status.session = msg.payload;
+      if (dash.status.bot) dash.status.bot.session = msg.payload;
+    }
+    renderStatus();
+  } else if (msg.type === 'loggedIn' || msg.type === 'started') {
+    loadDashboard();
+  }
+}
+
+document.getElementById('addThread').onclick = () => {
+  const threadID = newThreadInput.value.trim();
+  if (!dash.uid) return alert('Select a bot first');
+  if (!/^[\w.-]+$/.test(threadID)) return alert('Enter a thread ID (use /uid in the group to find it)');
+  if (!dash.threads[threadID]) dash.threads[threadID] = { roles: {} };
+  newThreadInput.value = '';
+  renderThreads();
+};
+
+// keep the uptime line ticking without asking the server
+setInterval(() => {
+  if (dash.status && dash.status.bot) renderStatus();
+}, 1000);
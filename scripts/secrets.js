@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const { createSecretStore, addKeyfileKey } = require('../lib/secret-store');
+
+// Usage:
+//   node scripts/secrets.js migrate   → encrypt every plaintext users/<uid>/appstate.json
+//   node scripts/secrets.js rotate    → re-encrypt every file with the current key
+//                                       (adds a new keyfile key first unless APPSTATE_KEY is set)
+
+const USERS_DIR = path.join(__dirname, '..', 'users');
+
+function appStateFiles() {
+  if (!fs.existsSync(USERS_DIR)) return [];
+  return fs.readdirSync(USERS_DIR)
+    .map(uid => path.join(USERS_DIR, uid, 'appstate.json'))
+    .filter(file => fs.existsSync(file));
+}
+
+function run(cmd) {
+  if (cmd === 'rotate' && !process.env.APPSTATE_KEY) {
+    console.log(`🔑 New key ${addKeyfileKey()} added to keyfile`);
+  }
+
+  const store = createSecretStore();
+  if (store.backend === 'plain') {
+    console.error('❌ SECRET_STORE=plain, nothing to encrypt');
+    process.exit(1);
+  }
+
+  let done = 0;
+  let failed = 0;
+  for (const file of appStateFiles()) {
+    const rel = path.relative(USERS_DIR, file);
+    if (cmd === 'migrate' && store.isEncrypted(file)) continue;
+    try {
+      store.write(file, store.read(file));
+      done++;
+      console.log(`🔒 ${rel}`);
+    } catch (e) {
+      failed++;
+      console.error(`❌ ${rel}: ${e.message}`);
+    }
+  }
+  console.log(`✅ ${cmd}: ${done} file(s) written, ${failed} failed`);
+  if (failed) process.exit(1);
+}
+
+const cmd = process.argv[2];
+if (!['migrate', 'rotate'].includes(cmd)) {
+  console.error('Usage: node scripts/secrets.js <migrate|rotate>');
+  process.exit(1);
+}
+run(cmd);
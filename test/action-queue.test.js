@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.ACTION_STORM_THRESHOLD = '3';
+const { createActionQueue, ActionDroppedError } = require('../lib/action-queue');
+
+const MIN = 60 * 1000;
+const fast = { globalPerMin: 6000, threadPerMin: 6000 };
+
+test('a call that never settles times out and the queue keeps going', async () => {
+  const queue = createActionQueue(Object.assign({ timeoutMs: 50 }, fast));
+  const hung = queue.run(() => new Promise(() => {}), { threadID: 't1', kind: 'setTitle' });
+  const next = queue.run(() => 'sent', { threadID: 't2', kind: 'message' });
+  await assert.rejects(hung, /setTitle timed out after 0.05s/);
+  assert.strictEqual(await next, 'sent');
+  assert.deepStrictEqual([queue.stats().timedOut, queue.stats().failed, queue.stats().processed], [1, 1, 1]);
+  queue.stop();
+});
+
+test('revert storms pause the target with a doubling backoff that resets once calm', async (t) => {
+  let now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+  const storms = [];
+  const queue = createActionQueue(Object.assign({ onStorm: (info) => storms.push(info) }, fast));
+  const revert = () => queue.run(() => 'reverted', { threadID: 't1', kind: 'nickLock', target: '100002', revert: true });
+  const dropped = (reason) => (e) => e instanceof ActionDroppedError && e.reason === reason;
+
+  assert.strictEqual(await revert(), 'reverted');
+  assert.strictEqual(await revert(), 'reverted');
+  await assert.rejects(revert(), dropped('storm'));
+  assert.strictEqual(storms.length, 1);
+  assert.strictEqual(storms[0].pausedForMs, 2 * MIN);
+  assert.strictEqual(storms[0].count, 3);
+  assert.deepStrictEqual(queue.stats().storms.map(s => [s.kind, s.target]), [['nickLock', '100002']]);
+
+  // other targets and non-revert calls are not affected; the paused one stays quiet
+  assert.strictEqual(await queue.run(() => 'ok', { threadID: 't1', kind: 'nickLock', target: '100003', revert: true }), 'ok');
+  assert.strictEqual(await queue.run(() => 'ok', { threadID: 't1', kind: 'message' }), 'ok');
+  now += MIN;
+  await assert.rejects(revert(), dropped('storm'));
+  assert.strictEqual(storms.length, 1);
+
+  // straight back after the pause: twice as long
+  now += MIN + 1000;
+  await revert();
+  await revert();
+  await assert.rejects(revert(), dropped('storm'));
+  assert.strictEqual(storms[1].pausedForMs, 4 * MIN);
+
+  // calm for a while: back to the first pause length
+  now += 4 * MIN + 2 * MIN;
+  await revert();
+  await revert();
+  await assert.rejects(revert(), dropped('storm'));
+  assert.strictEqual(storms[2].pausedForMs, 2 * MIN);
+  queue.stop();
+});
+
+test('a newer revert of the same target supersedes the queued one', async () => {
+  const queue = createActionQueue(fast);
+  const ran = [];
+  const busy = queue.run(() => new Promise(resolve => setTimeout(resolve, 20)), { threadID: 't1', kind: 'message' });
+  const older = queue.run(() => ran.push('older'), { threadID: 't1', kind: 'gcLock', revert: true });
+  const newer = queue.run(() => ran.push('newer'), { threadID: 't1', kind: 'gcLock', revert: true });
+  await assert.rejects(older, (e) => e instanceof ActionDroppedError && e.reason === 'superseded');
+  await Promise.all([busy, newer]);
+  assert.deepStrictEqual(ran, ['newer']);
+  queue.stop();
+});
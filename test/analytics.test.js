@@ -0,0 +1,58 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createAnalytics, summarize, toCSV } = require('../lib/analytics');
+
+const NOW = Date.UTC(2026, 9, 18, 12, 0);
+
+function message(threadID, senderID, ts, body = 'secret words') {
+  return { type: 'message', threadID, senderID, ts, body };
+}
+
+test('counts messages per member, hours and membership events without storing bodies', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bot-analytics-')), 'analytics.json');
+  const analytics = createAnalytics({ file });
+  analytics.track(message('t1', '1', NOW), 'UTC');
+  analytics.track(message('t1', '1', NOW + 60 * 1000), 'UTC');
+  analytics.track(message('t1', '2', NOW - 24 * 60 * 60 * 1000), 'UTC');
+  analytics.track({ type: 'added', threadID: 't1', targetIDs: ['3', '4'], ts: NOW }, 'UTC');
+  analytics.track({ type: 'removed', threadID: 't1', targetID: '4', ts: NOW }, 'UTC');
+  analytics.trackEnforcement('t1', 'gcLock', 'UTC');
+  analytics.stop();
+
+  const saved = fs.readFileSync(file, 'utf-8');
+  assert.ok(!saved.includes('secret words'));
+  fs.rmSync(path.dirname(file), { recursive: true, force: true });
+
+  const day = JSON.parse(saved).threads.t1['2026-10-18'];
+  assert.strictEqual(day.messages, 2);
+  assert.deepStrictEqual(day.members, { 1: 2 });
+  assert.strictEqual(day.hours[12], 2);
+  assert.strictEqual(day.joins, 2);
+  assert.strictEqual(day.removals, 1);
+});
+
+test('summaries cover the last N days in the thread timezone', () => {
+  const analytics = createAnalytics();
+  analytics.track(message('t1', '1', NOW), 'Asia/Manila');
+  analytics.track(message('t1', '2', NOW - 3 * 24 * 60 * 60 * 1000), 'Asia/Manila');
+  analytics.stop();
+
+  const week = analytics.summary('t1', { days: 7, tz: 'Asia/Manila', now: NOW });
+  assert.strictEqual(week.messages, 2);
+  assert.deepStrictEqual(week.top, [{ uid: '1', messages: 1 }, { uid: '2', messages: 1 }]);
+  assert.strictEqual(week.hours[20], 2); // 12:00 UTC is 20:00 in Manila
+  assert.strictEqual(week.daily.length, 7);
+  assert.strictEqual(analytics.summary('t1', { days: 1, tz: 'Asia/Manila', now: NOW }).messages, 1);
+  assert.strictEqual(summarize(undefined, { days: 3, now: NOW }).messages, 0);
+});
+
+test('CSV export has daily and per-member rows', () => {
+  const threads = {
+    t1: { '2026-10-18': { messages: 3, members: { 1: 2, 2: 1 }, hours: [], joins: 1, leaves: 0, removals: 0, renames: 2, nicknames: 0, enforcement: { gcLock: 2 } } }
+  };
+  assert.strictEqual(toCSV(threads), 'date,threadID,messages,activeMembers,joins,leaves,removals,renames,nicknames,enforcement\n2026-10-18,t1,3,2,1,0,0,2,0,2\n');
+  assert.strictEqual(toCSV(threads, 'members'), 'date,threadID,uid,messages\n2026-10-18,t1,1,2\n2026-10-18,t1,2,1\n');
+});
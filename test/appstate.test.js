@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateAppState, isLogoutError, expiryOf } = require('../lib/appstate');
+
+const NOW = Date.UTC(2026, 9, 18, 12, 0);
+const DAY = 24 * 60 * 60 * 1000;
+
+function cookies(uid, expires) {
+  return [
+    { key: 'c_user', value: uid, expires },
+    { key: 'xs', value: 'secret', expires },
+    { key: 'datr', value: 'x' }
+  ];
+}
+
+test('accepts a complete session for the right account', () => {
+  const r = validateAppState(cookies('100001', new Date(NOW + 300 * DAY).toISOString()), { uid: '100001', now: NOW });
+  assert.strictEqual(r.ok, true);
+  assert.deepStrictEqual(r.errors, []);
+  assert.deepStrictEqual(r.warnings, []);
+  assert.strictEqual(r.uid, '100001');
+  assert.strictEqual(r.expiresAt, NOW + 300 * DAY);
+});
+
+test('reports structure, missing cookies and the wrong account', () => {
+  assert.deepStrictEqual(validateAppState({ c_user: '1' }).errors, ['AppState must be a JSON array of cookies']);
+
+  const r = validateAppState([{ key: 'c_user', value: '100002' }, { value: 'orphan' }], { uid: '100001', now: NOW });
+  assert.strictEqual(r.ok, false);
+  assert.deepStrictEqual(r.errors, [
+    'Cookie #2 has no key/value',
+    'Required cookie "xs" is missing',
+    'AppState belongs to account 100002, not 100001'
+  ]);
+
+  // a switched-to profile (i_user) counts as the account
+  const profile = cookies('100002').concat({ key: 'i_user', value: '100001' });
+  assert.strictEqual(validateAppState(profile, { uid: '100001', now: NOW }).ok, true);
+});
+
+test('flags expired and soon-expiring cookies in both export formats', () => {
+  const expired = validateAppState(cookies('100001', new Date(NOW - DAY).toISOString()), { now: NOW });
+  assert.strictEqual(expired.ok, false);
+  assert.match(expired.errors[0], /^Cookie "c_user" expired on 2026-10-17 12:00 UTC$/);
+
+  // browser extensions: name + expirationDate in seconds
+  const soon = [
+    { name: 'c_user', value: '100001', expirationDate: (NOW + 30 * 60 * 60 * 1000) / 1000 },
+    { name: 'xs', value: 'secret', expirationDate: (NOW + 90 * DAY) / 1000 }
+  ];
+  const r = validateAppState(soon, { uid: '100001', now: NOW });
+  assert.strictEqual(r.ok, true);
+  assert.deepStrictEqual(r.warnings, ['Session cookies expire in 30h (2026-10-19 18:00 UTC)']);
+
+  assert.strictEqual(expiryOf({ expires: 'Infinity' }), null);
+  assert.strictEqual(expiryOf({}), null);
+});
+
+test('recognizes logout errors from the client', () => {
+  assert.strictEqual(isLogoutError({ error: 'Not logged in.' }), true);
+  assert.strictEqual(isLogoutError(new Error('Error retrieving userID. This can be caused by a lot of things, including getting blocked by Facebook for logging in from an unknown location. login_blocked')), true);
+  assert.strictEqual(isLogoutError(new Error('ECONNRESET')), false);
+});
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.PANEL_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-auth-'));
+const auth = require('../lib/auth');
+
+test('account names that shadow Object.prototype are ordinary names', () => {
+  for (const name of ['constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+    assert.strictEqual(auth.getAccount(name), null);
+    assert.strictEqual(auth.verifyPassword(name, 'whatever123'), null);
+  }
+  assert.deepStrictEqual(auth.createAccount('constructor', 'password123'), { username: 'constructor', role: 'owner' });
+  assert.deepStrictEqual(auth.createAccount('__proto__', 'password123'), { username: '__proto__', role: 'owner' });
+  assert.deepStrictEqual(auth.verifyPassword('__proto__', 'password123'), { username: '__proto__', role: 'owner' });
+  assert.strictEqual(auth.verifyPassword('__proto__', 'wrong-password'), null);
+  assert.strictEqual(auth.getAccount('toString'), null);
+});
+
+// minimal Express stand-ins for the middleware
+function call(middleware, headers = {}, account) {
+  const res = { statusCode: 200, body: null, status(code) { this.statusCode = code; return this; }, send(body) { this.body = body; return this; } };
+  const req = { headers, account, socket: { remoteAddress: '10.0.0.2' } };
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { req, res, passed };
+}
+
+test('logs in with the right password only and keeps sessions until logout', () => {
+  auth.createAccount('alice', 'alice-password');
+  assert.throws(() => auth.createAccount('alice', 'another-password'), /already taken/);
+  assert.throws(() => auth.createAccount('bob', 'short'), /at least 8/);
+  assert.strictEqual(auth.verifyPassword('alice', 'alice-passwort'), null);
+  assert.strictEqual(auth.verifyPassword('nobody', 'alice-password'), null);
+  const account = auth.verifyPassword('alice', 'alice-password');
+  assert.deepStrictEqual(account, { username: 'alice', role: 'owner' });
+
+  const stored = JSON.parse(fs.readFileSync(path.join(process.env.PANEL_DATA_DIR, 'accounts.json'), 'utf-8')).alice;
+  assert.ok(!JSON.stringify(stored).includes('alice-password'), 'only the scrypt hash is stored');
+
+  const token = auth.createSession(account.username);
+  const ok = call(auth.requireAuth, { authorization: `Bearer ${token}` });
+  assert.ok(ok.passed);
+  assert.deepStrictEqual(ok.req.account, account);
+  assert.strictEqual(call(auth.requireAuth, { authorization: 'Bearer not-a-token' }).res.statusCode, 401);
+  assert.strictEqual(call(auth.requireAuth, {}).res.statusCode, 401);
+
+  auth.destroySession(token);
+  assert.strictEqual(auth.getSessionAccount(token), null);
+  assert.strictEqual(call(auth.requireAuth, { authorization: `Bearer ${token}` }).res.statusCode, 401);
+});
+
+test('owners only reach their own bots; operators reach all of them', () => {
+  auth.createAccount('carol', 'carol-password');
+  auth.createAccount('root', 'root-password', 'operator');
+  const alice = auth.getAccount('alice');
+  const carol = auth.getAccount('carol');
+  const operator = auth.getAccount('root');
+
+  assert.strictEqual(auth.canAccessBot(alice, 'alice'), true);
+  assert.strictEqual(auth.canAccessBot(carol, 'alice'), false);
+  assert.strictEqual(auth.canAccessBot(carol, null), false, 'unowned bots are operator-only');
+  assert.strictEqual(auth.canAccessBot(null, 'alice'), false);
+  assert.strictEqual(auth.canAccessBot(operator, 'alice'), true);
+  assert.strictEqual(auth.canAccessBot(operator, null), true);
+
+  assert.strictEqual(call(auth.requireOperator, {}, carol).res.statusCode, 403);
+  assert.ok(call(auth.requireOperator, {}, operator).passed);
+  assert.strictEqual(auth.firstOperator(), 'root');
+});
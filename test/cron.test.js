@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCron, nextRun, zonedTimeToUtc, isValidTimeZone } = require('../lib/cron');
+
+const at = (iso) => Date.parse(iso);
+const iso = (ms) => (ms === null ? null : new Date(ms).toISOString());
+const next = (expr, after, tz = 'UTC') => iso(nextRun(parseCron(expr), at(after), tz));
+
+test('parses the five fields and rejects the rest', () => {
+  const cron = parseCron('*/15 9-17 1,15 * 1-5');
+  assert.deepStrictEqual([...cron.minute], [0, 15, 30, 45]);
+  assert.deepStrictEqual([...cron.hour], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepStrictEqual([...cron.day], [1, 15]);
+  assert.strictEqual(cron.month.size, 12);
+  assert.deepStrictEqual([...parseCron('0 0 * * 7').weekday], [0]);
+  assert.throws(() => parseCron('0 9 * *'), /Cron needs 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /Cron minute "60" is out of range 0-59/);
+  assert.throws(() => parseCron('0 9 * * mon'), /Bad cron weekday "mon"/);
+  assert.throws(() => parseCron('0 9 10-5 * *'), /out of range/);
+});
+
+test('finds the next matching minute, strictly after the given time', () => {
+  assert.strictEqual(next('*/15 * * * *', '2026-10-18T10:07:30Z'), '2026-10-18T10:15:00.000Z');
+  assert.strictEqual(next('0 9 * * *', '2026-10-18T09:00:00Z'), '2026-10-19T09:00:00.000Z');
+  // Sunday → Monday for a weekday job; 31st skips short months
+  assert.strictEqual(next('0 9 * * 1-5', '2026-10-18T12:00:00Z'), '2026-10-19T09:00:00.000Z');
+  assert.strictEqual(next('0 0 31 * *', '2026-11-01T00:00:00Z'), '2026-12-31T00:00:00.000Z');
+  // both day fields restricted: either one counts (Friday the 23rd before the 13th of November)
+  assert.strictEqual(next('0 0 13 * 5', '2026-10-18T00:00:00Z'), '2026-10-23T00:00:00.000Z');
+  assert.strictEqual(next('0 0 30 2 *', '2026-10-18T00:00:00Z'), null);
+});
+
+test('uses wall-clock time in the job\'s timezone', () => {
+  assert.strictEqual(next('0 9 * * *', '2026-10-18T00:00:00Z', 'Asia/Manila'), '2026-10-18T01:00:00.000Z');
+  assert.strictEqual(next('0 9 * * *', '2026-10-18T02:00:00Z', 'Asia/Manila'), '2026-10-19T01:00:00.000Z');
+  assert.strictEqual(next('30 8 * * *', '2026-10-18T00:00:00Z', 'Asia/Kolkata'), '2026-10-18T03:00:00.000Z');
+  // the weekday is the local one: Monday 07:00 in Auckland is still Sunday in UTC
+  assert.strictEqual(next('0 7 * * 1', '2026-10-17T00:00:00Z', 'Pacific/Auckland'), '2026-10-18T18:00:00.000Z');
+  assert.strictEqual(isValidTimeZone('Asia/Manila'), true);
+  assert.strictEqual(isValidTimeZone('Mars/Olympus'), false);
+});
+
+test('DST: skipped times wait a day, repeated ones run once, hourly jobs keep going', () => {
+  const tz = 'America/New_York';
+  // 2026-03-08 02:00 EST jumps to 03:00 EDT
+  assert.strictEqual(next('30 2 * * *', '2026-03-08T00:00:00Z', tz), '2026-03-09T06:30:00.000Z');
+  assert.strictEqual(next('0 9 * * *', '2026-03-08T00:00:00Z', tz), '2026-03-08T13:00:00.000Z');
+  // 2026-11-01 02:00 EDT falls back to 01:00 EST
+  const first = nextRun(parseCron('30 1 * * *'), at('2026-11-01T00:00:00Z'), tz);
+  assert.strictEqual(iso(first), '2026-11-01T05:30:00.000Z');
+  assert.strictEqual(iso(nextRun(parseCron('30 1 * * *'), first, tz)), '2026-11-02T06:30:00.000Z');
+  assert.strictEqual(next('30 * * * *', '2026-11-01T05:30:00Z', tz), '2026-11-01T06:30:00.000Z');
+  assert.strictEqual(next('0 9 * * *', '2026-11-01T00:00:00Z', tz), '2026-11-01T14:00:00.000Z');
+  // one-off times: the first pass over a repeated wall-clock time
+  assert.strictEqual(iso(zonedTimeToUtc({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, tz)), '2026-11-01T05:30:00.000Z');
+});
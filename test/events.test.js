@@ -0,0 +1,19 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeEvent } = require('../lib/events');
+
+// fixtures/events/*.json: [{ "description", "raw": <client event>, "expected": <normalized fields> }]
+const dir = path.join(__dirname, 'fixtures', 'events');
+
+for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+  for (const fixture of JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'))) {
+    test(`${file}: ${fixture.description}`, () => {
+      const event = normalizeEvent(fixture.raw);
+      const picked = {};
+      for (const key of Object.keys(fixture.expected)) picked[key] = event[key];
+      assert.deepStrictEqual(picked, fixture.expected);
+    });
+  }
+}
@@ -0,0 +1,24 @@
+// Stand-in for bot.js under the supervisor; what it does depends on the UID it is started with:
+//   crash / login / session exit straight away with a crash, EXIT.LOGIN_FAILED or EXIT.SESSION_EXPIRED;
+//   anything else stays up, answers status requests, never answers message:send
+//   and sends one last loggedIn event when it is told to terminate
+const EXIT = require('../../../lib/exit-codes');
+const { MSG, serveRequests, emitEvent } = require('../../../lib/ipc');
+
+const uid = process.argv[2];
+const codes = { crash: 1, login: EXIT.LOGIN_FAILED, session: EXIT.SESSION_EXPIRED };
+
+if (uid in codes) {
+  process.exit(codes[uid]);
+} else {
+  serveRequests({
+    [MSG.GET_STATUS]: async () => ({ uid, pid: process.pid }),
+    [MSG.SEND_MESSAGE]: () => new Promise(() => {})
+  });
+  process.on('SIGTERM', () => {
+    emitEvent(MSG.LOGGED_IN);
+    setTimeout(() => process.exit(0), 100);
+  });
+  process.on('disconnect', () => process.exit(0));
+  emitEvent(MSG.STARTED);
+}
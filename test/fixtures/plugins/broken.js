@@ -0,0 +1,9 @@
+// Test plugin that fails on every message
+module.exports = {
+  description: 'Always throws',
+  hooks: {
+    message: async () => {
+      throw new Error('broken on purpose');
+    }
+  }
+};
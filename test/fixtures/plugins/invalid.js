@@ -0,0 +1,2 @@
+// Test plugin with a hook that doesn't exist; it is reported and skipped
+module.exports = { hooks: { typing: () => {} } };
@@ -0,0 +1,17 @@
+// Test plugin: a command, message / rename hooks and a per-thread setting
+module.exports = {
+  description: 'Shouts things back',
+  settings: { suffix: { type: 'string', default: '!' } },
+  commands: [{
+    name: 'shout',
+    description: 'Repeat the text in capitals',
+    args: [{ name: 'text', type: 'rest', required: true }],
+    handler: async (ctx) => ctx.reply(ctx.args.text.toUpperCase() + ctx.config.suffix)
+  }],
+  hooks: {
+    message: async (ctx) => {
+      if (ctx.event.body === 'ping') await ctx.reply('pong' + ctx.config.suffix);
+    },
+    rename: async (ctx) => ctx.reply(`New name: ${ctx.event.name}`)
+  }
+};
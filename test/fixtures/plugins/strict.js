@@ -0,0 +1,15 @@
+// Test plugin that throws UsageError from a command, a hook and a job
+module.exports = {
+  commands: [{
+    name: 'strict',
+    description: 'Always complains about its arguments',
+    handler: async (ctx) => { throw new ctx.UsageError('command nope'); }
+  }],
+  hooks: {
+    left: async (ctx) => { throw new ctx.UsageError('hook nope'); }
+  },
+  jobs: [{
+    every: '1s',
+    run: async (ctx) => { throw new ctx.UsageError('job nope'); }
+  }]
+};
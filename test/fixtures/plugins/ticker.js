@@ -0,0 +1,10 @@
+// Test plugin with a job that posts to every thread the plugin is on in
+module.exports = {
+  settings: { text: { type: 'string', default: 'tick' }, loud: { type: 'boolean' } },
+  jobs: [{
+    every: '1s',
+    run: async (ctx) => {
+      for (const threadID of ctx.threads()) await ctx.send(ctx.configFor(threadID).text, threadID);
+    }
+  }]
+};
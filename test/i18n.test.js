@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCatalog, format, sanitizeOverrides, BUNDLES } = require('../lib/i18n');
+
+test('every bundle covers the English keys with the same placeholders', () => {
+  const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort().join(' ');
+  const en = BUNDLES.en.messages;
+  for (const [lang, bundle] of Object.entries(BUNDLES)) {
+    for (const key of Object.keys(en)) {
+      assert.ok(key in bundle.messages, `${lang} misses ${key}`);
+      assert.strictEqual(placeholders(bundle.messages[key]), placeholders(en[key]), `${lang} ${key}`);
+    }
+  }
+});
+
+test('fills placeholders and falls back to English, the caller and the key', () => {
+  assert.strictEqual(format('Hi {name}, {missing}', { name: 'Ana' }), 'Hi Ana, {missing}');
+  const catalog = createCatalog({ hi: { 'gcunlock.done': '🔓 {what} खुला' } });
+  assert.strictEqual(catalog.t('en', 'gclock.locked', { name: 'Family' }), '🔒 GC locked as "Family"');
+  assert.strictEqual(catalog.t('hi', 'gcunlock.done', { what: 'नाम' }), '🔓 नाम खुला');
+  assert.strictEqual(catalog.t('xx', 'gclock.locked', { name: 'Family' }), '🔒 GC locked as "Family"');
+  assert.strictEqual(catalog.t('constructor', 'gclock.locked', { name: 'Family' }), '🔒 GC locked as "Family"');
+  assert.strictEqual(catalog.t('hi', 'cmd.roll', {}, 'Roll dice'), 'Roll dice');
+  assert.strictEqual(catalog.t('hi', 'no.such.key'), 'no.such.key');
+
+  // overrides win over the bundle until they are replaced
+  catalog.setOverrides({ en: { 'gclock.locked': 'Name pinned: {name}' } });
+  assert.strictEqual(catalog.translator('en')('gclock.locked', { name: 'Family' }), 'Name pinned: Family');
+  assert.strictEqual(catalog.t('hi', 'gcunlock.done'), BUNDLES.hi.messages['gcunlock.done']);
+});
+
+test('validates panel overrides against the bundled placeholders', () => {
+  assert.deepStrictEqual(sanitizeOverrides({ hi: { 'gclock.locked': '🔒 {name}', 'gcunlock.done': '' }, en: {} }), { hi: { 'gclock.locked': '🔒 {name}' } });
+  assert.throws(() => sanitizeOverrides({ xx: {} }), /Unknown language "xx"/);
+  assert.throws(() => sanitizeOverrides({ constructor: {} }), /Unknown language "constructor"/);
+  assert.throws(() => sanitizeOverrides({ en: { constructor: 'x' } }), /Unknown message key/);
+  assert.throws(() => sanitizeOverrides({ en: { 'no.such.key': 'x' } }), /Unknown message key/);
+  assert.throws(() => sanitizeOverrides({ en: { 'gclock.locked': 'Locked {nmae}' } }), /unknown placeholder \{nmae\} \(available: \{name\}\)/);
+  assert.throws(() => sanitizeOverrides({ en: { 'gclock.locked': 'x'.repeat(2001) } }), /at most 2000/);
+  assert.throws(() => sanitizeOverrides([]), /must map languages/);
+});
@@ -0,0 +1,50 @@
+const EventEmitter = require('events');
+const test = require('node:test');
+const assert = require('node:assert');
+const { MSG, createRequester } = require('../lib/ipc');
+
+// Child process stand-in: records what the panel sends, replies on demand
+function fakeChild() {
+  const child = new EventEmitter();
+  child.connected = true;
+  child.sent = [];
+  child.send = (msg) => child.sent.push(msg);
+  child.reply = (id, fields) => child.emit('message', Object.assign({ type: MSG.REPLY, id }, fields));
+  return child;
+}
+
+test('requests resolve or reject with the matching reply', async () => {
+  const child = fakeChild();
+  const requester = createRequester(child);
+  const status = requester.request(MSG.GET_STATUS, { verbose: true });
+  const thread = requester.request(MSG.SET_THREAD, { threadID: 't1' });
+  assert.deepStrictEqual(child.sent.map(m => [m.type, m.id]), [[MSG.GET_STATUS, 1], [MSG.SET_THREAD, 2]]);
+  assert.deepStrictEqual(child.sent[0].payload, { verbose: true });
+
+  child.emit('message', { type: MSG.HEARTBEAT, payload: {} });
+  child.reply(2, { ok: false, error: 'Unknown setting "colour"' });
+  child.reply(1, { ok: true, result: { loggedIn: true } });
+  assert.deepStrictEqual(await status, { loggedIn: true });
+  await assert.rejects(thread, /Unknown setting "colour"/);
+});
+
+test('unknown types and a disconnected child fail straight away', async () => {
+  const child = fakeChild();
+  const requester = createRequester(child);
+  await assert.rejects(requester.request('status:set', {}), /Unknown request type "status:set"/);
+  child.connected = false;
+  await assert.rejects(requester.request(MSG.GET_STATUS, {}), /not connected/);
+  assert.deepStrictEqual(child.sent, []);
+});
+
+test('requests time out, and the ones still waiting fail when the child exits', async () => {
+  const child = fakeChild();
+  const requester = createRequester(child, 20);
+  const slow = requester.request(MSG.RELOAD_CONFIG);
+  await assert.rejects(slow, /config:reload timed out after 20ms/);
+  child.reply(1, { ok: true, result: 'late' });
+
+  const waiting = requester.request(MSG.SEND_MESSAGE, { threadID: 't1', body: 'hi' }, 60 * 1000);
+  child.emit('exit', 1, null);
+  await assert.rejects(waiting, /bot process exited/);
+});
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_MAX_AGE_DAYS = '14';
+const { appendRecord, enforceRetention, queryLogs } = require('../lib/log-store');
+
+const DAY = 24 * 60 * 60 * 1000;
+const record = (msAgo, msg) => ({ ts: new Date(Date.now() - msAgo).toISOString(), level: 'info', event: 'test', msg });
+
+// write a log file whose last write happened msAgo
+function writeLog(dir, name, records, msAgo = 0) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, records.map(r => JSON.stringify(r) + '\n').join(''));
+  const at = new Date(Date.now() - msAgo);
+  fs.utimesSync(file, at, at);
+}
+
+const files = (dir) => fs.readdirSync(dir).filter(f => f.startsWith('logs')).sort();
+
+test('an idle bot rotates an expired log and drops rotated files from the first expired one on', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-logs-'));
+  writeLog(dir, 'logs.jsonl', [record(20 * DAY, 'old deleted message'), record(60 * 60 * 1000, 'recent')]);
+  writeLog(dir, 'logs.1.jsonl', [record(3 * DAY, 'a')], 1 * DAY);
+  writeLog(dir, 'logs.2.jsonl', [record(40 * DAY, 'b')], 30 * DAY);
+  writeLog(dir, 'logs.3.jsonl', [record(5 * DAY, 'c')], 2 * DAY); // out of order, but older than logs.2
+
+  enforceRetention(dir);
+  assert.deepStrictEqual(files(dir), ['logs.1.jsonl', 'logs.2.jsonl']);
+  assert.deepStrictEqual(queryLogs(dir).records.map(r => r.msg), ['recent', 'old deleted message', 'a']);
+
+  enforceRetention(dir);
+  assert.deepStrictEqual(files(dir), ['logs.1.jsonl', 'logs.2.jsonl']);
+});
+
+test('appending to a log whose first record expired starts a new file', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-logs-'));
+  writeLog(dir, 'logs.jsonl', [record(15 * DAY, 'stale')], 15 * DAY);
+  appendRecord(dir, record(0, 'fresh'));
+  assert.deepStrictEqual(files(dir), ['logs.jsonl']);
+  assert.deepStrictEqual(queryLogs(dir).records.map(r => r.msg), ['fresh']);
+
+  appendRecord(dir, record(0, 'fresher'));
+  assert.deepStrictEqual(files(dir), ['logs.jsonl']);
+  assert.strictEqual(queryLogs(dir).total, 2);
+});
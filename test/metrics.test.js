@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCounters, formatMetrics, botFamilies } = require('../lib/metrics');
+
+test('counters group samples by label set', () => {
+  const counters = createCounters();
+  counters.inc('commands', { command: 'help', result: 'ok' });
+  counters.inc('commands', { result: 'ok', command: 'help' });
+  counters.inc('commands', { command: 'help', result: 'denied' });
+  counters.inc('events', { type: 'message' }, 5);
+  assert.deepStrictEqual(counters.snapshot(), {
+    commands: [
+      { labels: { command: 'help', result: 'ok' }, value: 2 },
+      { labels: { command: 'help', result: 'denied' }, value: 1 }
+    ],
+    events: [{ labels: { type: 'message' }, value: 5 }]
+  });
+});
+
+test('formats families in the Prometheus text format', () => {
+  const text = formatMetrics([
+    { name: 'demo_total', type: 'counter', help: 'Demo', samples: [{ labels: { name: 'a "quoted"\nname' }, value: 3 }, { value: NaN }] }
+  ]);
+  assert.strictEqual(text, '# HELP demo_total Demo\n# TYPE demo_total counter\ndemo_total{name="a \\"quoted\\"\\nname"} 3\ndemo_total 0\n');
+});
+
+test('bot families cover states, restarts and the heartbeat snapshot of running bots', () => {
+  const counters = createCounters();
+  counters.inc('enforcement', { kind: 'gcLock' }, 2);
+  counters.inc('outboundFailures', { action: 'setTitle' });
+  const bots = [
+    {
+      uid: '1', state: 'running', restarts: 2, loginFailures: 0, lastHeartbeat: 10000,
+      metrics: { memory: { rss: 100, heapUsed: 50 }, cpuSeconds: { user: 1.5, system: 0.5 }, queue: { depth: 3, dropped: { superseded: 4 } }, counters: counters.snapshot() }
+    },
+    { uid: '2', state: 'failed', restarts: 0, loginFailures: 3, metrics: null }
+  ];
+  const text = formatMetrics(botFamilies(bots, 25000));
+  for (const line of [
+    'bots{state="running"} 1',
+    'bots{state="failed"} 1',
+    'bots{state="stopped"} 0',
+    'bot_up{uid="1"} 1',
+    'bot_up{uid="2"} 0',
+    'bot_restarts_total{uid="1"} 2',
+    'bot_login_failures{uid="2"} 3',
+    'bot_heartbeat_age_seconds{uid="1"} 15',
+    'bot_memory_bytes{uid="1",type="rss"} 100',
+    'bot_cpu_seconds_total{uid="1",mode="user"} 1.5',
+    'bot_queue_depth{uid="1"} 3',
+    'bot_queue_dropped_total{uid="1",reason="superseded"} 4',
+    'bot_enforcement_total{uid="1",kind="gcLock"} 2',
+    'bot_outbound_failures_total{uid="1",action="setTitle"} 1'
+  ]) assert.ok(text.includes(line + '\n'), `missing ${line}`);
+  assert.ok(!text.includes('bot_memory_bytes{uid="2"'));
+});
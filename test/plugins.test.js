@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPluginManager, definePlugin, pluginSettingsValidator, listPluginFiles } = require('../lib/plugins');
+const { createStateStore } = require('../lib/state');
+const { createLogger } = require('../lib/logger');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'plugins');
+
+function setup() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-plugins-'));
+  const sent = [];
+  let manager;
+  const store = createStateStore(path.join(dir, 'state.json'), { validate: (patch) => manager.validate(patch) });
+  manager = createPluginManager({
+    dir: FIXTURES,
+    configFile: path.join(dir, 'plugins.json'),
+    logger: createLogger({}, { write: () => {} }),
+    store,
+    send: async (text, threadID) => sent.push([threadID, text]),
+    botID: () => 'bot'
+  });
+  return { dir, sent, store, manager };
+}
+
+test('loads valid plugins and reports the rest', () => {
+  assert.deepStrictEqual(listPluginFiles(FIXTURES), ['broken', 'invalid', 'shout', 'strict', 'ticker']);
+  const { dir, manager } = setup();
+  assert.deepStrictEqual([...manager.plugins.keys()], ['broken', 'shout', 'strict', 'ticker']);
+  assert.deepStrictEqual(manager.list().find(p => p.name === 'invalid').loadError, 'unknown hook "typing" (use message, rename, nickname, added, left, removed, unsend)');
+  assert.throws(() => definePlugin('x', { jobs: [{ every: '5 minutes', run() {} }] }), /"every" must look like/);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('thread settings are checked against the plugin and merged per plugin', () => {
+  const { dir, store } = setup();
+  store.updateThread('t1', { plugins: { ticker: { enabled: true, text: 'hi' } } });
+  assert.deepStrictEqual(store.updateThread('t1', { plugins: { ticker: { loud: true } } }).plugins, { ticker: { enabled: true, text: 'hi', loud: true } });
+  assert.throws(() => store.updateThread('t1', { plugins: { ticker: { text: 5 } } }), /"text" must be a string/);
+  assert.throws(() => store.updateThread('t1', { plugins: { ticker: { colour: 'red' } } }), /has no setting "colour"/);
+  assert.throws(() => store.updateThread('t1', { plugins: { nope: { enabled: true } } }), /Unknown plugin "nope"/);
+  assert.deepStrictEqual(store.updateThread('t1', { plugins: { ticker: null } }).plugins, {});
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the panel checks plugin settings the same way while the bot is stopped', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-plugins-'));
+  const store = createStateStore(path.join(dir, 'state.json'), { validate: pluginSettingsValidator(FIXTURES) });
+  store.updateThread('t1', { plugins: { ticker: { enabled: true, text: 'hi' } } });
+  assert.throws(() => store.updateThread('t1', { plugins: { ticker: { text: 5 } } }), /"text" must be a string/);
+  assert.throws(() => store.updateThread('t1', { plugins: { invalid: { enabled: true } } }), /Unknown plugin "invalid"/);
+
+  const changed = [];
+  const replacing = createStateStore(store.file, { validate: pluginSettingsValidator(FIXTURES), onChange: (id) => changed.push(id) });
+  assert.throws(() => replacing.replaceThreads({ threads: { t2: { plugins: { shout: { volume: 11 } } } } }), /Thread t2: Plugin shout has no setting "volume"/);
+  const next = replacing.replaceThreads({ threads: { t2: { plugins: { shout: { enabled: true } } }, t3: { prefix: null } } });
+  assert.deepStrictEqual(Object.keys(next.threads), ['t2']);
+  assert.deepStrictEqual(changed.sort(), ['t1', 't2', 't3']);
+  assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(store.file, 'utf-8')).threads), ['t2']);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('jobs run for threads the plugin is on in and stop with the bot-wide switch', async () => {
+  const { dir, sent, store, manager } = setup();
+  store.updateThread('t1', { plugins: { ticker: { enabled: true } } });
+  store.updateThread('t2', { plugins: { ticker: { enabled: true, text: 'tock' } } });
+  store.updateThread('t3', { plugins: { ticker: { enabled: false } } });
+  manager.start();
+  await new Promise(r => setTimeout(r, 1100));
+  assert.deepStrictEqual(sent, [['t1', 'tick'], ['t2', 'tock']]);
+
+  assert.strictEqual(manager.setEnabled('ticker', false).enabled, false);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'plugins.json'), 'utf-8')), { disabled: ['ticker'] });
+  await new Promise(r => setTimeout(r, 1100));
+  manager.stop();
+  assert.strictEqual(sent.length, 2);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('UsageError only reaches the registry from commands; hooks and jobs just count an error', async () => {
+  const { dir, store, manager } = setup();
+  const settings = store.updateThread('t1', { plugins: { strict: { enabled: true } } });
+  const [command] = manager.commands(() => false).filter(c => c.plugin === 'strict');
+  await assert.rejects(command.handler({ threadID: 't1', settings, prefix: '/', reply: async () => {} }), /command nope/);
+
+  await manager.dispatch({ type: 'left', threadID: 't1', actorID: '100002' }, settings, 'member');
+  assert.strictEqual(manager.list().find(p => p.name === 'strict').lastError.message, 'hook nope');
+
+  manager.start();
+  await new Promise(r => setTimeout(r, 1100));
+  manager.stop();
+  const state = manager.list().find(p => p.name === 'strict');
+  assert.strictEqual(state.lastError.what, 'job job1');
+  assert.strictEqual(state.totalErrors, 2);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
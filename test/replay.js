@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Replays a recorded event stream through bot.js on the fake client and
+// collects every outgoing client call it made. A scenario file looks like:
+//
+//   {
+//     "description": "GC lock reverts a rename",
+//     "owner": "100001",                                   // admin.txt (bot owner UID)
+//     "threads": [{ "threadID": "t1", "name": "Group", "participants": [...], "admins": [...] }],
+//     "state": { "t1": { "lockedGroupName": "Locked" } },   // per-thread settings before the run
+//     "appstate": [{ "key": "c_user", "value": "100001" }, ...],  // optional cookies (default: c_user + xs)
+//     "media": { "cat.jpg": "..." },                        // files in users/<uid>/media
+//     "files": { "schedules.json": { ... } },               // other JSON files in users/<uid>
+//     "plugins": ["shout"],                                 // test/fixtures/plugins to install
+//     "events": [ raw client events, optional "delayMs" ],
+//     "expect": [ { "type": "setTitle", "threadID": "t1", "title": "Locked" } ],  // in order, partial match
+//     "forbid": [ { "type": "addUserToGroup" } ]                                 // must not happen
+//   }
+
+const BOT_SCRIPT = path.join(__dirname, '..', 'bot.js');
+const SETTLE_MS = 400;
+const TIMEOUT_MS = 15000;
+
+function replay(scenario) {
+  const usersDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-replay-'));
+  const uid = String(scenario.owner || '100001');
+  const userDir = path.join(usersDir, uid);
+  fs.mkdirSync(userDir);
+  fs.writeFileSync(path.join(userDir, 'admin.txt'), uid);
+  const appstate = scenario.appstate || [{ key: 'c_user', value: uid }, { key: 'xs', value: 'replay' }];
+  fs.writeFileSync(path.join(userDir, 'appstate.json'), JSON.stringify(appstate));
+  fs.writeFileSync(path.join(userDir, 'state.json'), JSON.stringify({ threads: scenario.state || {} }));
+  for (const [name, content] of Object.entries(scenario.files || {})) {
+    fs.writeFileSync(path.join(userDir, name), JSON.stringify(content));
+  }
+  if (scenario.media) {
+    fs.mkdirSync(path.join(userDir, 'media'));
+    for (const [name, content] of Object.entries(scenario.media)) fs.writeFileSync(path.join(userDir, 'media', name), content);
+  }
+  // plugins copied from fixtures/plugins into a private plugins dir
+  const pluginsDir = path.join(usersDir, 'plugins');
+  fs.mkdirSync(pluginsDir);
+  for (const name of scenario.plugins || []) {
+    fs.copyFileSync(path.join(__dirname, 'fixtures', 'plugins', name + '.js'), path.join(pluginsDir, name + '.js'));
+  }
+  const scriptFile = path.join(usersDir, 'script.json');
+  fs.writeFileSync(scriptFile, JSON.stringify({ threads: scenario.threads || [], events: scenario.events || [] }));
+
+  const child = spawn(process.execPath, [BOT_SCRIPT, uid], {
+    env: Object.assign({}, process.env, {
+      BOT_USERS_DIR: usersDir,
+      FCA_CLIENT: 'fake',
+      FAKE_SCRIPT: scriptFile,
+      SECRET_STORE: 'plain',
+      PLUGINS_DIR: pluginsDir,
+      LOG_LEVEL: 'debug',
+      ACTION_GLOBAL_PER_MIN: '6000',
+      ACTION_THREAD_PER_MIN: '6000'
+    }, scenario.env || {}),
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  return new Promise((resolve, reject) => {
+    const actions = [];
+    const records = [];
+    let stderr = '';
+    let buffered = '';
+
+    const timer = setTimeout(() => finish(new Error(`replay timed out after ${TIMEOUT_MS}ms`)), TIMEOUT_MS);
+
+    function finish(err) {
+      clearTimeout(timer);
+      child.removeAllListeners('exit');
+      child.kill();
+      fs.rmSync(usersDir, { recursive: true, force: true });
+      if (err) {
+        err.message += stderr ? `\n${stderr}` : '';
+        return reject(err);
+      }
+      resolve({ actions, records });
+    }
+
+    child.stdout.on('data', (chunk) => {
+      buffered += chunk;
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      for (const line of lines) {
+        let record;
+        try { record = JSON.parse(line); } catch (e) { continue; }
+        records.push(record);
+        if (record.action && record.action.type !== 'login') actions.push(record.action);
+        if (record.scriptDone) setTimeout(() => finish(), SETTLE_MS);
+      }
+    });
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    child.on('exit', (code) => finish(new Error(`bot exited early with code ${code}`)));
+  });
+}
+
+function matches(action, expected) {
+  return Object.entries(expected).every(([key, value]) => String(action[key]) === String(value));
+}
+
+// Returns a list of human-readable problems (empty when the run is as expected)
+function check(scenario, actions) {
+  const problems = [];
+  let from = 0;
+  for (const expected of scenario.expect || []) {
+    const i = actions.findIndex((a, n) => n >= from && matches(a, expected));
+    if (i === -1) problems.push(`missing (in order): ${JSON.stringify(expected)}`);
+    else from = i + 1;
+  }
+  for (const forbidden of scenario.forbid || []) {
+    const hit = actions.find(a => matches(a, forbidden));
+    if (hit) problems.push(`forbidden action happened: ${JSON.stringify(hit)}`);
+  }
+  return problems;
+}
+
+function loadScenarios(dir = path.join(__dirname, 'fixtures', 'replay')) {
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .sort()
+    .map(f => Object.assign({ file: f }, JSON.parse(fs.readFileSync(path.join(dir, f), 'utf-8'))));
+}
+
+module.exports = { replay, check, loadScenarios };
@@ -0,0 +1,11 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { replay, check, loadScenarios } = require('./replay');
+
+// Every scenario in fixtures/replay runs bot.js end to end against the fake client
+for (const scenario of loadScenarios()) {
+  test(`${scenario.file}: ${scenario.description}`, async () => {
+    const { actions } = await replay(scenario);
+    assert.deepStrictEqual(check(scenario, actions), [], `actions were:\n${JSON.stringify(actions, null, 2)}`);
+  });
+}
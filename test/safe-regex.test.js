@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { regexProblem, testRegex } = require('../lib/safe-regex');
+const { sanitizeTriggers, matches } = require('../lib/auto-reply');
+const { checkBannedWords, compilePattern, createModerator } = require('../lib/moderation');
+
+test('rejects nested quantifiers, back-references and long patterns', () => {
+  for (const p of ['(a+)+$', '(\\w*\\s?)*x', '(x{2,})*', '((ab)+c)+', '(?:[a-z]+)*!', '(a)\\1', '(?<q>a)\\k<q>', 'a'.repeat(201)]) {
+    assert.ok(regexProblem(p), p);
+  }
+  for (const p of ['^order\\s+#?\\d+$', '(?:good|bad)\\s+morning', '(\\d{2}-)+\\d{2}', '[(+]+', '(?<=@)\\w+', '\\p{L}+', 'a{2,5}',
+    '(?:foo|bar)+', '(cat|dog)s?', 'https?://\\S+', '\\bhello\\b.*\\bworld\\b']) {
+    assert.strictEqual(regexProblem(p), null, p);
+  }
+});
+
+test('rejects overlapping alternatives and back-to-back repeats', () => {
+  for (const p of ['(a|a)*b', '(a|aa)+$', '(\\w|_)+$', '(?:a|b?a)*c', '(a|)*b']) {
+    assert.match(regexProblem(p), /alternatives that start alike/, p);
+  }
+  for (const p of ['a*a*a*a*a*a*b', '.*.*x', '\\w+\\d+', 'x*a*?y*']) {
+    assert.match(regexProblem(p), /back-to-back repeats/, p);
+  }
+});
+
+test('runs matches with a time limit and retires a pattern that hits it', () => {
+  // gets past regexProblem() but takes seconds on a few hundred characters
+  const slow = /(?:a|b)*y?(?:a|b)*y?(?:a|b)*c/i;
+  assert.strictEqual(regexProblem(slow.source), null);
+  const started = Date.now();
+  assert.strictEqual(testRegex(slow, 'ab'.repeat(100)), null);
+  assert.ok(Date.now() - started < 1000);
+  assert.strictEqual(testRegex(slow, 'ab'.repeat(100)), false);
+  assert.strictEqual(regexProblem(slow.source), 'it took too long on a message before');
+  assert.strictEqual(testRegex(/free\s+money/i, 'FREE money'), true);
+});
+
+test('auto-reply regexes are checked when saved and stay harmless when stored anyway', () => {
+  const trigger = (pattern) => ({ match: 'regex', pattern, replies: ['hi'] });
+  assert.throws(() => sanitizeTriggers([trigger('(a+)+$')]), /Unsafe regex "\(a\+\)\+\$": nested quantifiers/);
+  assert.strictEqual(sanitizeTriggers([trigger('^hi+$')])[0].pattern, '^hi+$');
+
+  assert.throws(() => sanitizeTriggers([trigger('(a|aa)+$')]), /Unsafe regex/);
+
+  // written to state.json before the check existed: matched as plain text, quickly
+  const started = Date.now();
+  assert.strictEqual(matches({ match: 'regex', pattern: '(a+)+$' }, 'a'.repeat(40) + '!'), false);
+  assert.strictEqual(matches({ match: 'regex', pattern: '(a+)+$' }, 'look: (a+)+$'), true);
+  assert.strictEqual(matches({ match: 'regex', pattern: '(a|a)*b' }, 'a'.repeat(40)), false);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('banned-word regexes get the same check', () => {
+  assert.throws(() => checkBannedWords(['spam', '/(\\w+\\s?)+$/']), /Unsafe banned-word regex/);
+  assert.doesNotThrow(() => checkBannedWords(['spam', '/free\\s+money/', '(a+)+']));
+  assert.ok(compilePattern('/free\\s+money/').test('FREE   money here'));
+  // a stored unsafe regex is matched as the literal word
+  const started = Date.now();
+  assert.strictEqual(compilePattern('/(a+)+$/').test('a'.repeat(40) + '!'), false);
+  assert.ok(Date.now() - started < 1000);
+  assert.throws(() => checkBannedWords(['/(a|a)*b/']), /Unsafe banned-word regex \/\(a\|a\)\*b\/: a repeated group with alternatives/);
+  assert.throws(() => checkBannedWords(['/spam.*.*offer/']), /back-to-back repeats/);
+  assert.strictEqual(compilePattern('/(a|aa)+$/').test('a'.repeat(40) + '!'), false);
+});
+
+test('a banned-word regex that runs out of time is reported and matched as a word', () => {
+  const slow = [];
+  const moderator = createModerator({ onSlowPattern: (threadID, entry) => slow.push([threadID, entry]) });
+  // passes the save-time check, but takes seconds on a few hundred characters
+  const entry = '/(?:a|b)*x?(?:a|b)*x?(?:a|b)*c/';
+  const settings = { bannedWords: [entry], floodMessages: 0, repeatLimit: 0 };
+  const started = Date.now();
+  assert.strictEqual(moderator.check('t1', 'u1', 'ab'.repeat(100), settings), null);
+  assert.ok(Date.now() - started < 1000);
+  assert.deepStrictEqual(slow, [['t1', entry]]);
+  assert.strictEqual(moderator.check('t1', 'u1', 'ab'.repeat(100), settings), null);
+  assert.strictEqual(slow.length, 1);
+});
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createScheduler, readSchedules } = require('../lib/scheduler');
+const { createLogger } = require('../lib/logger');
+
+function setup(jobs) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bot-schedules-')), 'schedules.json');
+  fs.writeFileSync(file, JSON.stringify({ nextID: 10, jobs }));
+  const records = [];
+  const sent = [];
+  const scheduler = createScheduler({
+    file,
+    logger: createLogger({}, { write: (line) => records.push(JSON.parse(line)) }),
+    send: async (job) => sent.push(job.id),
+    tickMs: 60 * 1000
+  });
+  return { file, records, sent, scheduler };
+}
+
+const job = (extra) => Object.assign({ threadID: 't1', message: 'hello', tz: 'UTC', nextRunAt: Date.now() - 1000 }, extra);
+
+test('saved jobs that cannot run are skipped and logged, the rest still run', async () => {
+  const { file, records, sent, scheduler } = setup([
+    job({ id: 1, at: Date.now() - 1000 }),
+    job({ id: 2, cron: '61 * * * *' }),
+    job({ id: 3, cron: '0 9 * * *', tz: 'Mars/Olympus' }),
+    job({ id: 4 }),
+    'garbage',
+    job({ id: 5, cron: '* * * * *' })
+  ]);
+  assert.deepStrictEqual(records.map(r => [r.level, r.event, r.threadID]), [
+    ['error', 'schedule', 't1'], ['error', 'schedule', 't1'], ['error', 'schedule', 't1'], ['error', 'schedule', undefined]
+  ]);
+  assert.match(records[0].msg, /Cron minute "61" is out of range/);
+  assert.match(records[1].msg, /unknown timezone "Mars\/Olympus"/);
+  assert.match(records[2].msg, /needs a cron expression or an at time/);
+  assert.deepStrictEqual(scheduler.list().map(j => j.id), [1, 5]);
+
+  scheduler.start();
+  await new Promise(resolve => setImmediate(resolve));
+  scheduler.stop();
+  assert.deepStrictEqual(sent.sort(), [1, 5]);
+  assert.deepStrictEqual(readSchedules(file).jobs.map(j => j.id), [5]);
+});
+
+test('a failing tick is logged instead of swallowed', async () => {
+  const { records, scheduler } = setup([job({ id: 1, at: Date.now() - 1000 })]);
+  scheduler.list()[0].cron = 'broken';
+  scheduler.start();
+  await new Promise(resolve => setImmediate(resolve));
+  scheduler.stop();
+  assert.ok(records.some(r => r.level === 'error' && /Schedule tick failed: Error: Cron needs 5 fields/.test(r.msg)));
+});
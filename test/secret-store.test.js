@@ -0,0 +1,76 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSecretStore, addKeyfileKey, isEnvelope } = require('../lib/secret-store');
+
+const APPSTATE = [{ key: 'c_user', value: '100001' }, { key: 'xs', value: 'secret-cookie' }];
+
+function tmpFile(name) {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bot-secrets-')), name);
+}
+
+test('round-trips an AppState through an AES-256-GCM envelope', () => {
+  const file = tmpFile('appstate.json');
+  const store = createSecretStore({ backend: 'aes', key: 'correct horse battery staple' });
+  store.write(file, APPSTATE);
+
+  const raw = fs.readFileSync(file, 'utf-8');
+  assert.ok(!raw.includes('secret-cookie'));
+  assert.strictEqual(JSON.parse(raw).enc, 'aes-256-gcm');
+  assert.ok(store.isEncrypted(file));
+  assert.deepStrictEqual(store.read(file), APPSTATE);
+  assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+
+  assert.throws(() => createSecretStore({ backend: 'aes', key: 'some other key' }).read(file), /No key available/);
+  assert.throws(() => createSecretStore({ backend: 'plain' }).read(file), /SECRET_STORE=plain/);
+});
+
+test('rejects a tampered envelope', () => {
+  const file = tmpFile('appstate.json');
+  const store = createSecretStore({ backend: 'aes', key: 'k1' });
+  store.write(file, APPSTATE);
+  const envelope = JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+  const data = Buffer.from(envelope.data, 'base64');
+  data[0] ^= 1;
+  fs.writeFileSync(file, JSON.stringify(Object.assign({}, envelope, { data: data.toString('base64') })));
+  assert.throws(() => store.read(file), /authenticate/);
+
+  const tag = Buffer.from(envelope.tag, 'base64');
+  tag[0] ^= 1;
+  fs.writeFileSync(file, JSON.stringify(Object.assign({}, envelope, { tag: tag.toString('base64') })));
+  assert.throws(() => store.read(file), /authenticate/);
+});
+
+test('migrates plaintext files and rotates keys while old keys still decrypt', () => {
+  // a file written before encryption existed stays readable, then gets encrypted (secrets:migrate)
+  const file = tmpFile('appstate.json');
+  fs.writeFileSync(file, JSON.stringify(APPSTATE));
+  const v1 = createSecretStore({ backend: 'aes', key: 'key-one' });
+  assert.strictEqual(v1.isEncrypted(file), false);
+  v1.write(file, v1.read(file));
+  assert.ok(isEnvelope(JSON.parse(fs.readFileSync(file, 'utf-8'))));
+  const kidOne = JSON.parse(fs.readFileSync(file, 'utf-8')).kid;
+
+  // APPSTATE_KEY / APPSTATE_OLD_KEYS rotation (secrets:rotate)
+  const v2 = createSecretStore({ backend: 'aes', key: 'key-two', oldKeys: ['key-one'] });
+  assert.deepStrictEqual(v2.read(file), APPSTATE);
+  v2.write(file, v2.read(file));
+  assert.notStrictEqual(JSON.parse(fs.readFileSync(file, 'utf-8')).kid, kidOne);
+  assert.deepStrictEqual(createSecretStore({ backend: 'aes', key: 'key-two' }).read(file), APPSTATE);
+  assert.throws(() => v1.read(file), /No key available/);
+
+  // keyfile rotation: a new first line, retired keys kept for decryption
+  const keyfile = tmpFile('appstate.key');
+  const before = createSecretStore({ backend: 'aes', keyfile });
+  const other = tmpFile('appstate.json');
+  before.write(other, APPSTATE);
+  const kid = addKeyfileKey(keyfile);
+  assert.strictEqual(fs.readFileSync(keyfile, 'utf-8').trim().split('\n').length, 2);
+  const after = createSecretStore({ backend: 'aes', keyfile });
+  assert.deepStrictEqual(after.read(other), APPSTATE);
+  after.write(other, after.read(other));
+  assert.strictEqual(JSON.parse(fs.readFileSync(other, 'utf-8')).kid, kid);
+});
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { MSG } = require('../lib/ipc');
+const { createSupervisor } = require('../lib/supervisor');
+
+const botScript = path.join(__dirname, 'fixtures', 'bots', 'bot.js');
+
+// Supervisor over the fixture bot; next(uid, state) resolves on the bot's next state change to `state`
+function setup() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-supervisor-'));
+  const waiting = [];
+  const messages = [];
+  const supervisor = createSupervisor({
+    botScript,
+    stateFile: path.join(dir, 'supervisor.json'),
+    onState: (uid, summary) => {
+      for (const w of waiting.filter(w => w.uid === uid && w.state === summary.state)) {
+        waiting.splice(waiting.indexOf(w), 1);
+        w.resolve(summary);
+      }
+    },
+    onMessage: (uid, msg) => {
+      messages.push(msg.type);
+      for (const w of waiting.filter(w => w.uid === uid && w.state === msg.type)) {
+        waiting.splice(waiting.indexOf(w), 1);
+        w.resolve(msg);
+      }
+    }
+  });
+  const next = (uid, state) => new Promise(resolve => waiting.push({ uid, state, resolve }));
+  const saved = () => JSON.parse(fs.readFileSync(path.join(dir, 'supervisor.json'), 'utf-8')).running;
+  return { supervisor, next, messages, saved };
+}
+
+test('crashes are restarted with a doubling backoff', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { supervisor, next } = setup();
+  const reasons = [];
+  for (let i = 0; i < 4; i++) {
+    const backoff = next('crash', 'backoff');
+    if (i === 0) supervisor.start('crash');
+    else t.mock.timers.tick(2000 * 2 ** (i - 1));
+    reasons.push((await backoff).reason);
+  }
+  assert.deepStrictEqual(reasons, ['restarting in 2s', 'restarting in 4s', 'restarting in 8s', 'restarting in 16s']);
+  assert.strictEqual(supervisor.get('crash').restarts, 4);
+
+  // a start from the panel begins the backoff again
+  const backoff = next('crash', 'backoff');
+  supervisor.start('crash');
+  assert.strictEqual((await backoff).reason, 'restarting in 2s');
+  assert.ok(supervisor.stop('crash'));
+  assert.strictEqual(supervisor.get('crash').state, 'stopped');
+});
+
+test('repeated login failures and an ended session mark the bot failed instead of looping', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { supervisor, next, saved } = setup();
+
+  let backoff = next('login', 'backoff');
+  supervisor.start('login');
+  assert.strictEqual((await backoff).loginFailures, 1);
+  backoff = next('login', 'backoff');
+  t.mock.timers.tick(2000);
+  assert.strictEqual((await backoff).loginFailures, 2);
+  const failed = next('login', 'failed');
+  t.mock.timers.tick(4000);
+  assert.strictEqual((await failed).reason, 'login failed 3 times in a row');
+
+  const expired = next('session', 'failed');
+  supervisor.start('session');
+  assert.match((await expired).reason, /session expired/);
+  assert.strictEqual(supervisor.get('session').restarts, 0);
+  assert.deepStrictEqual(saved(), []);
+  assert.strictEqual(supervisor.isRunning('login') || supervisor.isRunning('session'), false);
+});
+
+test('a restart leaves the old child\'s requests and late messages alone', async () => {
+  const { supervisor, next, messages } = setup();
+  let started = next('idle', MSG.STARTED);
+  supervisor.start('idle');
+  await started;
+  assert.strictEqual((await supervisor.request('idle', MSG.GET_STATUS, {})).uid, 'idle');
+  const pending = supervisor.request('idle', MSG.SEND_MESSAGE, {}, 5000);
+
+  started = next('idle', MSG.STARTED);
+  supervisor.start('idle');
+  await assert.rejects(pending, /bot process exited/);
+  await started;
+  assert.strictEqual(supervisor.get('idle').state, 'starting');
+  assert.ok(!messages.includes(MSG.LOGGED_IN));
+
+  const stopped = next('idle', 'stopped');
+  supervisor.stop('idle');
+  await stopped;
+});
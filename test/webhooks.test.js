@@ -0,0 +1,150 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWebhookDispatcher, sanitizeWebhook, readDeliveries, sign } = require('../lib/webhooks');
+
+const UID = '100001';
+
+function setup(hooks) {
+  const usersDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-webhooks-'));
+  fs.mkdirSync(path.join(usersDir, UID));
+  fs.writeFileSync(path.join(usersDir, UID, 'webhooks.json'), JSON.stringify({ hooks }));
+  return usersDir;
+}
+
+const hook = (events, extra) => Object.assign(sanitizeWebhook({ url: 'http://127.0.0.1:1/hook', events }), extra);
+
+test('validates webhook input and keeps id and secret on edits', () => {
+  assert.throws(() => sanitizeWebhook({ url: 'ftp://x', events: ['enforcement'] }), /http\(s\) URL/);
+  assert.throws(() => sanitizeWebhook({ url: 'http://localhost', events: [] }), /at least one/);
+  assert.throws(() => sanitizeWebhook({ url: 'http://localhost', events: ['bot.exploded'] }), /Unknown event bot\.exploded/);
+
+  const created = sanitizeWebhook({ url: 'http://localhost:8080/x', events: ['bot.crashed', 'enforcement'] });
+  assert.deepStrictEqual(created.events, ['enforcement', 'bot.crashed']);
+  assert.strictEqual(created.enabled, true);
+  const edited = sanitizeWebhook({ enabled: false }, created);
+  assert.strictEqual(edited.id, created.id);
+  assert.strictEqual(edited.secret, created.secret);
+  assert.strictEqual(edited.url, created.url);
+  assert.notStrictEqual(sanitizeWebhook({ rotateSecret: true }, created).secret, created.secret);
+});
+
+test('delivers matching events with a verifiable signature', async () => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+  const usersDir = setup([hook(['enforcement'], { url }), hook(['member.left'], { url })]);
+  const webhooks = createWebhookDispatcher({ usersDir });
+
+  assert.strictEqual(webhooks.emit(UID, 'enforcement', { kind: 'gcLock', threadID: 't1' }), 1);
+  assert.strictEqual(webhooks.emit(UID, 'message.received', { body: 'hi' }), 0);
+  await webhooks.flush();
+  webhooks.stop();
+  server.close();
+
+  assert.strictEqual(received.length, 1);
+  const { headers, body } = received[0];
+  const payload = JSON.parse(body);
+  assert.strictEqual(payload.event, 'enforcement');
+  assert.strictEqual(payload.uid, UID);
+  assert.deepStrictEqual(payload.data, { kind: 'gcLock', threadID: 't1' });
+  assert.strictEqual(headers['x-webhook-event'], 'enforcement');
+  assert.strictEqual(headers['x-webhook-delivery'], payload.id);
+  const secret = webhooks.hooks(UID)[0].secret;
+  assert.strictEqual(headers['x-webhook-signature'], sign(secret, headers['x-webhook-timestamp'], body));
+
+  const [entry] = readDeliveries(path.join(usersDir, UID));
+  assert.strictEqual(entry.status, 'delivered');
+  assert.strictEqual(entry.httpStatus, 200);
+  assert.deepStrictEqual(webhooks.pending(UID), []);
+});
+
+test('failed deliveries back off in a persistent outbox and give up after the last attempt', async () => {
+  let clock = 1000000;
+  let answer = 503;
+  const calls = [];
+  const post = async (url, body, headers) => {
+    calls.push(headers['X-Webhook-Delivery']);
+    return answer;
+  };
+  const usersDir = setup([hook(['bot.crashed'])]);
+  const first = createWebhookDispatcher({ usersDir, post, now: () => clock, retryDelaysMs: [1000, 5000], maxAttempts: 3 });
+  first.emit(UID, 'bot.crashed', { reason: 'exit 1' });
+  await first.flush();
+  first.stop();
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(first.pending(UID)[0].attempts, 1);
+
+  // a restarted panel picks the outbox up; nothing is due before the backoff ends
+  const second = createWebhookDispatcher({ usersDir, post, now: () => clock, retryDelaysMs: [1000, 5000], maxAttempts: 3 });
+  assert.deepStrictEqual(second.restore(), [UID]);
+  second.stop();
+  await second.flush();
+  assert.strictEqual(calls.length, 1);
+  clock += 1000;
+  await second.flush();
+  clock += 5000;
+  await second.flush();
+  second.stop();
+  assert.strictEqual(calls.length, 3);
+  assert.ok(calls.every(id => id === calls[0]), 'retries keep the delivery id');
+  assert.deepStrictEqual(second.pending(UID), []);
+  assert.deepStrictEqual(readDeliveries(path.join(usersDir, UID)).map(d => [d.status, d.attempts, d.error]), [
+    ['failed', 3, 'HTTP 503'],
+    ['retrying', 2, 'HTTP 503'],
+    ['retrying', 1, 'HTTP 503']
+  ]);
+
+  // disabled hooks cancel what is still queued
+  answer = 204;
+  const third = createWebhookDispatcher({ usersDir, post, now: () => clock });
+  third.emit(UID, 'bot.crashed', {});
+  third.setHooks(UID, third.hooks(UID).map(h => Object.assign({}, h, { enabled: false })));
+  await third.flush();
+  third.stop();
+  assert.strictEqual(calls.length, 3);
+  assert.strictEqual(readDeliveries(path.join(usersDir, UID))[0].status, 'cancelled');
+});
+
+test('a slow endpoint only holds up its own hook and outbox writes are batched', async () => {
+  let release;
+  const slow = new Promise(resolve => { release = resolve; });
+  const delivered = [];
+  const post = async (url, body) => {
+    if (url.includes('slow')) await slow;
+    delivered.push([url, JSON.parse(body).data.n]);
+    return 200;
+  };
+  const usersDir = setup([
+    hook(['member.left'], { url: 'http://slow.example/hook' }),
+    hook(['member.left'], { url: 'http://fast.example/hook' })
+  ]);
+  const outboxPath = path.join(usersDir, UID, 'webhook-outbox.json');
+  const webhooks = createWebhookDispatcher({ usersDir, post, concurrency: 2 });
+
+  for (let n = 1; n <= 3; n++) webhooks.emit(UID, 'member.left', { n });
+  assert.ok(!fs.existsSync(outboxPath), 'nothing written per event');
+  const flushed = webhooks.flush();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(delivered, [1, 2, 3].map(n => ['http://fast.example/hook', n]));
+  assert.strictEqual(webhooks.pending(UID).length, 3);
+
+  webhooks.stop();
+  assert.strictEqual(JSON.parse(fs.readFileSync(outboxPath, 'utf-8')).deliveries.length, 3);
+  release();
+  await flushed;
+  webhooks.stop();
+  assert.deepStrictEqual(delivered.slice(3), [1, 2, 3].map(n => ['http://slow.example/hook', n]));
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(outboxPath, 'utf-8')).deliveries, []);
+});